@@ -6,16 +6,29 @@ process.env.DISABLE_WILD_CONFIG = 'true';
 const os = require('os');
 const db = require('./lib/db');
 const DSN = require('haraka-dsn');
-const dns = require('dns');
 const ObjectId = require('mongodb').ObjectId;
 const punycode = require('punycode.js');
 const SRS = require('srs.js');
 const counters = require('@sudobility/wildduck/lib/counters');
 const tools = require('@sudobility/wildduck/lib/tools');
 const StreamCollect = require('./lib/stream-collect');
+const { CachingResolver } = require('./lib/dns-cache');
+const cidr = require('./lib/cidr');
+const greylist = require('./lib/greylist');
+const harvest = require('./lib/harvest');
+const NoUserCache = require('./lib/nouser-cache');
+const UserCache = require('./lib/user-cache');
+const quota = require('./lib/quota');
+const quotaWarnings = require('./lib/quota-warnings');
+const subaddressing = require('./lib/subaddress');
+const bounceVerify = require('./lib/bounce-verify');
+const dmarcEnforce = require('./lib/dmarc-enforce');
+const dmarcReports = require('./lib/dmarc-reports');
+const arcSealer = require('./lib/arc-seal');
 const Maildropper = require('@sudobility/wildduck/lib/maildropper');
 const FilterHandler = require('@sudobility/wildduck/lib/filter-handler');
 const BimiHandler = require('@sudobility/wildduck/lib/bimi-handler');
+const DkimHandler = require('@sudobility/wildduck/lib/dkim-handler');
 const autoreply = require('@sudobility/wildduck/lib/autoreply');
 const wdErrors = require('@sudobility/wildduck/lib/errors');
 const Gelf = require('gelf');
@@ -24,11 +37,14 @@ const libmime = require('libmime');
 const { promisify } = require('util');
 
 const { mail: hookMail, dataPost: hookDataPost } = require('./lib/hooks');
+const rateLimiter = require('./lib/rate-limiter');
+const rateExempt = require('./lib/rate-exempt');
 
-DSN.rcpt_too_fast = () =>
+DSN.rcpt_too_fast = retryAfter =>
     DSN.create(
         450,
-        'The user you are trying to contact is receiving mail at a rate that\nprevents additional messages from being delivered. Please resend your\nmessage at a later time. If the user is able to receive mail at that\ntime, your message will be delivered.',
+        'The user you are trying to contact is receiving mail at a rate that\nprevents additional messages from being delivered. Please resend your\nmessage at a later time. If the user is able to receive mail at that\ntime, your message will be delivered.' +
+            (retryAfter ? `\nPlease retry in ${retryAfter} seconds.` : ''),
         2,
         1
     );
@@ -36,6 +52,9 @@ DSN.rcpt_too_fast = () =>
 // default mbox_full is 450
 DSN.mbox_full_554 = () => DSN.create(554, 'Mailbox full', 2, 2);
 
+// message does not fit into the byte volume window even if it is empty, retrying would not help
+DSN.bytes_too_large = () => DSN.create(552, 'Message size exceeds the allowed mail volume', 3, 4);
+
 const defaultSpamRejectMessage =
     'Our system has detected that this message is likely unsolicited mail.\nTo reduce the amount of spam this message has been blocked.';
 
@@ -51,7 +70,23 @@ exports.register = function () {
     plugin.register_hook('init_master', 'open_database');
     plugin.register_hook('init_child', 'open_database');
 
-    plugin.resolver = async (name, rr) => await dns.promises.resolve(name, rr);
+    const dnsConfig = (plugin.cfg.auth && plugin.cfg.auth.dns) || {};
+    const cacheConfig = dnsConfig.cache || {};
+    plugin.dnsResolver = new CachingResolver({
+        enabled: cacheConfig.enabled,
+        size: cacheConfig.size,
+        minTtl: cacheConfig.minTtl,
+        maxTtl: cacheConfig.maxTtl,
+        defaultTtl: cacheConfig.defaultTtl,
+        negativeTtl: cacheConfig.negativeTtl,
+        // Redis connection is opened later in open_database
+        redis: cacheConfig.redis ? () => plugin.db && plugin.db.redis : false,
+        timeout: dnsConfig.timeout,
+        retries: dnsConfig.retries,
+        servers: dnsConfig.servers,
+        zones: dnsConfig.zones
+    });
+    plugin.resolver = plugin.dnsResolver.resolve;
 };
 
 /**
@@ -62,7 +97,26 @@ exports.load_wildduck_cfg = function () {
     this.cfg = this.config.get(
         'wildduck.yaml',
         {
-            booleans: ['attachments.decodeBase64', 'sender.enabled']
+            booleans: [
+                'attachments.decodeBase64',
+                'sender.enabled',
+                'auth.spf.rejectFail',
+                'auth.spf.deferTempError',
+                'auth.dmarc.enforce',
+                'auth.arc.seal.enabled',
+                'greylist.enabled',
+                'harvest.enabled',
+                'nouserCache.enabled',
+                'userCache.enabled',
+                'quota.checkSize',
+                'quotaWarnings.enabled',
+                'subaddress.enabled',
+                'subaddress.autoCreate',
+                'subaddress.optIn',
+                'bounceVerification.enabled',
+                'limits.reservation.enabled',
+                'limits.exempt.enabled'
+            ]
         },
         () => {
             this.load_wildduck_cfg();
@@ -143,6 +197,20 @@ exports.open_database = function (next, server) {
 
             plugin.maildrop = new Maildropper({ db, ...plugin.cfg.sender });
 
+            if (plugin.cfg.nouserCache && plugin.cfg.nouserCache.enabled) {
+                plugin.nouserCache = new NoUserCache({ ...plugin.cfg.nouserCache, redis: db.redis });
+            }
+
+            if (plugin.cfg.userCache && plugin.cfg.userCache.enabled) {
+                plugin.userCache = new UserCache({
+                    ...plugin.cfg.userCache,
+                    userHandler: plugin.db.userHandler,
+                    redis: db.redis,
+                    onError: err => plugin.logerror('User cache subscriber error. ' + err.message)
+                });
+                plugin.userCache.subscribe().catch(err => plugin.logerror('Failed to subscribe to user cache invalidations. ' + err.message));
+            }
+
             plugin.filterHandler = new FilterHandler({
                 db,
                 sender: plugin.cfg.sender,
@@ -155,6 +223,17 @@ exports.open_database = function (next, server) {
                 loggelf: message => plugin.loggelf(message)
             });
 
+            const sealConfig = (plugin.cfg.auth && plugin.cfg.auth.arc && plugin.cfg.auth.arc.seal) || {};
+            if (sealConfig.enabled && sealConfig.dkim && sealConfig.dkim.enabled) {
+                // use domain DKIM keys from WildDuck database for ARC sealing
+                plugin.dkimHandler = new DkimHandler({
+                    cipher: sealConfig.dkim.cipher,
+                    secret: sealConfig.dkim.secret,
+                    database: db.database,
+                    loggelf: message => plugin.loggelf(message)
+                });
+            }
+
             done();
         });
     };
@@ -174,6 +253,8 @@ exports.open_database = function (next, server) {
             }
 
             plugin.loginfo('Database connection opened');
+            plugin.schedule_dmarc_reports();
+            plugin.schedule_dns_stats();
             if (!returned) {
                 returned = true;
                 next();
@@ -224,7 +305,7 @@ exports.increment_forward_counters = async function (connection) {
 
     for (const [key, { increment, limit }] of forwardCounters.entries()) {
         try {
-            const ttlres = await plugin.ttlcounterAsync('wdf:' + key, increment, limit, false);
+            const ttlres = await plugin.consumeRateLimit('forwards', key, { increment, limit });
             connection.loginfo(plugin, `Forward counter updated for ${key} (${increment}/${limit}): ${JSON.stringify(ttlres)}`);
         } catch (err) {
             connection.logerror(plugin, err.message);
@@ -255,12 +336,10 @@ exports.handle_forwarding_address = async function (connection, address, address
 
     let limitResult;
     try {
-        limitResult = await plugin.ttlcounterAsync(
-            'wdf:' + addressData._id.toString(),
-            0, //addressData.targets.length,
-            forwardLimit,
-            false
-        );
+        limitResult = await plugin.consumeRateLimit('forwards', addressData._id.toString(), {
+            increment: 0, //addressData.targets.length,
+            limit: forwardLimit
+        });
     } catch (err) {
         // failed checks
         err.resolution = {
@@ -277,7 +356,10 @@ exports.handle_forwarding_address = async function (connection, address, address
         throw err;
     }
 
-    if (!limitResult.success) {
+    const exemption = !limitResult.success && (await plugin.getRateLimitExemption(connection));
+    if (exemption) {
+        plugin.logRateLimitExemption(connection, 'forwards', addressData._id.toString(), exemption, limitResult);
+    } else if (!limitResult.success) {
         connection.lognotice(
             'RATELIMITED target=' +
                 addressData.address +
@@ -298,12 +380,13 @@ exports.handle_forwarding_address = async function (connection, address, address
             _forward: 'yes',
             _rate_limit: 'yes',
             _selector: 'user',
-            _error: 'too many attempts'
+            _error: 'too many attempts',
+            _retry_after: limitResult.retryAfter
         };
         txn.notes.rejectCode = 'RATE_LIMIT';
 
         error.responseAction = DENY;
-        error.responseMessage = DSN.rcpt_too_fast();
+        error.responseMessage = DSN.rcpt_too_fast(limitResult.retryAfter);
         throw error;
     }
 
@@ -399,6 +482,16 @@ exports.hook_deny = function (next, connection, params) {
 
     const [, , , , denyParams, denyHook] = params;
 
+    if (denyHook !== 'rcpt') {
+        // the message is not going to be delivered, free reserved rate limit slots
+        plugin.releaseRateReservations(connection);
+    }
+
+    if (denyHook !== 'rcpt' && [DENY, DENYDISCONNECT].includes(params && params[0])) {
+        // rejected messages are included in aggregate reports, deferred messages are recorded once the sender retries
+        plugin.recordDmarcAggregate(connection, txn.notes.dmarcDecision);
+    }
+
     let rcpts;
     switch (denyHook) {
         case 'rcpt':
@@ -434,6 +527,7 @@ exports.hook_deny = function (next, connection, params) {
             _from: txn.notes.sender,
             _queue_id: txn.uuid,
             _ip: remoteIp,
+            _client_ip: txn.notes.clientIp,
             _proto: txn.notes.transmissionType,
             _to: address,
             _user: user,
@@ -441,6 +535,19 @@ exports.hook_deny = function (next, connection, params) {
             _reject_code: txn.notes.rejectCode || (params && params[2]) || 'UNKNOWN'
         };
 
+        if (denyHook !== 'rcpt' && txn.notes.rateLimit) {
+            // sender based rate limit, see checkSenderRateLimits
+            logdata._rate_limit = 'yes';
+            logdata._selector = txn.notes.rateLimit.selector;
+            logdata._rate_limit_key = txn.notes.rateLimit.key;
+            logdata._retry_after = txn.notes.rateLimit.retryAfter;
+            if (txn.notes.rateLimit.error) {
+                logdata._failure = 'yes';
+                logdata._err_code = txn.notes.rateLimit.error.code;
+                logdata.full_message = txn.notes.rateLimit.error.stack;
+            }
+        }
+
         const headerFrom = plugin.getHeaderFrom(txn);
         if (headerFrom) {
             logdata._header_from = headerFrom.address;
@@ -476,6 +583,17 @@ exports.hook_deny = function (next, connection, params) {
     next();
 };
 
+/**
+ * Hook called when a transaction ends (RSET, new MAIL FROM, disconnect or after queueing)
+ * Releases rate limit slots that were reserved but not committed
+ * @param {Function} next - Haraka callback
+ * @param {Object} connection - Haraka connection object
+ */
+exports.hook_reset_transaction = function (next, connection) {
+    const plugin = this;
+    plugin.releaseRateReservations(connection).then(() => next());
+};
+
 exports.hook_max_data_exceeded = function (next, connection) {
     const plugin = this;
 
@@ -539,6 +657,9 @@ exports.init_wildduck_transaction = async function (connection) {
 
     txn.notes.id = new ObjectId();
     txn.notes.rateKeys = [];
+    // rate limit slots reserved by this transaction, see checkRateLimit
+    txn.notes.rateReservations = [];
+    txn.notes.rcptCounts = { total: 0, users: 0, forwards: 0, srs: 0 };
     txn.notes.targets = {
         users: new Map(),
         forwards: new Map(),
@@ -579,7 +700,180 @@ exports.hook_mail = function (next, connection, params) {
 };
 
 exports.hook_data_post = function (next, connection) {
-    return hookDataPost(next, this, connection);
+    const plugin = this;
+    return hookDataPost(
+        (...args) => {
+            if (args.length) {
+                return next(...args);
+            }
+            plugin.checkRelayedIpRateLimit((...args) => {
+                if (args.length) {
+                    return next(...args);
+                }
+                plugin.checkSenderRateLimits(next, connection);
+            }, connection);
+        },
+        plugin,
+        connection
+    );
+};
+
+/**
+ * Check per-recipient IP rate limits for messages received from trusted relays
+ * These are skipped in RCPT TO as the original client IP is resolved from the Received headers in DATA
+ * @param {Function} next - Haraka callback
+ * @param {Object} connection - Haraka connection object
+ */
+exports.checkRelayedIpRateLimit = function (next, connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (!txn || !txn.notes.trustedRelay || !txn.notes.targets) {
+        return next();
+    }
+
+    const clientIp = txn.notes.clientIp || connection.remote.ip;
+    const userIds = Array.from(txn.notes.targets.users.keys());
+    const selector = 'rcptIp';
+
+    const checkNext = () => {
+        if (!userIds.length) {
+            return next();
+        }
+
+        const user = userIds.shift();
+        const key = plugin.getIpKey(clientIp) + ':' + user;
+        plugin.checkRateLimit(connection, selector, key, { user }, (err, success, limitResult) => {
+            if (err) {
+                plugin.loggelf({
+                    short_message: '[RATELIMIT] ' + txn.uuid,
+                    full_message: err.stack,
+                    _mail_action: 'relay_rate_limit',
+                    _queue_id: txn.uuid,
+                    _ip: connection.remote.ip,
+                    _client_ip: clientIp,
+                    _user: user,
+                    _rate_limit: 'yes',
+                    _selector: selector,
+                    _error: 'rate limit check failed',
+                    _failure: 'yes',
+                    _err_code: err.code
+                });
+                txn.notes.rejectCode = 'ERRQ08';
+                return next(DENYSOFT, 'Failed to process message [ERRQ08]');
+            }
+
+            if (!success) {
+                plugin.loggelf({
+                    short_message: '[RATELIMIT] ' + txn.uuid,
+                    _mail_action: 'relay_rate_limit',
+                    _queue_id: txn.uuid,
+                    _ip: connection.remote.ip,
+                    _client_ip: clientIp,
+                    _user: user,
+                    _rate_limit: 'yes',
+                    _selector: selector,
+                    _error: 'too many attempts',
+                    _retry_after: limitResult.retryAfter
+                });
+                txn.notes.rejectCode = 'RATE_LIMIT';
+                return next(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter).reply);
+            }
+
+            // update rate limit for this address after delivery
+            txn.notes.rateKeys.push({ selector, key });
+            checkNext();
+        });
+    };
+
+    checkNext();
+};
+
+/**
+ * Get rate limit keys for the sender of the current message
+ * Selectors count messages regardless of the recipient count:
+ * clientIp (client IP), clientIpv6Net (limits.ipv6Prefix network of IPv6 clients), senderDomain (envelope
+ * sender domain) and fromDomain (header From domain)
+ * @param {Object} connection - Haraka connection object
+ * @returns {Array<Object>} Rate limit keys {selector, key}, selectors without a configured limit are skipped
+ */
+exports.getSenderRateKeys = function (connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+    const limits = plugin.cfg.limits || {};
+    const rateKeys = [];
+
+    const clientIp = cidr.normalizeIp(txn.notes.clientIp || connection.remote.ip);
+    if (clientIp) {
+        rateKeys.push({ selector: 'clientIp', key: plugin.getIpKey(clientIp) });
+        if (clientIp.includes(':')) {
+            rateKeys.push({ selector: 'clientIpv6Net', key: cidr.getNetworkKey(clientIp, plugin.getIpPrefixes()) });
+        }
+    }
+
+    const getDomain = address => {
+        const at = (address || '').lastIndexOf('@');
+        return at >= 0 ? address.substring(at + 1).toLowerCase() : false;
+    };
+
+    // null sender (bounces) has no domain
+    const senderDomain = getDomain(txn.notes.sender);
+    if (senderDomain) {
+        rateKeys.push({ selector: 'senderDomain', key: senderDomain });
+    }
+
+    const headerFrom = plugin.getHeaderFrom(txn);
+    const fromDomain = headerFrom && getDomain(headerFrom.address);
+    if (fromDomain) {
+        rateKeys.push({ selector: 'fromDomain', key: fromDomain });
+    }
+
+    return rateKeys.filter(rateKey => limits[rateKey.selector]);
+};
+
+/**
+ * Check sender based rate limits after DATA, see getSenderRateKeys
+ * Counters are incremented once per message when the message is queued
+ * @param {Function} next - Haraka callback
+ * @param {Object} connection - Haraka connection object
+ */
+exports.checkSenderRateLimits = function (next, connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (!txn || !txn.notes.targets) {
+        return next();
+    }
+
+    const rateKeys = plugin.getSenderRateKeys(connection);
+
+    const checkNext = () => {
+        if (!rateKeys.length) {
+            return next();
+        }
+
+        const { selector, key } = rateKeys.shift();
+        plugin.checkRateLimit(connection, selector, key, false, (err, success, limitResult) => {
+            if (err) {
+                txn.notes.rateLimit = { selector, key, error: err };
+                txn.notes.rejectCode = 'ERRQ08';
+                return next(DENYSOFT, 'Failed to process message [ERRQ08]');
+            }
+
+            if (!success) {
+                // details are logged by hook_deny
+                txn.notes.rateLimit = { selector, key, retryAfter: limitResult.retryAfter };
+                txn.notes.rejectCode = 'RATE_LIMIT';
+                return next(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter).reply);
+            }
+
+            // update rate limit for this sender after delivery
+            txn.notes.rateKeys.push({ selector, key });
+            checkNext();
+        });
+    };
+
+    checkNext();
 };
 
 /**
@@ -598,28 +892,55 @@ exports.hook_rcpt = function (next, connection, params) {
     let returned = false;
     let waitTimeout = false;
 
-    const runHandler = () => {
-        clearTimeout(tryTimer);
-        plugin.init_wildduck_transaction(connection).then(() => {
-            plugin.real_rcpt_handler(
-                (...args) => {
-                    clearTimeout(waitTimeout);
-                    if (returned) {
-                        return;
-                    }
-                    returned = true;
-                    const err = args && args[0];
-                    if (err && /Error$/.test(err.name)) {
-                        connection.logerror(plugin, err.message);
-                        txn.notes.rejectCode = 'ERRC01';
-                        return next(DENYSOFT, 'Failed to process recipient, try again [ERRC01]');
+    const respond = (...args) => {
+        clearTimeout(waitTimeout);
+        if (returned) {
+            return;
+        }
+        returned = true;
+        const err = args && args[0];
+        if (err && /Error$/.test(err.name)) {
+            connection.logerror(plugin, err.message);
+            txn.notes.rejectCode = 'ERRC01';
+            return next(DENYSOFT, 'Failed to process recipient, try again [ERRC01]');
+        }
+
+        if (args[0] === DENY && txn.notes.rejectCode === 'NO_SUCH_USER') {
+            // count unknown recipients for directory harvest detection
+            return plugin
+                .recordHarvestFailure(connection)
+                .catch(err => {
+                    connection.logerror(plugin, 'HARVEST error=' + err.message);
+                    return false;
+                })
+                .then(result => {
+                    if (result && result.delay) {
+                        return setTimeout(() => next(...args), result.delay * 1000);
                     }
                     next(...args);
-                },
-                connection,
-                params
-            );
-        });
+                });
+        }
+
+        next(...args);
+    };
+
+    const runHandler = () => {
+        clearTimeout(tryTimer);
+        plugin
+            .init_wildduck_transaction(connection)
+            .then(() =>
+                plugin.checkHarvestBlock(connection).catch(err => {
+                    connection.logerror(plugin, 'HARVEST error=' + err.message);
+                    return false;
+                })
+            )
+            .then(blocked => {
+                if (blocked) {
+                    txn.notes.rejectCode = 'HARVEST_BLOCKED';
+                    return respond(DENYSOFT, DSN.create(450, 'Too many invalid recipients, try again later', 7, 1));
+                }
+                plugin.real_rcpt_handler(respond, connection, params);
+            });
     };
 
     // rcpt check requires access to the db which might not be available yet
@@ -675,12 +996,31 @@ exports.real_rcpt_handler = function (next, connection, params) {
         return next(DENY, DSN.no_such_user());
     }
 
-    const address = plugin.normalize_address(rcpt);
+    // BATV signed return paths are resolved using the original address
+    const batv =
+        plugin.cfg.bounceVerification && plugin.cfg.bounceVerification.enabled && bounceVerify.verifyPrvs(rcpt.address(), plugin.cfg.bounceVerification);
+    const address = batv ? tools.normalizeAddress(batv.address) : plugin.normalize_address(rcpt);
 
     recipients.add(address);
 
     let resolution = false;
+    // recipient type for per transaction limits, one of "users", "forwards" or "srs"
+    let rcptType = false;
     const hookDone = (...args) => {
+        if (args[0] === OK && rcptType) {
+            txn.notes.rcptCounts[rcptType]++;
+            txn.notes.rcptCounts.total++;
+        }
+
+        if (args[0] === OK) {
+            // reservations made for an accepted recipient are kept until the message is queued
+            for (const reservation of txn.notes.rateReservations || []) {
+                reservation.pending = false;
+            }
+        } else {
+            plugin.releaseRateReservations(connection, true);
+        }
+
         if (resolution) {
             const message = {
                 short_message: '[RCPT TO:' + rcpt.address() + '] ' + txn.uuid,
@@ -703,6 +1043,35 @@ exports.real_rcpt_handler = function (next, connection, params) {
         next(...args);
     };
 
+    // returns true if the recipient was rejected for exceeding per transaction recipient limits
+    const checkRecipientLimit = type => {
+        rcptType = type;
+
+        const limits = plugin.getRecipientLimits(connection);
+        const counts = txn.notes.rcptCounts;
+
+        let limit = false;
+        if (limits.total && counts.total >= limits.total) {
+            limit = { type: 'total', value: limits.total };
+        } else if (limits[type] && counts[type] >= limits[type]) {
+            limit = { type, value: limits[type] };
+        }
+
+        if (!limit) {
+            return false;
+        }
+
+        connection.lognotice(plugin, `TOO MANY RECIPIENTS rcpt=${address} type=${limit.type} limit=${limit.value}`);
+        resolution = {
+            _error: 'too many recipients',
+            _rcpt_limit: limit.type,
+            _limit: limit.value
+        };
+        txn.notes.rejectCode = 'TOO_MANY_RCPTS';
+        hookDone(DENYSOFT, DSN.proto_too_many_rcpts('Too many recipients', 452));
+        return true;
+    };
+
     connection.logdebug(plugin, 'Checking validity of ' + address);
 
     if (/^SRS\d+=/.test(address)) {
@@ -737,10 +1106,14 @@ exports.real_rcpt_handler = function (next, connection, params) {
         }
 
         if (reversed) {
+            if (checkRecipientLimit('srs')) {
+                return;
+            }
+
             // accept SRS rewritten address
             const key = reversed;
             const selector = 'rcpt';
-            return plugin.checkRateLimit(connection, selector, key, false, (err, success) => {
+            return plugin.checkRateLimit(connection, selector, key, false, (err, success, limitResult) => {
                 if (err) {
                     resolution = {
                         full_message: err.stack,
@@ -761,10 +1134,11 @@ exports.real_rcpt_handler = function (next, connection, params) {
                         _srs: 'yes',
                         _rate_limit: 'yes',
                         _selector: selector,
-                        _error: 'too many attempts'
+                        _error: 'too many attempts',
+                        _retry_after: limitResult.retryAfter
                     };
                     txn.notes.rejectCode = 'RATE_LIMIT';
-                    return hookDone(DENYSOFT, DSN.rcpt_too_fast());
+                    return hookDone(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter));
                 }
 
                 // update rate limit for this address after delivery
@@ -787,13 +1161,14 @@ exports.real_rcpt_handler = function (next, connection, params) {
     }
 
     const checkIpRateLimit = (userData, done) => {
-        if (!remoteIp) {
+        if (!remoteIp || txn.notes.trustedRelay) {
+            // for trusted relays the original client is known after DATA, see checkRelayedIpRateLimit
             return done();
         }
 
-        const key = remoteIp + ':' + userData._id.toString();
+        const key = plugin.getIpKey(remoteIp) + ':' + userData._id.toString();
         const selector = 'rcptIp';
-        plugin.checkRateLimit(connection, selector, key, false, (err, success) => {
+        plugin.checkRateLimit(connection, selector, key, { user: userData._id }, (err, success, limitResult) => {
             if (err) {
                 resolution = {
                     full_message: err.stack,
@@ -815,11 +1190,12 @@ exports.real_rcpt_handler = function (next, connection, params) {
                     _rate_limit: 'yes',
                     _selector: selector,
                     _error: 'too many attempts',
+                    _retry_after: limitResult.retryAfter,
                     _user: userData._id.toString(),
                     _default_address: rcpt.address() !== userData.address ? userData.address : ''
                 };
                 txn.notes.rejectCode = 'RATE_LIMIT';
-                return hookDone(DENYSOFT, DSN.rcpt_too_fast());
+                return hookDone(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter));
             }
 
             // update rate limit for this address after delivery
@@ -829,7 +1205,145 @@ exports.real_rcpt_handler = function (next, connection, params) {
         });
     };
 
-    plugin.db.userHandler.resolveAddress(
+    const checkGreylist = (userData, done) => {
+        plugin
+            .checkGreylist(connection, userData)
+            .catch(err => {
+                // greylisting fails open
+                connection.logerror(plugin, 'GREYLIST error=' + err.message);
+                return false;
+            })
+            .then(result => {
+                if (!result || result.action !== 'defer') {
+                    return done();
+                }
+
+                connection.loginfo(plugin, `GREYLISTED rcpt=${address} network=${result.network} reason=${result.reason}`);
+                resolution = {
+                    _greylisted: 'yes',
+                    _greylist_reason: result.reason,
+                    _greylist_network: result.network,
+                    _user: userData._id.toString(),
+                    _default_address: rcpt.address() !== userData.address ? userData.address : ''
+                };
+                txn.notes.rejectCode = 'GREYLISTED';
+                return hookDone(DENYSOFT, DSN.create(451, `Greylisted, please try again in ${result.retryIn} seconds`, 7, 1));
+            });
+    };
+
+    // greylisting runs before rate limit checks
+    // byte volume limits use the size declared with SIZE, actual size is checked again in hook_queue
+    const checkByteRateLimits = (userData, done) => {
+        const size = txn.notes.declaredSize;
+        const checks = [{ selector: 'rcptBytes', key: userData._id.toString() }];
+        if (remoteIp && !txn.notes.trustedRelay) {
+            checks.push({ selector: 'clientIpBytes', key: plugin.getIpKey(remoteIp) });
+        }
+
+        const checkNext = () => {
+            if (!checks.length) {
+                return done();
+            }
+
+            const { selector, key } = checks.shift();
+            plugin.checkByteRateLimit(connection, selector, key, size, { user: userData._id }).then(
+                limitResult => {
+                    if (limitResult.success) {
+                        return checkNext();
+                    }
+
+                    resolution = {
+                        _rate_limit: 'yes',
+                        _selector: selector,
+                        _error: limitResult.tooLarge ? 'message too large' : 'too many bytes',
+                        _retry_after: limitResult.retryAfter,
+                        _declared_size: size,
+                        _user: userData._id.toString(),
+                        _default_address: rcpt.address() !== userData.address ? userData.address : ''
+                    };
+                    txn.notes.rejectCode = 'RATE_LIMIT';
+                    if (limitResult.tooLarge) {
+                        return hookDone(DENY, DSN.bytes_too_large());
+                    }
+                    hookDone(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter));
+                },
+                err => {
+                    resolution = {
+                        full_message: err.stack,
+                        _rate_limit: 'yes',
+                        _selector: selector,
+                        _user: userData._id.toString(),
+                        _default_address: rcpt.address() !== userData.address ? userData.address : '',
+
+                        _error: 'rate limit check failed',
+                        _failure: 'yes',
+                        _err_code: err.code
+                    };
+                    err.code = err.code || 'RateLimit';
+                    hookDone(err);
+                }
+            );
+        };
+
+        checkNext();
+    };
+
+    const checkClient = (userData, done) => checkGreylist(userData, () => checkIpRateLimit(userData, () => checkByteRateLimits(userData, done)));
+
+    // address and user lookups go through the in-process cache if enabled
+    const userHandler = plugin.userCache || plugin.db.userHandler;
+
+    // addresses known to not exist are served from the negative cache without a database lookup
+    let nouserCached = false;
+    const resolveAddress = (address, options, callback) => {
+        const nouserCache = plugin.nouserCache;
+        if (!nouserCache) {
+            return userHandler.resolveAddress(address, options, callback);
+        }
+
+        nouserCache
+            .has(address)
+            .catch(err => {
+                connection.logerror(plugin, 'NOUSER CACHE error=' + err.message);
+                return false;
+            })
+            .then(cached => {
+                if (cached) {
+                    nouserCached = true;
+                    const stats = nouserCache.stats();
+                    connection.loginfo(plugin, `NOUSER CACHE hit rcpt=${address} hits=${stats.hits} misses=${stats.misses} rate=${stats.hitRate}%`);
+                    return callback(null, false);
+                }
+                userHandler.resolveAddress(address, options, callback);
+            });
+    };
+
+    // subaddress tag selects the target mailbox, eg. "folder" for "user+folder@example.com"
+    const subaddressConfig = plugin.cfg.subaddress && plugin.cfg.subaddress.enabled && subaddressing.getConfig(plugin.cfg.subaddress);
+    const subaddress = subaddressConfig && subaddressing.parse(address, subaddressConfig.separators);
+
+    const isResolved = addressData => addressData && (addressData.user || addressData.targets) && !(addressData.address || '').includes('*');
+
+    const resolveRecipient = (address, options, callback) => {
+        resolveAddress(address, options, (err, addressData) => {
+            // WildDuck only removes "+" labels, for other separators retry with the base address
+            if (err || isResolved(addressData) || !subaddress || subaddress.separator === '+') {
+                return callback(err, addressData);
+            }
+
+            // negative cache status is reported for the original address
+            const cached = nouserCached;
+            resolveAddress(subaddress.base, options, (err, baseData) => {
+                nouserCached = cached;
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, isResolved(baseData) ? baseData : addressData);
+            });
+        });
+    };
+
+    resolveRecipient(
         address,
         {
             wildcard: true,
@@ -866,6 +1380,10 @@ exports.real_rcpt_handler = function (next, connection, params) {
             }
 
             if (addressData && addressData.targets) {
+                if (checkRecipientLimit('forwards')) {
+                    return;
+                }
+
                 return plugin
                     .handle_forwarding_address(connection, address, addressData)
                     .then(result => {
@@ -890,13 +1408,26 @@ exports.real_rcpt_handler = function (next, connection, params) {
                 connection.logdebug(plugin, 'No such user ' + address);
                 resolution = {
                     _error: 'no such user',
-                    _unknown_user: 'yes'
+                    _unknown_user: 'yes',
+                    _nouser_cache: plugin.nouserCache ? (nouserCached ? 'hit' : 'miss') : ''
                 };
+
+                if (plugin.nouserCache && !nouserCached) {
+                    plugin.nouserCache.add(address).catch(err => connection.logerror(plugin, 'NOUSER CACHE error=' + err.message));
+                }
+
                 txn.notes.rejectCode = 'NO_SUCH_USER';
                 return hookDone(DENY, DSN.no_such_user());
             }
 
-            plugin.db.userHandler.get(
+            if (checkRecipientLimit('users')) {
+                return;
+            }
+
+            // tag is only used if the address resolved to the base address and not to a real address that includes the separator
+            const subaddressTag = subaddress && tools.uview(subaddress.base) === tools.uview(addressData.address) ? subaddress.tag : false;
+
+            userHandler.get(
                 addressData.user,
                 {
                     // extra fields are needed later in the filtering step
@@ -913,7 +1444,8 @@ exports.real_rcpt_handler = function (next, connection, params) {
                     storageUsed: true,
                     quota: true,
                     tagsview: true,
-                    mtaRelay: true
+                    mtaRelay: true,
+                    metaData: true
                 },
                 (err, userData) => {
                     if (err) {
@@ -952,6 +1484,8 @@ exports.real_rcpt_handler = function (next, connection, params) {
 
                     // max quota for the user
                     const quota = userData.quota || txn.notes.settings['const:max:storage'];
+                    plugin.checkQuotaWarning(connection, userData, userData.storageUsed);
+
                     if (userData.storageUsed && quota <= userData.storageUsed) {
                         // can not deliver mail to this user, over quota
                         resolution = {
@@ -967,10 +1501,26 @@ exports.real_rcpt_handler = function (next, connection, params) {
                         return hookDone(DENY, DSN.mbox_full_554());
                     }
 
-                    checkIpRateLimit(userData, () => {
+                    // reject early if the declared message size does not fit into the remaining quota
+                    const sizeCheck = plugin.checkQuotaSize(txn, userData, txn.notes.declaredSize);
+                    if (!sizeCheck.allowed) {
+                        resolution = {
+                            _user: userData._id.toString(),
+                            _error: 'message too large for quota',
+                            _over_quota: 'yes',
+                            _max_quota: sizeCheck.limit,
+                            _storage_used: userData.storageUsed,
+                            _declared_size: txn.notes.declaredSize,
+                            _default_address: rcpt.address() !== userData.address ? userData.address : ''
+                        };
+                        txn.notes.rejectCode = 'MBOX_QUOTA_SIZE';
+                        return hookDone(DENY, DSN.mbox_full('Mailbox full, message exceeds remaining quota', 552));
+                    }
+
+                    checkClient(userData, () => {
                         const key = userData._id.toString();
                         const selector = 'rcpt';
-                        plugin.checkRateLimit(connection, selector, key, userData.receivedMax, (err, success) => {
+                        plugin.checkRateLimit(connection, selector, key, { limit: userData.receivedMax, user: userData._id }, (err, success, limitResult) => {
                             if (err) {
                                 resolution = {
                                     full_message: err.stack,
@@ -992,30 +1542,62 @@ exports.real_rcpt_handler = function (next, connection, params) {
                                     _rate_limit: 'yes',
                                     _selector: selector,
                                     _error: 'too many attempts',
+                                    _retry_after: limitResult.retryAfter,
                                     _user: userData._id.toString(),
                                     _default_address: rcpt.address() !== userData.address ? userData.address : ''
                                 };
                                 txn.notes.rejectCode = 'RATE_LIMIT';
-                                return hookDone(DENYSOFT, DSN.rcpt_too_fast());
+                                return hookDone(DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter));
                             }
 
-                            connection.loginfo(plugin, 'RESOLVED rcpt=' + rcpt.address() + ' user=' + userData.address + '[' + userData._id + ']');
+                            const acceptRecipient = subaddressMailbox => {
+                                const mailboxInfo = subaddressMailbox ? ' mailbox=' + subaddressMailbox.path : '';
+                                connection.loginfo(plugin, `RESOLVED rcpt=${rcpt.address()} user=${userData.address}[${userData._id}]${mailboxInfo}`);
 
-                            // update rate limit for this address after delivery
-                            txn.notes.rateKeys.push({ selector, key, limit: userData.receivedMax });
+                                // update rate limit for this address after delivery
+                                txn.notes.rateKeys.push({ selector, key, limit: userData.receivedMax });
 
-                            users.set(userData._id.toString(), {
-                                userData,
-                                recipient: rcpt.address()
-                            });
+                                const rcptData = {
+                                    userData,
+                                    recipient: rcpt.address()
+                                };
+                                if (subaddressMailbox && subaddressMailbox.pending) {
+                                    // missing mailbox is created when the message is stored
+                                    rcptData.subaddressPath = subaddressMailbox.path;
+                                } else if (subaddressMailbox) {
+                                    // honoured by filterHandler.storeMessage
+                                    rcptData.mailbox = subaddressMailbox.mailbox;
+                                }
+                                if (batv) {
+                                    // bounces to a valid signed return path do not need further verification
+                                    rcptData.batv = batv.valid;
+                                }
+                                users.set(userData._id.toString(), rcptData);
 
-                            resolution = {
-                                _user: userData._id.toString(),
-                                _rcpt_accepted: 'yes',
-                                _default_address: rcpt.address() !== userData.address ? userData.address : ''
+                                resolution = {
+                                    _user: userData._id.toString(),
+                                    _rcpt_accepted: 'yes',
+                                    _default_address: rcpt.address() !== userData.address ? userData.address : '',
+                                    _subaddress_mailbox: subaddressMailbox ? subaddressMailbox.path : '',
+                                    _subaddress_pending: subaddressMailbox && subaddressMailbox.pending ? 'yes' : '',
+                                    _batv: batv ? (batv.valid ? 'valid' : batv.reason) : ''
+                                };
+                                txn.notes.rejectCode = false;
+                                hookDone(OK);
                             };
-                            txn.notes.rejectCode = false;
-                            hookDone(OK);
+
+                            if (!subaddressTag || !subaddressing.isEnabledForUser(userData, subaddressConfig)) {
+                                return acceptRecipient(false);
+                            }
+
+                            plugin
+                                .getSubaddressMailbox(userData, subaddressTag)
+                                .then(acceptRecipient)
+                                .catch(err => {
+                                    // deliver to the default target instead
+                                    connection.logerror(plugin, 'SUBADDRESS error=' + err.message + ' rcpt=' + rcpt.address());
+                                    acceptRecipient(false);
+                                });
                         });
                     });
                 }
@@ -1053,6 +1635,21 @@ exports.hook_queue = function (next, connection) {
         return next(DENYSOFT, plugin.dsnSpamResponse(txn, softlisted.key).reply);
     }
 
+    const dmarcDecision = plugin.checkDmarcPolicy(connection);
+    if (!dmarcDecision || dmarcDecision.action !== 'defer') {
+        // deferred messages are recorded once the sender retries
+        plugin.recordDmarcAggregate(connection, dmarcDecision);
+    }
+    if (dmarcDecision && dmarcDecision.action === 'reject') {
+        txn.notes.rejectCode = 'DMARC_POLICY_REJECT';
+        plugin.sendDmarcFailureReport(connection, dmarcDecision, DENY);
+        return next(DENY, plugin.dsnSpamResponse(txn, 'DMARC_POLICY_REJECT').reply);
+    }
+    if (dmarcDecision && dmarcDecision.action === 'defer') {
+        txn.notes.rejectCode = 'DMARC_POLICY_DEFER';
+        return next(DENYSOFT, plugin.dsnSpamResponse(txn, 'DMARC_POLICY_REJECT', 451).reply);
+    }
+
     // results about verification (TLS, SPF, DKIM)
     const verificationResults = {
         tls: false,
@@ -1100,6 +1697,19 @@ exports.hook_queue = function (next, connection) {
         verificationResults.dkim = dkimResults[0]?.signingDomain;
     }
 
+    // trusted ARC sealer vouches for the authentication results of the original message
+    const arcOverride = txn.notes.arcOverride;
+    if (arcOverride) {
+        if (!verificationResults.spf && arcOverride.spf.result === 'pass' && arcOverride.spf.domain) {
+            verificationResults.spf = arcOverride.spf.domain;
+        }
+
+        const arcDkim = arcOverride.dkim.find(entry => entry.result === 'pass' && entry.domain);
+        if (!verificationResults.dkim && arcDkim) {
+            verificationResults.dkim = arcDkim.domain;
+        }
+    }
+
     // ARC
     if (txn.notes.arcResult?.status?.result === 'pass' && txn.notes.arcResult?.signature?.signingDomain) {
         verificationResults.arc = txn.notes.arcResult?.signature?.signingDomain;
@@ -1128,6 +1738,7 @@ exports.hook_queue = function (next, connection) {
                 _mail_action: 'process',
                 _queue_id: queueId,
                 _ip: remoteIp,
+                _client_ip: txn.notes.clientIp,
                 _message_id: messageId.replace(/^[\s<]+|[\s>]+$/g, ''),
                 _spam_score: rspamd ? rspamd.score : '',
                 _spam_action: rspamd ? rspamd.action : '',
@@ -1187,10 +1798,175 @@ exports.hook_queue = function (next, connection) {
         allowAutoreply.add(user.userData._id.toString());
     });
 
+    // drop a local recipient from storage, used for per recipient failures once the message has been accepted for other targets
+    const dropRecipient = (rcptData, reason, entry) => {
+        const userData = rcptData.userData;
+        users.delete(userData._id.toString());
+
+        sendLogEntry(
+            Object.assign(
+                {
+                    _user: userData._id.toString(),
+                    _to: rcptData.recipient,
+
+                    _no_store: 'yes',
+                    _error: reason,
+                    _dropped: 'yes'
+                },
+                entry
+            )
+        );
+        connection.loginfo(plugin, 'DROPPED rcpt=' + rcptData.recipient + ' user=' + userData.address + '[' + userData._id + '] error=' + reason);
+    };
+
+    // true if nothing but the given local recipients would receive the message
+    const isOnlyTarget = rcptList => rcptList.length > 0 && rcptList.length === users.size && !forwards.size && !autoreplies.size;
+
+    // actions for unverified bounces by user ID, see checkBounceVerification
+    let bounceDecision = new Map();
+
+    // checks that need the actual message, these run before anything is forwarded or autoreplied
+    // returns a hook response if the message should be rejected, otherwise failing recipients are dropped
+    const checkRecipients = async () => {
+        const userList = Array.from(users).map(e => e[1]);
+
+        // declared SIZE was checked in RCPT TO, verify quota again using the actual message size
+        const overQuota = [];
+        for (const rcptData of userList) {
+            const sizeCheck = plugin.checkQuotaSize(txn, rcptData.userData, collector.chunklen);
+            if (!sizeCheck.allowed) {
+                overQuota.push({ rcptData, sizeCheck });
+            }
+        }
+
+        if (isOnlyTarget(overQuota)) {
+            for (const { rcptData, sizeCheck } of overQuota) {
+                sendLogEntry({
+                    _user: rcptData.userData._id.toString(),
+                    _to: rcptData.recipient,
+
+                    _no_store: 'yes',
+                    _error: 'message too large for quota',
+                    _over_quota: 'yes',
+                    _max_quota: sizeCheck.limit,
+                    _storage_used: rcptData.userData.storageUsed,
+                    _message_size: collector.chunklen
+                });
+                connection.loginfo(plugin, 'REJECTED rcpt=' + rcptData.recipient + ' error=message exceeds remaining quota size=' + collector.chunklen);
+            }
+            txn.notes.rejectCode = 'MBOX_QUOTA_SIZE';
+            return [DENY, DSN.mbox_full('Mailbox full, message exceeds remaining quota', 552).reply];
+        }
+
+        for (const { rcptData, sizeCheck } of overQuota) {
+            dropRecipient(rcptData, 'message too large for quota', {
+                _over_quota: 'yes',
+                _max_quota: sizeCheck.limit,
+                _storage_used: rcptData.userData.storageUsed,
+                _message_size: collector.chunklen
+            });
+        }
+
+        // null sender messages must reference a message sent by the recipient
+        bounceDecision = await plugin.checkBounceVerification(connection, Array.from(users.values()), collector.chunks);
+        const unverified = Array.from(users.values()).filter(rcptData => bounceDecision.get(rcptData.userData._id.toString()) === 'reject');
+        if (isOnlyTarget(unverified)) {
+            connection.loginfo(plugin, 'REJECTED unverified bounce');
+            txn.notes.rejectCode = 'BOUNCE_UNVERIFIED';
+            return [DENY, DSN.create(550, 'Bounce does not reference a message sent by the recipient', 7, 1).reply];
+        }
+
+        for (const rcptData of unverified) {
+            // other targets accept the message, so it can not be rejected
+            dropRecipient(rcptData, 'unverified bounce');
+        }
+
+        // byte volume limits with the actual message size, counters are updated with the other rate limits
+        const byteChecks = [{ selector: 'clientIpBytes', key: plugin.getIpKey(txn.notes.clientIp || remoteIp) }].concat(
+            Array.from(users.values()).map(rcptData => ({ selector: 'rcptBytes', key: rcptData.userData._id.toString(), rcptData }))
+        );
+        const byteKeys = [];
+        const overByteLimit = [];
+        for (const { selector, key, rcptData } of byteChecks) {
+            let limitResult;
+            try {
+                limitResult = await plugin.checkByteRateLimit(connection, selector, key, collector.chunklen, { user: rcptData && rcptData.userData._id });
+            } catch (err) {
+                sendLogEntry({
+                    full_message: err.stack,
+                    _user: rcptData && rcptData.userData._id.toString(),
+                    _to: rcptData && rcptData.recipient,
+
+                    _no_store: 'yes',
+                    _rate_limit: 'yes',
+                    _selector: selector,
+                    _error: 'rate limit check failed',
+                    _failure: 'yes',
+                    _err_code: err.code
+                });
+                txn.notes.rejectCode = 'ERRQ09';
+                return [DENYSOFT, 'Failed to queue message [ERRQ09]'];
+            }
+
+            if (!limitResult.success) {
+                const entry = {
+                    _rate_limit: 'yes',
+                    _selector: selector,
+                    _error: limitResult.tooLarge ? 'message too large' : 'too many bytes',
+                    _retry_after: limitResult.retryAfter,
+                    _message_size: collector.chunklen
+                };
+
+                if (rcptData) {
+                    overByteLimit.push({ rcptData, limitResult, entry });
+                    continue;
+                }
+
+                // client limits apply to every recipient
+                sendLogEntry(Object.assign({ _no_store: 'yes' }, entry));
+                connection.loginfo(plugin, `REJECTED selector=${selector} key=${key} error=byte limit exceeded size=${collector.chunklen}`);
+                txn.notes.rejectCode = 'RATE_LIMIT';
+                if (limitResult.tooLarge) {
+                    return [DENY, DSN.bytes_too_large().reply];
+                }
+                return [DENYSOFT, DSN.rcpt_too_fast(limitResult.retryAfter).reply];
+            }
+
+            if (limitResult.limit) {
+                byteKeys.push({ selector, key, rcptData });
+            }
+        }
+
+        if (isOnlyTarget(overByteLimit)) {
+            for (const { rcptData, entry } of overByteLimit) {
+                sendLogEntry(Object.assign({ _user: rcptData.userData._id.toString(), _to: rcptData.recipient, _no_store: 'yes' }, entry));
+                connection.loginfo(plugin, `REJECTED selector=rcptBytes key=${rcptData.userData._id} error=byte limit exceeded size=${collector.chunklen}`);
+            }
+            txn.notes.rejectCode = 'RATE_LIMIT';
+            if (overByteLimit.every(({ limitResult }) => limitResult.tooLarge)) {
+                return [DENY, DSN.bytes_too_large().reply];
+            }
+            return [DENYSOFT, DSN.rcpt_too_fast(Math.max(...overByteLimit.map(({ limitResult }) => limitResult.retryAfter))).reply];
+        }
+
+        for (const { rcptData, entry } of overByteLimit) {
+            dropRecipient(rcptData, entry._error, entry);
+        }
+
+        for (const { selector, key, rcptData } of byteKeys) {
+            // dropped recipients do not use their volume
+            if (!rcptData || users.has(key)) {
+                txn.notes.rateKeys.push({ selector, key, increment: collector.chunklen });
+            }
+        }
+
+        return false;
+    };
+
     const forwardMessage = done => {
         if (!forwards.size) {
             // the message does not need forwarding at this point
-            return collectData(done);
+            return done();
         }
 
         const rspamd = txn.results.get('rspamd');
@@ -1213,7 +1989,7 @@ exports.hook_queue = function (next, connection) {
 
             sendLogEntry(message);
 
-            return collectData(done);
+            return done();
         }
 
         const targets =
@@ -1250,78 +2026,97 @@ exports.hook_queue = function (next, connection) {
             mail.mtaRelay = user.mtaRelay || false;
         }
 
-        const message = plugin.maildrop.push(mail, (err, ...args) => {
-            if (err || !args[0]) {
-                if (err) {
-                    err.code = err.code || 'ERRCOMPOSE';
-                    sendLogEntry({
-                        short_message: '[Failed forward] ' + queueId,
-                        full_message: err.stack,
+        const queueForward = arcSeal => {
+            const message = plugin.maildrop.push(mail, (err, ...args) => {
+                if (err || !args[0]) {
+                    if (err) {
+                        err.code = err.code || 'ERRCOMPOSE';
+                        sendLogEntry({
+                            short_message: '[Failed forward] ' + queueId,
+                            full_message: err.stack,
 
-                        _error: 'failed to store message',
-                        _mail_action: 'forward',
-                        _failure: 'yes',
-                        _err_code: err.code
-                    });
+                            _error: 'failed to store message',
+                            _mail_action: 'forward',
+                            _failure: 'yes',
+                            _err_code: err.code
+                        });
+                    }
+                    return done(err, ...args);
                 }
-                return done(err, ...args);
-            }
 
-            sendLogEntry({
-                short_message: '[Queued forward] ' + queueId,
-                _mail_action: 'forward',
-                _target_queue_id: args[0].id,
-                _target_address: targets.map(target => ((target && target.value) || target).toString().replace(/\?.*$/, '')).join('\n')
-            });
+                sendLogEntry({
+                    short_message: '[Queued forward] ' + queueId,
+                    _mail_action: 'forward',
+                    _arc_sealed: arcSeal ? 'yes' : '',
+                    _arc_signing_domain: arcSeal && arcSeal.signingDomain,
+                    _target_queue_id: args[0].id,
+                    _target_address: targets.map(target => ((target && target.value) || target).toString().replace(/\?.*$/, '')).join('\n')
+                });
 
-            plugin.loggelf({
-                _queue_id: args[0].id,
+                plugin.loggelf({
+                    _queue_id: args[0].id,
 
-                short_message: '[QUEUED] ' + args[0].id,
+                    short_message: '[QUEUED] ' + args[0].id,
 
-                _parent_queue_id: queueId,
-                _from: txn.notes.sender,
-                _to: targets.map(target => ((target && target.value) || target).toString().replace(/\?.*$/, '')).join('\n'),
+                    _parent_queue_id: queueId,
+                    _from: txn.notes.sender,
+                    _to: targets.map(target => ((target && target.value) || target).toString().replace(/\?.*$/, '')).join('\n'),
+
+                    _queued: 'yes',
+                    _forwarded: 'yes',
 
-                _queued: 'yes',
-                _forwarded: 'yes',
+                    _interface: 'mx'
+                });
 
-                _interface: 'mx'
+                connection.loginfo(plugin, 'QUEUED FORWARD queue-id=' + args[0].id);
+
+                const next = () => done(err, args && args[0] && args[0].id);
+                if (txn.notes.targets && txn.notes.targets.forwardCounters) {
+                    return plugin
+                        .increment_forward_counters(connection)
+                        .then(next)
+                        .catch(err => {
+                            connection.logerror(plugin, err.message);
+                            next();
+                        });
+                }
+                next();
             });
 
-            connection.loginfo(plugin, 'QUEUED FORWARD queue-id=' + args[0].id);
+            if (message) {
+                message.once('error', err => {
+                    connection.logerror(plugin, 'QUEUEERROR Failed to retrieve message. error=' + err.message);
+                    sendLogEntry({
+                        full_message: err.stack,
 
-            const next = () => done(err, args && args[0] && args[0].id);
-            if (txn.notes.targets && txn.notes.targets.forwardCounters) {
-                return plugin
-                    .increment_forward_counters(connection)
-                    .then(next)
-                    .catch(err => {
-                        connection.logerror(plugin, err.message);
-                        next();
+                        _error: 'failed to retrieve message from input',
+                        _failure: 'yes',
+                        _err_code: err.code
                     });
-            }
-            next();
-        });
+                    txn.notes.rejectCode = 'ERRQ04';
+                    return next(DENYSOFT, 'Failed to queue message [ERRQ04]');
+                });
 
-        if (message) {
-            txn.message_stream.once('error', err => message.emit('error', err));
-            message.once('error', err => {
-                connection.logerror(plugin, 'QUEUEERROR Failed to retrieve message. error=' + err.message);
-                sendLogEntry({
-                    full_message: err.stack,
+                if (arcSeal) {
+                    // prepend ARC set to the forwarded copy only
+                    message.write(arcSeal.headers);
+                }
 
-                    _error: 'failed to retrieve message from input',
-                    _failure: 'yes',
-                    _err_code: err.code
-                });
-                txn.notes.rejectCode = 'ERRQ04';
-                return next(DENYSOFT, 'Failed to queue message [ERRQ04]');
-            });
+                // message was already collected, so write the buffered chunks
+                for (const chunk of collector.chunks) {
+                    message.write(chunk);
+                }
+                message.end();
+            }
+        };
 
-            // pipe the message to the collector object to gather message chunks for further processing
-            txn.message_stream.pipe(collector).pipe(message);
-        }
+        plugin
+            .seal_forwarded_message(connection)
+            .catch(err => {
+                connection.logerror(plugin, 'ARC SEAL error=' + err.message);
+                return false;
+            })
+            .then(queueForward);
     };
 
     const sendAutoreplies = async () => {
@@ -1402,8 +2197,10 @@ exports.hook_queue = function (next, connection) {
         const rateKeys = txn.notes.rateKeys || [];
         for (const rateKey of rateKeys) {
             connection.logdebug(plugin, 'Rate key. key=' + JSON.stringify(rateKey));
-            await plugin.updateRateLimit(plugin, connection, rateKey.selector || 'rcpt', rateKey.key, rateKey.limit);
+            await plugin.updateRateLimit(plugin, connection, rateKey.selector || 'rcpt', rateKey.key, rateKey.limit, rateKey.increment);
         }
+        // counters now include this message, reserved slots are not needed anymore
+        await plugin.releaseRateReservations(connection);
         connection.logdebug(plugin, 'Rate keys processed');
     };
 
@@ -1460,6 +2257,43 @@ exports.hook_queue = function (next, connection) {
             const rspamd = txn.results.get('rspamd');
             const recipient = rcptData.recipient;
             const userData = rcptData.userData;
+            const bounceAction = bounceDecision.get(userData._id.toString());
+
+            const dmarcJunk = dmarcDecision && dmarcDecision.actions.get(recipient) === 'junk';
+            const junk = dmarcJunk || bounceAction === 'junk';
+            if (junk) {
+                // message failed DMARC or bounce verification and is routed to Junk instead of the default or subaddress target
+                try {
+                    const junkMailbox = await plugin.getSpecialUseMailbox(userData._id, '\\Junk');
+                    if (junkMailbox) {
+                        rcptData.mailbox = junkMailbox._id;
+                    }
+                } catch (err) {
+                    connection.logerror(plugin, (dmarcJunk ? 'DMARC' : 'BOUNCE') + ' JUNK error=' + err.message);
+                }
+            }
+
+            if (!junk && !rcptData.mailbox && rcptData.subaddressPath) {
+                // subaddress mailbox was missing at RCPT TO, create it now that the message is accepted
+                try {
+                    const subaddressMailbox = await plugin.getSubaddressMailbox(userData, rcptData.subaddressPath, { create: true });
+                    if (subaddressMailbox && subaddressMailbox.mailbox) {
+                        rcptData.mailbox = subaddressMailbox.mailbox;
+                        if (subaddressMailbox.created) {
+                            connection.loginfo(plugin, `SUBADDRESS created mailbox=${subaddressMailbox.path} user=${userData.address}[${userData._id}]`);
+                            sendLogEntry({
+                                _user: userData._id.toString(),
+                                _to: recipient,
+                                _subaddress_mailbox: subaddressMailbox.path,
+                                _subaddress_created: 'yes'
+                            });
+                        }
+                    }
+                } catch (err) {
+                    // deliver to the default target instead
+                    connection.logerror(plugin, 'SUBADDRESS error=' + err.message + ' rcpt=' + recipient);
+                }
+            }
 
             connection.logdebug(plugin, 'Filtering message for ' + recipient);
 
@@ -1486,7 +2320,7 @@ exports.hook_queue = function (next, connection) {
                         source: 'MX',
                         from: txn.notes.sender,
                         to: [recipient],
-                        origin: remoteIp,
+                        origin: txn.notes.clientIp || remoteIp,
                         transhost,
                         transtype: txn.notes.transmissionType,
                         spamScore: rspamd ? rspamd.score : false,
@@ -1691,6 +2525,9 @@ exports.hook_queue = function (next, connection) {
                     });
 
                     connection.loginfo(plugin, 'STORED rcpt=' + recipient + ' user=' + userData.address + '[' + userData._id + '] result=' + response.response);
+
+                    // storageUsed is from RCPT TO, so add the size of the stored message
+                    plugin.checkQuotaWarning(connection, userData, (userData.storageUsed || 0) + collector.chunklen);
                 }
             } catch (err) {
                 sendLogEntry({
@@ -1731,117 +2568,1101 @@ exports.hook_queue = function (next, connection) {
         return [OK, 'Message processed'];
     };
 
-    // try to forward the message. If forwarding is not needed then continues immediately
-    forwardMessage(() => {
-        // send autoreplies to forwarded addresses (if needed)
-        sendAutoreplies()
-            .catch(err => {
-                connection.logerror(plugin, 'AUTOREPLY error=' + err.message);
-            })
-            .finally(() => {
-                storeMessages()
-                    .then(args => next(...args))
-                    .catch(err => {
-                        // should not happen, just in case
-                        sendLogEntry({
-                            full_message: err.stack,
-                            _no_store: 'yes',
-                            _error: 'failed to store message',
-                            _failure: 'yes',
-                            _err_code: err.code
+    const handleError = err => {
+        // should not happen, just in case
+        sendLogEntry({
+            full_message: err.stack,
+            _no_store: 'yes',
+            _error: 'failed to store message',
+            _failure: 'yes',
+            _err_code: err.code
+        });
+
+        connection.loginfo(plugin, 'DEFERRED error=' + err.message);
+        txn.notes.rejectCode = 'ERRQ06';
+        next(DENYSOFT, 'Failed to queue message [ERRQ06]');
+    };
+
+    // failure reports describe the final outcome, so these are sent once the message is stored or rejected
+    const finish = args => {
+        plugin.sendDmarcFailureReport(connection, dmarcDecision, args[0]);
+        next(...args);
+    };
+
+    // collect the message first, so recipients can be checked against the actual message before anything is sent out
+    collectData(() => {
+        checkRecipients()
+            .then(rejection => {
+                if (rejection) {
+                    return finish(rejection);
+                }
+
+                // try to forward the message. If forwarding is not needed then continues immediately
+                forwardMessage(() => {
+                    // send autoreplies to forwarded addresses (if needed)
+                    sendAutoreplies()
+                        .catch(err => {
+                            connection.logerror(plugin, 'AUTOREPLY error=' + err.message);
+                        })
+                        .finally(() => {
+                            storeMessages().then(finish).catch(handleError);
                         });
+                });
+            })
+            .catch(handleError);
+    });
+};
 
-                        connection.loginfo(plugin, 'DEFERRED error=' + err.message);
-                        txn.notes.rejectCode = 'ERRQ06';
-                        next(DENYSOFT, 'Failed to queue message [ERRQ06]');
-                    });
-            });
+/**
+ * Check if a message of the given size fits into the remaining storage quota of a user
+ * Quota defaults to the `const:max:storage` setting, `quota.grace` allows exceeding it by a percentage
+ * @param {Object} txn - Haraka transaction object
+ * @param {Object} userData - User data with storageUsed and quota
+ * @param {number} size - Message size in bytes
+ * @returns {Object} Check result {allowed, limit, remaining}
+ */
+exports.checkQuotaSize = function (txn, userData, size) {
+    const config = this.cfg.quota || {};
+    if (!config.checkSize || !size) {
+        return { allowed: true };
+    }
+
+    return quota.checkMessageSize({
+        storageUsed: userData.storageUsed,
+        quota: userData.quota || (txn.notes.settings && txn.notes.settings['const:max:storage']),
+        size,
+        grace: config.grace
     });
 };
 
 /**
- * Check rate limit for a given selector and key (does not increment counter)
- * Uses Redis TTL counters with configurable window sizes
+ * Send a quota warning to the user if storage usage has crossed a warning threshold
+ * Runs in the background, errors are logged and do not affect delivery
  * @param {Object} connection - Haraka connection object
- * @param {string} selector - Rate limit type (rcpt, rcptIp, etc.)
- * @param {string} key - Unique identifier for rate limiting
- * @param {number} limit - Optional override for default limit
- * @param {Function} next - Callback with (err, success)
+ * @param {Object} userData - User data with _id, address, name and quota
+ * @param {number} storageUsed - Current storage usage in bytes
  */
-exports.checkRateLimit = function (connection, selector, key, limit, next) {
+exports.checkQuotaWarning = function (connection, userData, storageUsed) {
     const plugin = this;
+    const txn = connection.transaction;
 
-    limit = Number(limit) || plugin.cfg.limits[selector];
-    if (!limit) {
-        return next(null, true);
+    if (!plugin.cfg.quotaWarnings || !plugin.cfg.quotaWarnings.enabled) {
+        return;
     }
 
-    const windowSize = plugin.cfg.limits[selector + 'WindowSize'] || plugin.cfg.limits.windowSize || 1 * 3600;
+    const userQuota = userData.quota || (txn && txn.notes.settings && txn.notes.settings['const:max:storage']);
 
-    plugin.ttlcounter('rl:' + selector + ':' + key, 0, limit, windowSize, (err, result) => {
-        if (err) {
-            connection.logerror(plugin, 'RATELIMITERR error=' + err.message);
-            return next(err);
-        }
+    quotaWarnings
+        .sendQuotaWarning(plugin, userData, { storageUsed, quota: userQuota })
+        .then(result => {
+            if (!result) {
+                return;
+            }
 
-        if (!result.success) {
-            connection.lognotice(
-                plugin,
-                'RATELIMITED key=' + key + ' selector=' + selector + ' limit=' + limit + ' value=' + result.value + ' ttl=' + result.ttl
-            );
-        }
+            connection.loginfo(plugin, `QUOTA WARNING user=${userData.address}[${userData._id}] threshold=${result.threshold}% usage=${result.percent}%`);
+            plugin.loggelf({
+                short_message: '[QUOTA WARNING] ' + userData.address,
+                _mail_action: 'quota_warning',
+                _queue_id: txn && txn.uuid,
+                _user: userData._id.toString(),
+                _to: userData.address,
+                _quota_threshold: result.threshold,
+                _quota_usage: result.percent,
+                _storage_used: storageUsed,
+                _max_quota: userQuota,
+                _stored_id: result.id && result.id.toString()
+            });
+        })
+        .catch(err => {
+            connection.logerror(plugin, 'QUOTA WARNING error=' + err.message);
+            plugin.loggelf({
+                short_message: '[QUOTA WARNING] ' + userData.address,
+                full_message: err.stack,
+                _mail_action: 'quota_warning',
+                _queue_id: txn && txn.uuid,
+                _user: userData._id.toString(),
+                _error: 'failed to send quota warning',
+                _failure: 'yes',
+                _err_code: err.code
+            });
+        });
+};
 
-        next(null, result.success);
-    });
+/**
+ * Check if the client is blocked for directory harvesting, either for the current connection
+ * or temporarily for the client IP. Trusted relays are never blocked
+ * @param {Object} connection - Haraka connection object
+ * @returns {Promise<Object|boolean>} Block info {reason, ttl} or false if not blocked
+ */
+exports.checkHarvestBlock = async function (connection) {
+    const plugin = this;
+
+    if (!plugin.cfg.harvest || !plugin.cfg.harvest.enabled || plugin.isTrustedRelay(connection)) {
+        return false;
+    }
+
+    if (connection.notes.harvestBlocked) {
+        return { reason: 'connection' };
+    }
+
+    const ttl = await plugin.db.redis.ttl(harvest.getBlockKey(plugin.getIpKey(connection.remote.ip, plugin.cfg.harvest)));
+    if (ttl > 0) {
+        connection.notes.harvestBlocked = true;
+        return { reason: 'ip', ttl };
+    }
+
+    return false;
 };
 
 /**
- * Update (increment) rate limit counters after successful delivery
- * @param {Object} plugin - Plugin instance
+ * Register an unknown recipient for directory harvest detection
+ * Updates per-connection and per-IP counters. Crossing thresholds enables tarpitting, defers
+ * the rest of the connection or blocks the client IP temporarily. Skipped for trusted relays.
  * @param {Object} connection - Haraka connection object
- * @param {string} selector - Rate limit type
- * @param {string} key - Unique identifier
- * @param {number} limit - Optional limit override
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<Object|boolean>} Result {action, delay, connectionCount, ipCount} or false if disabled or skipped
  */
-exports.updateRateLimit = async (plugin, connection, selector, key, limit) => {
-    limit = Number(limit) || plugin.cfg.limits[selector];
-    if (!limit) {
-        return true;
+exports.recordHarvestFailure = async function (connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (!plugin.cfg.harvest || !plugin.cfg.harvest.enabled || plugin.isTrustedRelay(connection)) {
+        return false;
     }
 
-    const windowSize = plugin.cfg.limits[selector + 'WindowSize'] || plugin.cfg.limits.windowSize || 1 * 3600;
+    const config = harvest.getConfig(plugin.cfg.harvest);
+    const remoteIp = connection.remote.ip;
+    const ipKey = plugin.getIpKey(remoteIp, config);
 
-    return new Promise((resolve, reject) => {
-        plugin.ttlcounter('rl:' + selector + ':' + key, 1, limit, windowSize, (err, result) => {
-            if (err) {
-                connection.logerror(plugin, 'RATELIMITERR error=' + err.message);
-                return reject(err);
-            }
+    const connectionCount = (connection.notes.harvestCount || 0) + 1;
+    connection.notes.harvestCount = connectionCount;
 
-            connection.logdebug(
-                plugin,
-                'Rate limit key=' + key + ' selector=' + selector + ' limit=' + limit + ' value=' + result.value + ' ttl=' + result.ttl
-            );
+    const ipResult = await plugin.ttlcounterAsync(harvest.getCounterKey(ipKey), 1, config.ipLimit, config.windowSize);
+
+    const result = {
+        action: false,
+        delay: harvest.getTarpitDelay(connectionCount, config),
+        connectionCount,
+        ipCount: ipResult.value
+    };
+
+    if (!ipResult.success) {
+        await plugin.db.redis.set(harvest.getBlockKey(ipKey), connectionCount, 'EX', config.blockTime);
+        connection.notes.harvestBlocked = true;
+        result.action = 'ip_blocked';
+    } else if (config.connectionLimit && connectionCount >= config.connectionLimit) {
+        connection.notes.harvestBlocked = true;
+        result.action = 'connection_blocked';
+    } else if (result.delay) {
+        result.action = 'tarpit';
+    }
+
+    if (result.action) {
+        connection.lognotice(
+            plugin,
+            `HARVEST action=${result.action} ip=${remoteIp} connection=${connectionCount} ip-count=${result.ipCount} delay=${result.delay}`
+        );
 
-            resolve(result.success);
+        plugin.loggelf({
+            short_message: '[HARVEST] ' + result.action + ' ' + remoteIp,
+            _mail_action: 'harvest',
+            _queue_id: txn && txn.uuid,
+            _ip: remoteIp,
+            _from: txn && txn.notes.sender,
+            _harvest_action: result.action,
+            _harvest_connection_count: connectionCount,
+            _harvest_ip_count: result.ipCount,
+            _tarpit_delay: result.delay,
+            _block_time: result.action === 'ip_blocked' ? config.blockTime : undefined
         });
-    });
+    }
+
+    return result;
 };
 
 /**
- * Extract and normalize the From header address from message
- * Handles group syntax and decodes encoded words
- * @param {Object} txn - Transaction object with headers
- * @returns {Object} Normalized address object with {address, provided}
+ * Check if the client is a trusted relay, unknown recipients from relays belong to their clients
+ * and are not counted against the relay IP
+ * @param {Object} connection - Haraka connection object
+ * @returns {boolean} True for clients listed in `trustedRelays`
  */
-exports.getHeaderFrom = function (txn) {
-    const fromAddresses = new Map();
-    [].concat(txn.header.get_all('From') || []).forEach(entry => {
-        const walk = addresses => {
-            addresses.forEach(address => {
-                if (address.address) {
-                    const normalized = tools.normalizeAddress(address.address, false, { removeLabel: true });
+exports.isTrustedRelay = function (connection) {
+    const txn = connection.transaction;
+    return !!((txn && txn.notes.trustedRelay) || cidr.matches(connection.remote.ip, this.cfg.trustedRelays));
+};
+
+/**
+ * Check greylisting for a recipient user
+ * Skipped for trusted relays (client is not known before DATA), SPF-pass senders from
+ * allowlisted domains and users that have opted out
+ * Client networks use greylist prefix lengths, falling back to the limits prefix lengths
+ * @param {Object} connection - Haraka connection object
+ * @param {Object} userData - Recipient user data
+ * @returns {Promise<Object|boolean>} Greylisting result {action, reason, network, retryIn} or false if not checked
+ */
+exports.checkGreylist = async function (connection, userData) {
+    const plugin = this;
+    const txn = connection.transaction;
+    const config = plugin.cfg.greylist;
+
+    if (!config || !config.enabled || txn.notes.trustedRelay) {
+        return false;
+    }
+
+    if (greylist.isAllowlistedSender(txn.notes.spfResult, config.domains)) {
+        return { action: 'pass', reason: 'sender_allowlist' };
+    }
+
+    if (greylist.isOptedOut(userData)) {
+        return { action: 'pass', reason: 'opt_out' };
+    }
+
+    return await greylist.check(
+        plugin.db.redis,
+        {
+            ip: connection.remote.ip,
+            sender: txn.notes.sender,
+            user: userData._id.toString()
+        },
+        Object.assign({}, config, plugin.getIpPrefixes(config))
+    );
+};
+
+/**
+ * Resolve per transaction recipient limits for the current connection
+ * Total limit defaults to the const:max:recipients setting. Type specific limits and overrides
+ * for sending IP ranges are set in limits.recipients
+ * @param {Object} connection - Haraka connection object
+ * @returns {Object} Limits {total, users, forwards, srs}, 0 or missing value means no limit
+ */
+exports.getRecipientLimits = function (connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (txn.notes.rcptLimits) {
+        return txn.notes.rcptLimits;
+    }
+
+    const config = (plugin.cfg.limits && plugin.cfg.limits.recipients) || {};
+
+    const limits = {
+        total: Number(config.total) || Number(txn.notes.settings && txn.notes.settings['const:max:recipients']) || 0,
+        users: Number(config.users) || 0,
+        forwards: Number(config.forwards) || 0,
+        srs: Number(config.srs) || 0
+    };
+
+    const override = [].concat(config.overrides || []).find(entry => entry && cidr.matches(connection.remote.ip, entry.ips));
+    if (override) {
+        for (const key of Object.keys(limits)) {
+            if (typeof override[key] !== 'undefined') {
+                limits[key] = Number(override[key]) || 0;
+            }
+        }
+    }
+
+    txn.notes.rcptLimits = limits;
+    return limits;
+};
+
+/**
+ * Create an ARC set for the forwarded copy of the current message
+ * Signing key is selected based on recipient domains, see lib/arc-seal.js
+ * @param {Object} connection - Haraka connection object
+ * @returns {Promise<Object|boolean>} Seal object with {headers, signingDomain} or false if not sealed
+ */
+exports.seal_forwarded_message = async function (connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    const sealConfig = plugin.cfg.auth && plugin.cfg.auth.arc && plugin.cfg.auth.arc.seal;
+    if (!sealConfig || !sealConfig.enabled) {
+        return false;
+    }
+
+    const domains = [];
+    for (const rcpt of txn.rcpt_to || []) {
+        const domain = (rcpt.host || '').toLowerCase().trim();
+        if (domain && !domains.includes(domain)) {
+            domains.push(domain);
+        }
+    }
+
+    const arcSeal = await arcSealer.createArcSeal(plugin, {
+        dkimResult: txn.notes.dkimResult,
+        arcResult: txn.notes.arcResult,
+        authResults: connection.auth_results(),
+        domains
+    });
+
+    if (arcSeal) {
+        connection.loginfo(plugin, `ARC SEALED i=${arcSeal.instance} cv=${arcSeal.cv} d=${arcSeal.signingDomain} s=${arcSeal.selector}`);
+    }
+
+    return arcSeal;
+};
+
+/**
+ * Apply DMARC policy enforcement for the current transaction
+ * Uses the DMARC result from data_post and `auth.dmarc` config to decide if the
+ * message should be rejected, deferred or routed to Junk. Every decision is logged to GELF,
+ * nothing is logged if enforcement is disabled for all recipient domains.
+ * @param {Object} connection - Haraka connection object
+ * @returns {Object|boolean} Decision object from lib/dmarc-enforce or false if nothing to enforce
+ */
+exports.checkDmarcPolicy = function (connection) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    const dmarcConfig = plugin.cfg.auth && plugin.cfg.auth.dmarc;
+    if (!dmarcConfig) {
+        return false;
+    }
+
+    const recipients = (txn.rcpt_to || []).map(rcpt => rcpt.address());
+    if (!recipients.some(recipient => dmarcEnforce.getDomainConfig(dmarcConfig, recipient.split('@').pop().toLowerCase().trim()).enforce)) {
+        // enforcement is disabled for all recipient domains, nothing to decide or log
+        return false;
+    }
+    const decision = dmarcEnforce.evaluate(txn.notes.dmarcResult, recipients, dmarcConfig);
+    if (!decision) {
+        return false;
+    }
+
+    const arcOverride = txn.notes.arcOverride;
+    if (decision.action !== 'none' && arcOverride && arcOverride.dmarcPass) {
+        // message passed DMARC before reaching a trusted ARC sealer
+        decision.action = 'none';
+        decision.arcOverride = arcOverride.sealer;
+        for (const recipient of decision.actions.keys()) {
+            decision.actions.set(recipient, 'none');
+        }
+    }
+
+    txn.notes.dmarcDecision = decision;
+
+    connection.loginfo(
+        plugin,
+        `DMARC ENFORCE domain=${decision.domain} policy=${decision.published} pct=${decision.pct} sampled=${decision.sampled ? 'yes' : 'no'} action=${
+            decision.action
+        }${decision.arcOverride ? ' arc-override=' + decision.arcOverride : ''}`
+    );
+
+    const headerFrom = plugin.getHeaderFrom(txn);
+
+    plugin.loggelf({
+        short_message: '[DMARC] ' + decision.action + ' ' + txn.uuid,
+        _mail_action: 'dmarc_enforce',
+        _queue_id: txn.uuid,
+        _ip: connection.remote.ip,
+        _client_ip: txn.notes.clientIp,
+        _from: txn.notes.sender,
+        _header_from: headerFrom && headerFrom.address,
+        _dmarc_domain: decision.domain,
+        _dmarc_policy: decision.published,
+        _dmarc_applied_policy: decision.policy,
+        _dmarc_pct: decision.pct,
+        _dmarc_sampled: decision.sampled ? 'yes' : 'no',
+        _dmarc_action: decision.action,
+        _arc_override: decision.arcOverride,
+        _dmarc_rcpt_actions: Array.from(decision.actions)
+            .map(([recipient, action]) => `${recipient}=${action}`)
+            .join('\n')
+    });
+
+    return decision;
+};
+
+/**
+ * Store DMARC results of the current transaction for aggregate (RUA) reporting
+ * Every transaction is recorded once, either when queued or when rejected.
+ * Runs in the background, errors are only logged
+ * @param {Object} connection - Haraka connection object
+ * @param {Object|boolean} dmarcDecision - Enforcement decision from checkDmarcPolicy
+ */
+exports.recordDmarcAggregate = function (connection, dmarcDecision) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (!txn.notes.dmarcResult || txn.notes.dmarcRecorded) {
+        // DMARC was not evaluated or the message is already counted
+        return;
+    }
+    txn.notes.dmarcRecorded = true;
+
+    let disposition = 'none';
+    switch (dmarcDecision && dmarcDecision.action) {
+        case 'reject':
+            disposition = 'reject';
+            break;
+        case 'junk':
+            disposition = 'quarantine';
+            break;
+    }
+
+    dmarcReports
+        .recordAggregate(plugin, {
+            dmarcResult: txn.notes.dmarcResult,
+            spfResult: txn.notes.spfResult,
+            dkimResult: txn.notes.dkimResult,
+            sourceIp: txn.notes.clientIp || connection.remote.ip,
+            envelopeFrom: txn.notes.sender,
+            disposition
+        })
+        .catch(err => {
+            connection.logerror(plugin, 'DMARC RUA error=' + err.message);
+        });
+};
+
+/**
+ * Send a DMARC failure (RUF) report for the current transaction if the sending domain asks for it
+ * Runs in the background, the outcome is logged to GELF. Deferred messages are reported once the sender retries
+ * @param {Object} connection - Haraka connection object
+ * @param {Object|boolean} dmarcDecision - Enforcement decision from checkDmarcPolicy
+ * @param {number} code - Final queue result, eg. OK or DENY
+ */
+exports.sendDmarcFailureReport = function (connection, dmarcDecision, code) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    if (code === DENYSOFT) {
+        return;
+    }
+
+    let deliveryResult = code === DENY ? 'reject' : 'delivered';
+    if (deliveryResult === 'delivered' && dmarcDecision && dmarcDecision.action === 'junk') {
+        deliveryResult = 'spam';
+    }
+
+    const dmarcResult = txn.notes.dmarcResult;
+
+    dmarcReports
+        .sendFailureReport(plugin, {
+            dmarcResult,
+            spfResult: txn.notes.spfResult,
+            dkimResult: txn.notes.dkimResult,
+            sourceIp: txn.notes.clientIp || connection.remote.ip,
+            envelopeFrom: txn.notes.sender,
+            headerLines: txn.header.lines(),
+            deliveryResult,
+            queueId: txn.uuid
+        })
+        .then(result => {
+            if (!result || (!result.queued && ['disabled', 'no_ruf'].includes(result.reason))) {
+                return;
+            }
+            plugin.loggelf({
+                short_message: '[DMARC RUF] ' + (result.queued ? 'Queued report' : 'Skipped report') + ' ' + txn.uuid,
+                _mail_action: 'dmarc_report',
+                _queue_id: txn.uuid,
+                _dmarc_domain: dmarcResult && dmarcResult.domain,
+                _target_queue_id: result.queueId,
+                _to: result.to && result.to.join('\n'),
+                _skip_reason: result.reason
+            });
+        })
+        .catch(err => {
+            connection.logerror(plugin, 'DMARC RUF error=' + err.message);
+        });
+};
+
+/**
+ * Start periodic logging of DNS cache statistics
+ * Interval is set in seconds with `auth.dns.cache.statsInterval`, 0 disables logging
+ */
+exports.schedule_dns_stats = function () {
+    const plugin = this;
+
+    clearInterval(plugin.dnsStatsTimer);
+
+    const cacheConfig = (plugin.cfg.auth && plugin.cfg.auth.dns && plugin.cfg.auth.dns.cache) || {};
+    const statsInterval = Number(cacheConfig.statsInterval) || 0;
+    if (!plugin.dnsResolver || statsInterval <= 0) {
+        return;
+    }
+
+    plugin.dnsStatsTimer = setInterval(() => plugin.logDnsStats(), statsInterval * 1000);
+    plugin.dnsStatsTimer.unref();
+};
+
+/**
+ * Log DNS cache statistics of the current process
+ */
+exports.logDnsStats = function () {
+    const plugin = this;
+    const stats = plugin.dnsResolver.stats();
+
+    plugin.loginfo(
+        `DNS CACHE size=${stats.size} hits=${stats.hits} negative-hits=${stats.negativeHits} misses=${stats.misses} rate=${stats.hitRate}% errors=${stats.errors} timeouts=${stats.timeouts}`
+    );
+
+    plugin.loggelf({
+        short_message: '[DNS CACHE] ' + plugin.hostname,
+        _mail_action: 'dns_cache',
+        _pid: process.pid,
+        _dns_cache_size: stats.size,
+        _dns_cache_hits: stats.hits,
+        _dns_cache_negative_hits: stats.negativeHits,
+        _dns_cache_redis_hits: stats.redisHits,
+        _dns_cache_misses: stats.misses,
+        _dns_cache_hit_rate: stats.hitRate,
+        _dns_cache_evictions: stats.evictions,
+        _dns_errors: stats.errors,
+        _dns_timeouts: stats.timeouts,
+        _dns_retries: stats.retries
+    });
+};
+
+/**
+ * Start periodic DMARC aggregate report generation
+ * Every plugin process runs the timer, a Redis lock ensures that only one of these generates reports at a time
+ */
+exports.schedule_dmarc_reports = function () {
+    const plugin = this;
+
+    clearTimeout(plugin.dmarcReportTimer);
+
+    const options = (plugin.cfg.dmarcReports && plugin.cfg.dmarcReports.aggregate) || {};
+    if (!options.enabled) {
+        return;
+    }
+
+    const checkInterval = (Number(options.checkInterval) || 3600) * 1000;
+
+    plugin.db.database
+        .collection(options.collection || 'dmarcaggregate')
+        .createIndexes([
+            { key: { domain: 1, period: 1 }, name: 'domain_period' },
+            { key: { expires: 1 }, name: 'expires', expireAfterSeconds: 0 }
+        ])
+        .catch(err => plugin.logerror('Failed to create DMARC aggregate indexes. ' + err.message));
+
+    const run = async () => {
+        const lock = await plugin.db.redis.set('dmarc:rua:lock', plugin.hostname, 'EX', Math.ceil(checkInterval / 1000), 'NX');
+        if (!lock) {
+            // some other process is already sending reports
+            return;
+        }
+        const queued = await dmarcReports.sendAggregateReports(plugin);
+        if (queued) {
+            plugin.loginfo(`DMARC RUA queued ${queued} reports`);
+        }
+    };
+
+    const tick = () => {
+        run()
+            .catch(err => plugin.logerror('DMARC RUA error=' + err.message))
+            .finally(() => {
+                plugin.dmarcReportTimer = setTimeout(tick, checkInterval);
+                plugin.dmarcReportTimer.unref();
+            });
+    };
+
+    plugin.dmarcReportTimer = setTimeout(tick, 60 * 1000);
+    plugin.dmarcReportTimer.unref();
+};
+
+/**
+ * Verify null sender messages against messages sent by the recipients
+ * Bounces are verified if sent to a valid BATV signed return path or if they reference the Message-ID
+ * of a message recorded as sent by the user. Verification fails open on Redis errors.
+ * @param {Object} connection - Haraka connection object
+ * @param {Array<Object>} userList - Local recipients {userData, recipient, batv}
+ * @param {Array<Buffer>} chunks - Message chunks
+ * @returns {Promise<Map>} Actions for unverified bounces by user ID, either "junk" or "reject"
+ */
+exports.checkBounceVerification = async function (connection, userList, chunks) {
+    const plugin = this;
+    const txn = connection.transaction;
+    const decision = new Map();
+
+    if (!plugin.cfg.bounceVerification || !plugin.cfg.bounceVerification.enabled || txn.notes.sender) {
+        return decision;
+    }
+
+    const config = bounceVerify.getConfig(plugin.cfg.bounceVerification);
+
+    let messageIds;
+    for (const rcptData of userList) {
+        const userData = rcptData.userData;
+        const action = bounceVerify.getAction(userData, config);
+        if (action === 'off') {
+            continue;
+        }
+
+        let verified = rcptData.batv ? 'batv' : false;
+        let messageId = false;
+        if (!verified) {
+            messageIds = messageIds || bounceVerify.getReferencedMessageIds(chunks);
+            try {
+                messageId = await bounceVerify.findSentMessage(plugin.db.redis, userData._id, messageIds, config);
+                verified = messageId ? 'sent_message' : false;
+            } catch (err) {
+                connection.logerror(plugin, 'BOUNCE VERIFY error=' + err.message);
+                verified = 'error';
+            }
+        }
+
+        if (!verified) {
+            decision.set(userData._id.toString(), action);
+        }
+
+        plugin.loggelf({
+            short_message: '[BOUNCE] ' + txn.uuid,
+            _mail_action: 'bounce_verification',
+            _queue_id: txn.uuid,
+            _ip: connection.remote.ip,
+            _user: userData._id.toString(),
+            _to: rcptData.recipient,
+            _bounce_verified: verified || 'no',
+            _bounce_action: verified ? '' : action,
+            _bounce_message_id: messageId,
+            _bounce_references: messageIds && messageIds.length
+        });
+    }
+
+    return decision;
+};
+
+/**
+ * Find the target mailbox for a subaddress tag
+ * Missing mailboxes are only created with `options.create` if `subaddress.autoCreate` is set, this should
+ * be done once the message has been accepted, not at RCPT TO
+ * @param {Object} userData - User data with _id
+ * @param {string} tag - Subaddress tag used as the mailbox path
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.create] - Create the mailbox if missing
+ * @returns {Promise<Object|boolean>} Mailbox info {mailbox, path, created}, {mailbox: false, path, pending: true} if the
+ *     mailbox would be created, or false to use the default target
+ */
+exports.getSubaddressMailbox = async function (userData, tag, options) {
+    const plugin = this;
+    const config = subaddressing.getConfig(plugin.cfg.subaddress);
+
+    if (!tag || tag.toUpperCase() === 'INBOX') {
+        return false;
+    }
+
+    const mailboxData = await plugin.db.database.collection('mailboxes').findOne(
+        {
+            user: userData._id,
+            path: tag
+        },
+        { projection: { _id: true, path: true } }
+    );
+
+    if (mailboxData) {
+        return { mailbox: mailboxData._id, path: mailboxData.path, created: false };
+    }
+
+    if (!config.autoCreate || !subaddressing.isValidMailboxName(tag)) {
+        return false;
+    }
+
+    if (!options || !options.create) {
+        return { mailbox: false, path: tag, pending: true };
+    }
+
+    const mailbox = await new Promise((resolve, reject) => {
+        plugin.db.mailboxHandler.create(userData._id, tag, { subscribed: true }, (err, status, id) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(id);
+        });
+    });
+
+    return { mailbox, path: tag, created: true };
+};
+
+/**
+ * Find a mailbox with a special use flag for a user
+ * @param {ObjectId} user - User ID
+ * @param {string} specialUse - Special use flag, eg. "\\Junk"
+ * @returns {Promise<Object|null>} Mailbox entry with _id and path
+ */
+exports.getSpecialUseMailbox = async function (user, specialUse) {
+    const plugin = this;
+    return await plugin.db.database.collection('mailboxes').findOne(
+        {
+            user,
+            specialUse
+        },
+        { projection: { _id: true, path: true } }
+    );
+};
+
+/**
+ * Resolve prefix lengths for grouping client IPs
+ * Values set in the given config override `limits.ipv4Prefix` and `limits.ipv6Prefix`, by default
+ * IPv4 addresses are grouped by /32 and IPv6 addresses by /64
+ * @param {Object} [config] - Config with prefix overrides, eg. cfg.harvest or cfg.greylist
+ * @returns {Object} Prefix lengths {ipv4Prefix, ipv6Prefix}
+ */
+exports.getIpPrefixes = function (config) {
+    const limits = this.cfg.limits || {};
+    const getPrefix = (name, defaultPrefix) => [config && config[name], limits[name], defaultPrefix].find(prefix => typeof prefix === 'number');
+
+    return { ipv4Prefix: getPrefix('ipv4Prefix', 32), ipv6Prefix: getPrefix('ipv6Prefix', 64) };
+};
+
+/**
+ * Get the counter key for a client IP
+ * Addresses are grouped by prefix lengths from getIpPrefixes, by default IPv4 addresses are counted
+ * separately and IPv6 addresses by /64 network
+ * @param {string} ip - Client IP address
+ * @param {Object} [config] - Config with prefix overrides, eg. cfg.harvest
+ * @returns {string} Address or network key, eg. "192.0.2.1" or "2001:db8:1:2::/64"
+ */
+exports.getIpKey = function (ip, config) {
+    // invalid addresses are used as is
+    return cidr.getAddressKey(ip, this.getIpPrefixes(config)) || ip;
+};
+
+/**
+ * Get the rate limit algorithm for a selector
+ * Uses `limits.<selector>Algorithm`, falls back to `limits.algorithm` and then to "fixed". Byte volume
+ * selectors (rcptBytes, clientIpBytes) always use fixed windows
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, forwards, etc.)
+ * @returns {string} One of "fixed" (WildDuck ttlcounter), "sliding" or "bucket"
+ */
+exports.getRateLimitAlgorithm = function (selector) {
+    const limits = this.cfg.limits || {};
+    if (/Bytes$/.test(selector)) {
+        // byte counters are incremented by message size, sliding window logs store an entry per counted unit
+        return 'fixed';
+    }
+    const algorithm = limits[selector + 'Algorithm'] || limits.algorithm || 'fixed';
+    return rateLimiter.isSupported(algorithm) ? algorithm : 'fixed';
+};
+
+/**
+ * Get the counter window size for a selector
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, forwards, etc.)
+ * @param {number} [windowSize] - Window size override in seconds
+ * @returns {number|boolean} Window size in seconds, false for the WildDuck default of forwarding counters
+ */
+exports.getRateLimitWindow = function (selector, windowSize) {
+    const limits = this.cfg.limits || {};
+    // forwarding counters are shared with WildDuck and use its default window unless configured
+    const defaultWindowSize = selector === 'forwards' ? false : limits.windowSize || 1 * 3600;
+    return windowSize || limits[selector + 'WindowSize'] || defaultWindowSize;
+};
+
+/**
+ * Get the Redis key of a rate limit counter
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, forwards, etc.)
+ * @param {string} key - Unique identifier for rate limiting
+ * @returns {string} Counter key, depends on the algorithm configured for the selector
+ */
+exports.getRateLimitKey = function (selector, key) {
+    const algorithm = this.getRateLimitAlgorithm(selector);
+    if (algorithm !== 'fixed') {
+        return rateLimiter.getKey(algorithm, selector + ':' + key);
+    }
+    return selector === 'forwards' ? 'wdf:' + key : 'rl:' + selector + ':' + key;
+};
+
+/**
+ * Check and optionally increment a rate limit counter using the algorithm configured for the selector
+ * Fixed window counters use WildDuck ttlcounter keys, "rl:<selector>:<key>" or "wdf:<key>" for forwards
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, forwards, etc.)
+ * @param {string} key - Unique identifier for rate limiting
+ * @param {Object} options - Counter options
+ * @param {number} options.limit - Allowed events per window
+ * @param {number} [options.increment=0] - How many events to add, 0 only checks the limit
+ * @param {number} [options.windowSize] - Window size in seconds, defaults to `limits.<selector>WindowSize`
+ * @returns {Promise<Object>} Result {success, value, ttl, retryAfter}, ttl and retryAfter in seconds
+ */
+exports.consumeRateLimit = async function (selector, key, options) {
+    const plugin = this;
+    const increment = Number(options.increment) || 0;
+    const windowSize = plugin.getRateLimitWindow(selector, options.windowSize);
+
+    const algorithm = plugin.getRateLimitAlgorithm(selector);
+    if (algorithm !== 'fixed') {
+        return await rateLimiter.consume(plugin.db.redis, algorithm, selector + ':' + key, {
+            limit: options.limit,
+            windowSize: windowSize || 24 * 3600,
+            increment
+        });
+    }
+
+    const result = await plugin.ttlcounterAsync(plugin.getRateLimitKey(selector, key), increment, options.limit, windowSize);
+
+    // fixed window resets when the counter expires
+    return Object.assign({ retryAfter: result.success ? 0 : result.ttl }, result);
+};
+
+/**
+ * Reserve a slot in a rate limit counter, reserved slots count against the limit until released
+ * Reservations are stored in "rlr:<selector>:<key>" and expire after `limits.reservation.ttl` seconds
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, etc.)
+ * @param {string} key - Unique identifier for rate limiting
+ * @param {Object} options - Counter options
+ * @param {number} options.limit - Allowed events per window
+ * @returns {Promise<Object>} Result {success, value, ttl, retryAfter, id, reservationKey}
+ */
+exports.reserveRateLimit = async function (selector, key, options) {
+    const plugin = this;
+    const reservation = (plugin.cfg.limits && plugin.cfg.limits.reservation) || {};
+    const reservationKey = 'rlr:' + selector + ':' + key;
+
+    const result = await rateLimiter.reserve(plugin.db.redis, plugin.getRateLimitAlgorithm(selector), plugin.getRateLimitKey(selector, key), reservationKey, {
+        limit: options.limit,
+        windowSize: plugin.getRateLimitWindow(selector) || 24 * 3600,
+        ttl: Number(reservation.ttl) || 10 * 60
+    });
+
+    return Object.assign({ reservationKey }, result);
+};
+
+/**
+ * Release rate limit slots reserved by the current transaction
+ * Errors are logged and not returned, unreleased slots expire by themselves
+ * @param {Object} connection - Haraka connection object
+ * @param {boolean} [pendingOnly=false] - Only release slots reserved for the recipient that is currently processed
+ * @returns {Promise<number>} Count of released reservations
+ */
+exports.releaseRateReservations = async function (connection, pendingOnly) {
+    const plugin = this;
+    const txn = connection.transaction;
+    const reservations = (txn && txn.notes.rateReservations) || [];
+
+    const released = reservations.filter(reservation => !pendingOnly || reservation.pending);
+    if (!released.length) {
+        return 0;
+    }
+    txn.notes.rateReservations = reservations.filter(reservation => !released.includes(reservation));
+
+    for (const reservation of released) {
+        try {
+            await rateLimiter.release(plugin.db.redis, reservation.reservationKey, reservation.id);
+        } catch (err) {
+            connection.logerror(plugin, 'RATELIMITERR action=release key=' + reservation.reservationKey + ' error=' + err.message);
+        }
+    }
+
+    return released.length;
+};
+
+/**
+ * Find a rate limit exemption for the current transaction, see lib/rate-exempt.js
+ * Lookup errors are logged and treated as not exempted
+ * @param {Object} connection - Haraka connection object
+ * @param {string|ObjectId} [user] - Recipient user ID
+ * @returns {Promise<Object|boolean>} Exemption {type, value, source} or false
+ */
+exports.getRateLimitExemption = async function (connection, user) {
+    const plugin = this;
+    const txn = connection.transaction;
+    const config = plugin.cfg.limits && plugin.cfg.limits.exempt;
+
+    if (!config || !config.enabled || !txn) {
+        return false;
+    }
+
+    try {
+        return await rateExempt.check(
+            plugin.db.redis,
+            {
+                ip: txn.notes.clientIp || connection.remote.ip,
+                domains: rateExempt.getAuthenticatedDomains(txn.notes),
+                user
+            },
+            config
+        );
+    } catch (err) {
+        connection.logerror(plugin, 'RATELIMITERR action=exempt error=' + err.message);
+        return false;
+    }
+};
+
+/**
+ * Log a rate limit decision that was overridden by an exemption
+ * @param {Object} connection - Haraka connection object
+ * @param {string} selector - Rate limit type
+ * @param {string} key - Unique identifier for rate limiting
+ * @param {Object} exemption - Exemption {type, value, source}
+ * @param {Object} result - Rate limit result {value, retryAfter}
+ */
+exports.logRateLimitExemption = function (connection, selector, key, exemption, result) {
+    const plugin = this;
+    const txn = connection.transaction;
+
+    connection.loginfo(
+        plugin,
+        `RATELIMIT EXEMPT key=${key} selector=${selector} value=${result.value} type=${exemption.type} match=${exemption.value} source=${exemption.source}`
+    );
+
+    plugin.loggelf({
+        short_message: '[RATELIMIT EXEMPT] ' + txn.uuid,
+        _mail_action: 'rate_limit_exempt',
+        _queue_id: txn.uuid,
+        _from: txn.notes.sender,
+        _ip: connection.remote.ip,
+        _client_ip: txn.notes.clientIp,
+        _rate_limit: 'yes',
+        _selector: selector,
+        _rate_limit_key: key,
+        _rate_limit_value: result.value,
+        _exempt_type: exemption.type,
+        _exempt_value: exemption.value,
+        _exempt_source: exemption.source
+    });
+};
+
+/**
+ * Check rate limit for a given selector and key (does not increment counter)
+ * Uses the counter algorithm configured for the selector, see consumeRateLimit.
+ * If `limits.reservation.enabled` is set, a slot is reserved for the transaction instead. Slots for
+ * accepted recipients are committed in hook_queue and released if the transaction does not get queued.
+ * Limited requests are allowed if an exemption matches, see getRateLimitExemption.
+ * @param {Object} connection - Haraka connection object
+ * @param {string} selector - Rate limit type (rcpt, rcptIp, etc.)
+ * @param {string} key - Unique identifier for rate limiting
+ * @param {number|Object} limit - Optional override for default limit or options {limit, user}, user is the recipient user ID
+ * @param {Function} next - Callback with (err, success, result), result includes retryAfter in seconds
+ */
+exports.checkRateLimit = function (connection, selector, key, limit, next) {
+    const plugin = this;
+
+    const options = limit && typeof limit === 'object' ? limit : { limit };
+    limit = Number(options.limit) || plugin.cfg.limits[selector];
+    if (!limit) {
+        return next(null, true, { success: true, retryAfter: 0 });
+    }
+
+    const txn = connection.transaction;
+    const reservation = plugin.cfg.limits.reservation;
+    const reserve = reservation && reservation.enabled && txn && txn.notes.rateReservations;
+
+    (reserve ? plugin.reserveRateLimit(selector, key, { limit }) : plugin.consumeRateLimit(selector, key, { increment: 0, limit }))
+        .then(async result => {
+            if (result.id) {
+                txn.notes.rateReservations.push({ selector, key, reservationKey: result.reservationKey, id: result.id, pending: true });
+            }
+
+            const exemption = !result.success && (await plugin.getRateLimitExemption(connection, options.user));
+            if (exemption) {
+                plugin.logRateLimitExemption(connection, selector, key, exemption, result);
+                return Object.assign({}, result, { success: true, exemption });
+            }
+
+            if (!result.success) {
+                connection.lognotice(
+                    plugin,
+                    'RATELIMITED key=' +
+                        key +
+                        ' selector=' +
+                        selector +
+                        ' limit=' +
+                        limit +
+                        ' value=' +
+                        result.value +
+                        ' ttl=' +
+                        result.ttl +
+                        ' retry=' +
+                        result.retryAfter
+                );
+            }
+
+            return result;
+        })
+        .then(
+            result => next(null, result.success, result),
+            err => {
+                connection.logerror(plugin, 'RATELIMITERR error=' + err.message);
+                next(err);
+            }
+        );
+};
+
+/**
+ * Check a byte volume limit, the message fits if already counted bytes plus the message size stay within the limit
+ * Limits are set in `limits.<selector>` in bytes. Counters are incremented in hook_queue with the actual message size.
+ * @param {Object} connection - Haraka connection object
+ * @param {string} selector - Byte volume selector, "rcptBytes" (per recipient user) or "clientIpBytes" (per client IP)
+ * @param {string} key - Unique identifier for rate limiting
+ * @param {number} size - Message size in bytes, if not known only checks if the limit is already reached
+ * @param {Object} [options] - Check options
+ * @param {string|ObjectId} [options.user] - Recipient user ID for exemptions
+ * @returns {Promise<Object>} Result {success, value, ttl, retryAfter, limit, tooLarge}, limit is 0 if not configured
+ */
+exports.checkByteRateLimit = async function (connection, selector, key, size, options) {
+    const plugin = this;
+    const limit = Number(plugin.cfg.limits && plugin.cfg.limits[selector]) || 0;
+    if (!limit) {
+        return { success: true, value: 0, ttl: 0, retryAfter: 0, limit };
+    }
+
+    size = Math.max(Number(size) || 0, 1);
+
+    // counters pass while the counted value is below the limit, so lower the limit by the message size
+    // messages larger than the limit never fit, tooLarge marks these for a permanent rejection
+    const result =
+        size > limit
+            ? { success: false, value: 0, ttl: 0, retryAfter: 0, tooLarge: true }
+            : await plugin.consumeRateLimit(selector, key, { increment: 0, limit: limit - size + 1 });
+    result.limit = limit;
+
+    if (!result.success) {
+        const exemption = await plugin.getRateLimitExemption(connection, options && options.user);
+        if (exemption) {
+            plugin.logRateLimitExemption(connection, selector, key, exemption, result);
+            return Object.assign({}, result, { success: true, exemption });
+        }
+
+        connection.lognotice(
+            plugin,
+            `RATELIMITED key=${key} selector=${selector} limit=${limit} value=${result.value} size=${size} ttl=${result.ttl} retry=${result.retryAfter}`
+        );
+    }
+
+    return result;
+};
+
+/**
+ * Update (increment) rate limit counters after successful delivery
+ * @param {Object} plugin - Plugin instance
+ * @param {Object} connection - Haraka connection object
+ * @param {string} selector - Rate limit type
+ * @param {string} key - Unique identifier
+ * @param {number} limit - Optional limit override
+ * @param {number} [increment=1] - Amount to add, eg. message size for byte counters
+ * @returns {Promise<boolean>} Success status
+ */
+exports.updateRateLimit = async (plugin, connection, selector, key, limit, increment) => {
+    limit = Number(limit) || plugin.cfg.limits[selector];
+    if (!limit) {
+        return true;
+    }
+
+    let result;
+    try {
+        result = await plugin.consumeRateLimit(selector, key, { increment: Number(increment) || 1, limit });
+    } catch (err) {
+        connection.logerror(plugin, 'RATELIMITERR error=' + err.message);
+        throw err;
+    }
+
+    connection.logdebug(plugin, 'Rate limit key=' + key + ' selector=' + selector + ' limit=' + limit + ' value=' + result.value + ' ttl=' + result.ttl);
+
+    return result.success;
+};
+
+/**
+ * Extract and normalize the From header address from message
+ * Handles group syntax and decodes encoded words
+ * @param {Object} txn - Transaction object with headers
+ * @returns {Object} Normalized address object with {address, provided}
+ */
+exports.getHeaderFrom = function (txn) {
+    const fromAddresses = new Map();
+    [].concat(txn.header.get_all('From') || []).forEach(entry => {
+        const walk = addresses => {
+            addresses.forEach(address => {
+                if (address.address) {
+                    const normalized = tools.normalizeAddress(address.address, false, { removeLabel: true });
                     const uview = tools.uview(normalized);
                     try {
                         if (address.name) {
@@ -1947,8 +3768,12 @@ exports.checkRspamdBlacklist = function (txn) {
         return false;
     }
 
+    // authentication related symbols are ignored if a trusted ARC sealer vouches that the message passed DMARC
+    const arcOverride = txn.notes && txn.notes.arcOverride;
+    const overrideSymbols = arcOverride && arcOverride.dmarcPass ? [].concat(plugin.cfg?.auth?.arc?.overrideSymbols || 'DMARC_POLICY_REJECT') : [];
+
     for (const key of plugin.rspamd.blacklist) {
-        if (!(key in symbols)) {
+        if (!(key in symbols) || overrideSymbols.includes(key)) {
             continue;
         }
 
@@ -2004,9 +3829,10 @@ exports.checkRspamdSoftlist = function (txn) {
  * Supports {host} placeholder for sender domain
  * @param {Object} txn - Transaction object
  * @param {string} key - Rspamd symbol key for custom message lookup
+ * @param {number} [code] - SMTP response code, defaults to 550
  * @returns {Object} DSN rejection object
  */
-exports.dsnSpamResponse = function (txn, key) {
+exports.dsnSpamResponse = function (txn, key, code) {
     const plugin = this;
     let message = plugin.rspamd.responses[key] || defaultSpamRejectMessage;
 
@@ -2020,5 +3846,5 @@ exports.dsnSpamResponse = function (txn, key) {
         return domain;
     });
 
-    return DSN.create(550, message, 7, 1);
+    return DSN.create(code || 550, message, 7, 1);
 };
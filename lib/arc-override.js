@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Check if a domain matches the list of trusted ARC sealers
+ * Subdomains of a listed domain are trusted as well
+ * @param {string} domain - ARC sealing domain
+ * @param {Array<string>} trusted - Trusted sealer domains
+ * @returns {boolean} True if the sealer is trusted
+ */
+function isTrustedSealer(domain, trusted) {
+    domain = (domain || '').toString().toLowerCase().trim();
+    if (!domain) {
+        return false;
+    }
+
+    return [].concat(trusted || []).some(entry => {
+        entry = (entry || '').toString().toLowerCase().trim();
+        return entry && (domain === entry || domain.endsWith('.' + entry));
+    });
+}
+
+/**
+ * Check relaxed alignment between an authenticated domain and the From: header domain
+ * @param {string} domain - Authenticated domain
+ * @param {string} from - From: header domain
+ * @returns {boolean} True if domains are aligned
+ */
+function isAligned(domain, from) {
+    domain = (domain || '').toLowerCase();
+    from = (from || '').toLowerCase();
+    return !!domain && !!from && (domain === from || domain.endsWith('.' + from) || from.endsWith('.' + domain));
+}
+
+/**
+ * Resolve authentication results from the ARC-Authentication-Results header of a trusted sealer
+ * Only applies if the ARC chain validated and the most recent sealer is listed as trusted.
+ * The returned results describe the authentication state of the message before it reached the
+ * trusted intermediary, eg. a mailing list or a forwarding service.
+ * @param {Object} arcResult - ARC validation result from mailauth
+ * @param {Object} options - Override options
+ * @param {Array<string>} options.trusted - Trusted sealer domains
+ * @param {string} [options.headerFrom] - From: header domain of the message, DMARC never passes without it
+ * @returns {Object|boolean} Override object {sealer, instance, mta, spf, dkim, dmarc, dmarcPass} or false
+ */
+function getArcOverride(arcResult, options) {
+    options = options || {};
+
+    if (!arcResult || arcResult.status?.result !== 'pass' || !arcResult.authenticationResults) {
+        return false;
+    }
+
+    const sealer = arcResult.signature?.signingDomain;
+    if (!isTrustedSealer(sealer, options.trusted)) {
+        return false;
+    }
+
+    const authResults = arcResult.authenticationResults;
+
+    const spfResult = authResults.spf || {};
+    const spfMailFrom = (spfResult.smtp && spfResult.smtp.mailfrom) || '';
+    const spf = {
+        result: spfResult.result || 'none',
+        domain: spfMailFrom.split('@').pop().toLowerCase()
+    };
+
+    const dkim = [].concat(authResults.dkim || []).map(entry => ({
+        result: entry.result || 'none',
+        domain: ((entry.header && (entry.header.d || entry.header.i)) || '').toString().split('@').pop().toLowerCase()
+    }));
+
+    const headerFrom = (options.headerFrom || '').toLowerCase();
+    const dmarcResult = authResults.dmarc || {};
+    const reportedFrom = ((dmarcResult.header && dmarcResult.header.from) || '').toString().toLowerCase();
+    const dmarc = {
+        result: dmarcResult.result || 'none',
+        from: reportedFrom || headerFrom
+    };
+
+    // reported pass only counts for the From: domain of the current message
+    let dmarcPass = dmarc.result === 'pass' && !!headerFrom && reportedFrom === headerFrom;
+    if (!authResults.dmarc && options.headerFrom) {
+        // sealer did not report DMARC, check alignment of the reported SPF and DKIM results
+        dmarcPass =
+            (spf.result === 'pass' && isAligned(spf.domain, options.headerFrom)) ||
+            dkim.some(entry => entry.result === 'pass' && isAligned(entry.domain, options.headerFrom));
+    }
+
+    return {
+        sealer,
+        instance: arcResult.i,
+        mta: authResults.mta,
+        spf,
+        dkim,
+        dmarc,
+        dmarcPass
+    };
+}
+
+module.exports = { getArcOverride, isTrustedSealer };
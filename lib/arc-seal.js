@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('fs');
+const { createSeal } = require('mailauth/lib/arc');
+
+// private keys loaded from files, path -> key
+const keyCache = new Map();
+
+/**
+ * Load a private key from configuration
+ * Keys can be set either as PEM strings (`privateKey`) or file paths (`privateKeyPath`)
+ * @param {Object} keyConfig - Key configuration
+ * @returns {Promise<string|boolean>} Private key or false if not set
+ */
+async function loadPrivateKey(keyConfig) {
+    if (!keyConfig) {
+        return false;
+    }
+
+    if (keyConfig.privateKey) {
+        return keyConfig.privateKey;
+    }
+
+    if (keyConfig.privateKeyPath) {
+        if (!keyCache.has(keyConfig.privateKeyPath)) {
+            keyCache.set(keyConfig.privateKeyPath, await fs.promises.readFile(keyConfig.privateKeyPath, 'utf-8'));
+        }
+        return keyCache.get(keyConfig.privateKeyPath);
+    }
+
+    return false;
+}
+
+/**
+ * Resolve the ARC signing key to use for a message
+ * Candidate domains are checked in order, first against the `domains` config section and
+ * then against DKIM keys stored in WildDuck database. If nothing matches, the default key is used.
+ * @param {Object} plugin - Plugin instance with cfg and optional dkimHandler
+ * @param {Array<string>} domains - Candidate signing domains, usually forwarding address domains
+ * @returns {Promise<Object|boolean>} Key object {signingDomain, selector, privateKey, algorithm} or false
+ */
+async function getSealKey(plugin, domains) {
+    const sealConfig = (plugin.cfg.auth && plugin.cfg.auth.arc && plugin.cfg.auth.arc.seal) || {};
+    const domainKeys = sealConfig.domains || {};
+
+    for (const domain of domains || []) {
+        const keyConfig = domainKeys[domain];
+        const privateKey = await loadPrivateKey(keyConfig);
+        if (privateKey && keyConfig.selector) {
+            return {
+                signingDomain: keyConfig.signingDomain || domain,
+                selector: keyConfig.selector,
+                privateKey,
+                algorithm: keyConfig.algorithm
+            };
+        }
+    }
+
+    if (plugin.dkimHandler) {
+        for (const domain of domains || []) {
+            let keyData;
+            try {
+                keyData = await plugin.dkimHandler.get({ domain }, true);
+            } catch (err) {
+                if (err.code === 'DkimNotFound' || err.responseCode === 404) {
+                    continue;
+                }
+                throw err;
+            }
+            if (keyData && keyData.privateKey && keyData.selector) {
+                return {
+                    signingDomain: keyData.domain || domain,
+                    selector: keyData.selector,
+                    privateKey: keyData.privateKey
+                };
+            }
+        }
+    }
+
+    const privateKey = await loadPrivateKey(sealConfig);
+    if (privateKey && sealConfig.signingDomain && sealConfig.selector) {
+        return {
+            signingDomain: sealConfig.signingDomain,
+            selector: sealConfig.selector,
+            privateKey,
+            algorithm: sealConfig.algorithm
+        };
+    }
+
+    return false;
+}
+
+/**
+ * Create an ARC set (ARC-Seal, ARC-Message-Signature, ARC-Authentication-Results) for a message
+ * Uses the ARC chain and body hash calculated during DKIM verification in data_post, so the
+ * message does not need to be processed again. Messages with a broken chain are not sealed.
+ * @param {Object} plugin - Plugin instance with cfg and optional dkimHandler
+ * @param {Object} data - Authentication data
+ * @param {Object} data.dkimResult - DKIM result from data_post, includes headers, arc and seal properties
+ * @param {Object} [data.arcResult] - ARC validation result
+ * @param {string} data.authResults - Authentication results value, eg. "mx.example.com; spf=pass ..."
+ * @param {Array<string>} data.domains - Candidate signing domains
+ * @returns {Promise<Object|boolean>} Object {headers, signingDomain, selector, instance, cv} or false if message can not be sealed
+ */
+async function createArcSeal(plugin, data) {
+    const { dkimResult, arcResult, authResults, domains } = data;
+
+    if (!dkimResult || !dkimResult.seal || !dkimResult.seal.bodyHash || !dkimResult.headers) {
+        // body hash was not calculated
+        return false;
+    }
+
+    const cv = (arcResult && arcResult.status && arcResult.status.result) || 'none';
+    if (!['none', 'pass'].includes(cv) && !(arcResult && arcResult.status && arcResult.status.shouldSeal)) {
+        return false;
+    }
+
+    const key = await getSealKey(plugin, domains);
+    if (!key) {
+        return false;
+    }
+
+    const instance = ((arcResult && arcResult.i) || 0) + 1;
+    if (instance > 50) {
+        // ARC chains are limited to 50 sets
+        return false;
+    }
+
+    const seal = Object.assign(
+        {
+            i: instance,
+            cv,
+            authResults,
+            signTime: new Date(),
+            bodyHash: dkimResult.seal.bodyHash
+        },
+        key
+    );
+
+    const sealResult = await createSeal(false, {
+        headers: dkimResult.headers,
+        arc: dkimResult.arc,
+        seal
+    });
+
+    const headers = (sealResult && sealResult.headers) || [];
+    if (!headers.length) {
+        return false;
+    }
+
+    return {
+        headers: Buffer.from(headers.join('\r\n') + '\r\n'),
+        signingDomain: key.signingDomain,
+        selector: key.selector,
+        instance,
+        cv
+    };
+}
+
+module.exports = { getSealKey, createArcSeal, loadPrivateKey };
@@ -0,0 +1,80 @@
+'use strict';
+
+// headers that carry authentication results from an authserv-id
+const AUTH_RESULTS_HEADERS = ['Authentication-Results', 'ARC-Authentication-Results'];
+
+/**
+ * Extract authserv-id from an Authentication-Results or ARC-Authentication-Results header value
+ * @param {string} value - Header value, eg. "mx.example.com; spf=pass" or "i=1; mx.example.com; spf=pass"
+ * @returns {string|boolean} Lowercase authserv-id or false if not found
+ */
+function getAuthservId(value) {
+    const parts = (value || '')
+        .toString()
+        // remove comments
+        .replace(/\([^)]*\)/g, ' ')
+        .split(';')
+        .map(part => part.trim());
+
+    let id = parts[0];
+    if (/^i\s*=\s*\d+$/i.test(id)) {
+        // ARC-Authentication-Results starts with an instance tag
+        id = parts[1];
+    }
+
+    // authserv-id might be followed by a version number
+    id = (id || '').split(/\s+/).shift();
+    return id ? id.toLowerCase() : false;
+}
+
+/**
+ * Remove or rename Authentication-Results and ARC-Authentication-Results headers that claim to be
+ * generated by us. Other headers are kept in their original order.
+ * @param {Object} txn - Haraka transaction object
+ * @param {Object} options - Sanitize options
+ * @param {Array<string>} options.authservIds - Our authserv-id values
+ * @param {string} [options.action='remove'] - Either "remove" or "rename"
+ * @returns {Array<Object>} List of handled headers {key, authservId, value}
+ */
+function sanitizeAuthResults(txn, options) {
+    const authservIds = new Set(
+        []
+            .concat(options.authservIds || [])
+            .filter(id => id)
+            .map(id => id.toString().toLowerCase().trim())
+    );
+
+    const handled = [];
+    if (!authservIds.size) {
+        return handled;
+    }
+
+    for (const key of AUTH_RESULTS_HEADERS) {
+        const values = txn.header.get_all(key).map(value => value.toString().replace(/\r?\n$/, ''));
+
+        const forged = values.filter(value => authservIds.has(getAuthservId(value)));
+        if (!forged.length) {
+            continue;
+        }
+
+        txn.remove_header(key);
+
+        // add back in reverse order to keep the original ordering at the top of the header
+        for (let i = values.length - 1; i >= 0; i--) {
+            const value = values[i];
+            if (!forged.includes(value)) {
+                txn.add_leading_header(key, value);
+            } else if (options.action === 'rename') {
+                txn.add_leading_header('X-Forged-' + key, value);
+            }
+        }
+
+        for (const value of forged) {
+            handled.push({ key, authservId: getAuthservId(value), value });
+        }
+    }
+
+    return handled;
+}
+
+module.exports = { getAuthservId, sanitizeAuthResults };
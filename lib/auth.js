@@ -7,47 +7,44 @@ const { dkimVerify } = require('mailauth/lib/dkim/verify');
 const { bimi } = require('mailauth/lib/bimi');
 const libmime = require('libmime');
 const { parseReceived } = require('mailauth/lib/parse-received');
+const { getArcOverride } = require('./arc-override');
+const { getSpfAction } = require('./spf-policy');
+const { getOriginalClient } = require('./trusted-relay');
+const { sanitizeAuthResults } = require('./auth-results');
+const cidr = require('./cidr');
 
 /**
- * MAIL FROM hook handler - performs SPF validation
- * Validates sender address against SPF records
- * Handles private IP addresses with softfail result
+ * Run SPF validation for the SMTP client and apply SPF policy
+ * Private client addresses get a softfail result as these can not be assessed
+ * Throws an error with smtpAction set if SPF policy (auth.spf) rejects or defers the sender
  * @param {Object} plugin - Plugin instance with resolver and config
  * @param {Object} connection - Haraka connection object
- * @param {Array} params - Hook parameters with sender address
+ * @param {Object} client - SMTP client to validate
+ * @param {string} client.ip - Client IP address
+ * @param {string} [client.helo] - EHLO/HELO hostname
+ * @param {boolean} [client.isPrivate] - True if client IP is from a private network
  * @returns {Promise<void>}
  */
-async function hookMail(plugin, connection, params) {
-    const txn = connection?.transaction;
-
-    if (!txn) {
-        return;
-    }
-
-    // Step 1. SPF
-
-    const from = params[0];
-    txn.notes.sender = txn.notes.sender || from?.address();
+async function checkClientSpf(plugin, connection, client) {
+    const txn = connection.transaction;
 
     let spfResult;
 
     try {
-        const isRemotePrivate = connection.remote.is_private;
-
         spfResult = await checkSpf({
             resolver: plugin.resolver,
-            ip: isRemotePrivate ? undefined : connection.remote.ip, // SMTP client IP (undefined for if remote is private network)
-            helo: connection.hello?.host, // EHLO/HELO hostname
+            ip: client.isPrivate ? undefined : client.ip, // SMTP client IP (undefined for if remote is private network)
+            helo: client.helo, // EHLO/HELO hostname
             sender: txn.notes.sender, // MAIL FROM address
             mta: connection.local?.host, // MX hostname
             maxResolveCount: plugin.cfg?.auth?.dns?.maxLookups
         });
 
-        if (isRemotePrivate) {
+        if (client.isPrivate) {
             // given undefined IP as client IP in case client is from remote IP, SPF will default to neutral, replace with softfail and custom message
             spfResult.status.result = 'softfail';
             spfResult.status.comment = 'cannot assess local addresses';
-            spfResult.header = `Received-SPF: softfail (cannot assess local addresses) client-ip=${connection.remote.ip};`;
+            spfResult.header = `Received-SPF: softfail (cannot assess local addresses) client-ip=${client.ip};`;
             spfResult.info = 'spf=softfail (cannot assess local addresses)';
         }
 
@@ -65,11 +62,107 @@ async function hookMail(plugin, connection, params) {
     if (spfResult.info) {
         connection.auth_results(spfResult.info);
     }
+
+    // SPF policy
+
+    const spfAction = getSpfAction(spfResult, {
+        ip: client.ip,
+        sender: txn.notes.sender,
+        config: plugin.cfg?.auth?.spf
+    });
+
+    if (spfAction) {
+        txn.notes.rejectCode = spfAction.rejectCode;
+        connection.loginfo(plugin, `SPF ${spfAction.action} domain=${spfAction.domain} result=${spfAction.result}`);
+
+        const err = new Error(spfAction.reply);
+        err.smtpAction = spfAction.action === 'reject' ? DENY : DENYSOFT;
+        throw err;
+    }
+}
+
+/**
+ * MAIL FROM hook handler - performs SPF validation
+ * Validates sender address against SPF records
+ * Handles private IP addresses with softfail result
+ * SPF validation for messages from trusted relays is postponed until DATA, as the original client
+ * is only known from the Received headers
+ * Throws an error with smtpAction set if SPF policy (auth.spf) rejects or defers the sender
+ * @param {Object} plugin - Plugin instance with resolver and config
+ * @param {Object} connection - Haraka connection object
+ * @param {Array} params - Hook parameters with sender address
+ * @returns {Promise<void>}
+ */
+async function hookMail(plugin, connection, params) {
+    const txn = connection?.transaction;
+
+    if (!txn) {
+        return;
+    }
+
+    // Step 1. SPF
+
+    const from = params[0];
+    txn.notes.sender = txn.notes.sender || from?.address();
+
+    if (cidr.matches(connection.remote.ip, plugin.cfg?.trustedRelays)) {
+        txn.notes.trustedRelay = connection.remote.ip;
+        return;
+    }
+
+    await checkClientSpf(plugin, connection, {
+        ip: connection.remote.ip,
+        helo: connection.hello?.host,
+        isPrivate: connection.remote.is_private
+    });
+}
+
+/**
+ * Resolve the original SMTP client for a message received from a trusted relay and run SPF for it
+ * If the client can not be determined from the Received headers, the relay itself is validated instead
+ * @param {Object} plugin - Plugin instance with resolver, config, and logging
+ * @param {Object} connection - Haraka connection object
+ * @returns {Promise<void>}
+ */
+async function checkRelayedClient(plugin, connection) {
+    const txn = connection.transaction;
+
+    const client = getOriginalClient(txn.header.get_all('Received'), plugin.cfg?.trustedRelays);
+
+    plugin.loggelf({
+        short_message: '[RELAY] ' + (client ? client.ip : 'unknown client') + ' via ' + txn.notes.trustedRelay,
+        _queue_id: txn.uuid,
+        _mail_action: 'trusted_relay',
+        _ip: connection.remote.ip,
+        _client_ip: client && client.ip,
+        _client_helo: client && client.helo,
+        _relay_hops: client && client.hops,
+        _failure: client ? undefined : 'yes'
+    });
+
+    if (!client) {
+        connection.lognotice(plugin, `RELAY could not determine original client relay=${txn.notes.trustedRelay}`);
+        return await checkClientSpf(plugin, connection, {
+            ip: connection.remote.ip,
+            helo: connection.hello?.host,
+            isPrivate: connection.remote.is_private
+        });
+    }
+
+    txn.notes.clientIp = client.ip;
+    txn.notes.clientHelo = client.helo;
+    connection.loginfo(plugin, `RELAY client=${client.ip} helo=${client.helo || '-'} relay=${txn.notes.trustedRelay}`);
+
+    await checkClientSpf(plugin, connection, {
+        ip: client.ip,
+        helo: client.helo || undefined
+    });
 }
 
 /**
  * DATA POST hook handler - performs email authentication (DKIM, ARC, DMARC, BIMI)
  * Validates message signatures and authentication records
+ * For messages from trusted relays, SPF is validated against the original client
  * Stores results in transaction notes and adds authentication headers
  * Logs detailed DKIM validation results to GELF
  * @param {Stream} stream - Message stream for DKIM verification
@@ -84,13 +177,41 @@ async function hookDataPost(stream, plugin, connection) {
 
     const contentTypeHeaders = txn.header.get_all('Content-Type').map(line => libmime.parseHeaderValue(`${line}`));
 
+    // Remove forged authentication results that claim our authserv-id before adding our own
+    // This runs before the first await, so the message stream used for DKIM is already sanitized
+    const authservIds = [].concat(plugin.cfg?.auth?.authservId || connection.local?.host || []);
+    const forgedHeaders = sanitizeAuthResults(txn, {
+        authservIds,
+        action: plugin.cfg?.auth?.forgedResults
+    });
+
+    if (forgedHeaders.length) {
+        const action = plugin.cfg?.auth?.forgedResults === 'rename' ? 'renamed' : 'removed';
+        connection.loginfo(plugin, `AUTH-RESULTS ${action} ${forgedHeaders.length} forged header(s)`);
+
+        plugin.loggelf({
+            short_message: '[AUTH-RESULTS] Forged headers ' + action,
+            _queue_id: queueId,
+            _mail_action: 'auth_results_sanitize',
+            _ip: connection.remote.ip,
+            _from: txn.notes.sender,
+            _sanitize_action: action,
+            _forged_headers: forgedHeaders.map(entry => entry.key).join(', '),
+            _forged_count: forgedHeaders.length,
+            _authserv_id: Array.from(new Set(forgedHeaders.map(entry => entry.authservId))).join(', ')
+        });
+    }
+
+    // calculate body hash for ARC sealing if the message is going to be forwarded
+    const shouldSeal = !!(plugin.cfg?.auth?.arc?.seal?.enabled && txn.notes.targets?.forwards?.size);
+
     // Step 2. DKIM
     let dkimResult;
     try {
         dkimResult = await dkimVerify(stream, {
             resolver: plugin.resolver,
             sender: txn.notes.sender,
-            seal: null,
+            seal: shouldSeal ? {} : null,
             minBitLength: plugin.cfg?.auth?.minBitLength
         });
         txn.notes.dkimResult = dkimResult;
@@ -124,6 +245,38 @@ async function hookDataPost(stream, plugin, connection) {
         }
     }
 
+    // Step 3b. Trusted ARC sealers
+    if (arcResult && plugin.cfg?.auth?.arc?.trusted) {
+        const headerFrom = [].concat(dkimResult?.headerFrom || []);
+        const arcOverride = getArcOverride(arcResult, {
+            trusted: plugin.cfg.auth.arc.trusted,
+            headerFrom: headerFrom.length === 1 ? headerFrom[0].split('@').pop() : false
+        });
+
+        if (arcOverride) {
+            txn.notes.arcOverride = arcOverride;
+
+            plugin.loggelf({
+                short_message: '[ARC] Trusted sealer ' + arcOverride.sealer,
+                _queue_id: queueId,
+                _mail_action: 'arc_override',
+                _arc_sealer: arcOverride.sealer,
+                _arc_instance: arcOverride.instance,
+                _arc_mta: arcOverride.mta,
+                _arc_spf: arcOverride.spf.result,
+                _arc_spf_domain: arcOverride.spf.domain,
+                _arc_dkim: arcOverride.dkim.map(entry => `${entry.domain}=${entry.result}`).join(', '),
+                _arc_dmarc: arcOverride.dmarc.result,
+                _arc_dmarc_pass: arcOverride.dmarcPass ? 'yes' : 'no'
+            });
+        }
+    }
+
+    // Step 3c. SPF for messages from trusted relays, postponed from MAIL FROM
+    if (txn.notes.trustedRelay) {
+        await checkRelayedClient(plugin, connection);
+    }
+
     // Step 4. DMARC
     let dmarcResult;
     const spfResult = txn.notes.spfResult;
@@ -0,0 +1,250 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+    // default action for bounces that do not reference a message sent by the user, "junk" or "reject"
+    action: 'junk',
+    // seconds to keep records of sent messages
+    ttl: 14 * 24 * 3600,
+    prefix: 'bv:',
+    batv: {
+        // secrets for BATV signed return paths, index in the list is the key number in the tag
+        keys: [],
+        // days a signed return path is valid for
+        maxAge: 30
+    }
+};
+
+// bytes of the message to scan for referenced Message-ID values
+const MAX_SCAN_SIZE = 512 * 1024;
+
+// how many referenced Message-ID values to check at most
+const MAX_REFERENCES = 10;
+
+const ACTIONS = new Set(['junk', 'reject', 'off']);
+
+/**
+ * Get bounce verification config with defaults
+ * @param {Object} [config] - Bounce verification config from wildduck.yaml
+ * @returns {Object} Config
+ */
+function getConfig(config) {
+    config = config || {};
+    return Object.assign({}, DEFAULTS, config, { batv: Object.assign({}, DEFAULTS.batv, config.batv || {}) });
+}
+
+/**
+ * Get the action for unverified bounces for a user
+ * Users can override the default with `bounceVerification: "junk"`, `"reject"` or `"off"` in user metaData
+ * @param {Object} userData - User data with metaData
+ * @param {Object} config - Bounce verification config
+ * @returns {string} Action, one of "junk", "reject" or "off"
+ */
+function getAction(userData, config) {
+    let metaData = userData && userData.metaData;
+    if (typeof metaData === 'string') {
+        try {
+            metaData = JSON.parse(metaData);
+        } catch {
+            metaData = false;
+        }
+    }
+
+    if (metaData && ACTIONS.has(metaData.bounceVerification)) {
+        return metaData.bounceVerification;
+    }
+
+    const action = getConfig(config).action;
+    return ACTIONS.has(action) ? action : 'junk';
+}
+
+/**
+ * Normalize a Message-ID value for lookups
+ * @param {string} messageId - Message-ID, with or without angle brackets
+ * @returns {string} Lowercase Message-ID without angle brackets
+ */
+function normalizeMessageId(messageId) {
+    return (messageId || '').toString().trim().replace(/^<|>$/g, '').trim().toLowerCase();
+}
+
+/**
+ * Get the Redis key for a sent message record
+ * Key is `<prefix>m:<sha256 of "<user id>:<normalized Message-ID>">`
+ * @param {string} user - User ID
+ * @param {string} messageId - Message-ID of the sent message
+ * @param {string} [prefix='bv:'] - Key prefix
+ * @returns {string} Redis key
+ */
+function getRecordKey(user, messageId, prefix) {
+    const hash = crypto
+        .createHash('sha256')
+        .update(user.toString() + ':' + normalizeMessageId(messageId))
+        .digest('hex');
+    return (prefix || DEFAULTS.prefix) + 'm:' + hash;
+}
+
+/**
+ * Record a message sent by a user, bounces referencing this message are accepted as verified
+ * Intended to be called by the outbound side, eg. the submission server
+ * @param {Object} redis - Redis client
+ * @param {string} user - User ID
+ * @param {string} messageId - Message-ID of the sent message
+ * @param {Object} [config] - Bounce verification config
+ * @returns {Promise<boolean>} True if recorded
+ */
+async function recordSent(redis, user, messageId, config) {
+    config = getConfig(config);
+    if (!normalizeMessageId(messageId)) {
+        return false;
+    }
+    await redis.set(getRecordKey(user, messageId, config.prefix), '1', 'EX', config.ttl);
+    return true;
+}
+
+/**
+ * Find Message-ID values of original messages referenced by a bounce
+ * Uses In-Reply-To and References from the bounce header and Message-ID headers from the body,
+ * eg. from an attached message/rfc822 or text/rfc822-headers part of a DSN
+ * @param {Buffer|Array<Buffer>} message - Raw message or message chunks
+ * @returns {Array<string>} Normalized Message-ID values
+ */
+function getReferencedMessageIds(message) {
+    const buffer = Array.isArray(message) ? Buffer.concat(message) : message;
+    const source = (buffer || Buffer.alloc(0)).subarray(0, MAX_SCAN_SIZE).toString('binary');
+
+    const headerEnd = source.search(/\r?\n\r?\n/);
+    const header = headerEnd >= 0 ? source.substring(0, headerEnd) : source;
+    const body = headerEnd >= 0 ? source.substring(headerEnd) : '';
+
+    const ids = new Set();
+    const addIds = value => {
+        for (const id of value.match(/<[^<>\s]+>/g) || []) {
+            if (ids.size < MAX_REFERENCES) {
+                ids.add(normalizeMessageId(id));
+            }
+        }
+    };
+
+    // unfold header lines
+    for (const line of header.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const match = line.match(/^(?:In-Reply-To|References)\s*:(.*)$/i);
+        if (match) {
+            addIds(match[1]);
+        }
+    }
+
+    for (const match of body.matchAll(/^Message-ID\s*:\s*(<[^<>\s]+>)/gim)) {
+        addIds(match[1]);
+    }
+
+    return Array.from(ids);
+}
+
+/**
+ * Check if a bounce references a message that was sent by the user
+ * @param {Object} redis - Redis client
+ * @param {string} user - User ID
+ * @param {Array<string>} messageIds - Referenced Message-ID values
+ * @param {Object} [config] - Bounce verification config
+ * @returns {Promise<string|boolean>} Matching Message-ID or false
+ */
+async function findSentMessage(redis, user, messageIds, config) {
+    config = getConfig(config);
+    for (const messageId of messageIds || []) {
+        if (await redis.exists(getRecordKey(user, messageId, config.prefix))) {
+            return messageId;
+        }
+    }
+    return false;
+}
+
+/**
+ * Get the day number used in BATV tags, days since epoch modulo 1000
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Day number
+ */
+function getDayNumber(now) {
+    return Math.floor((now || Date.now()) / (24 * 3600 * 1000)) % 1000;
+}
+
+/**
+ * Calculate the BATV hash for a tag
+ * @param {string} secret - Key secret
+ * @param {string} prefix - Key number and expiration day, eg. "0123"
+ * @param {string} address - Original address
+ * @returns {string} First 3 bytes of HMAC-SHA1 in hex
+ */
+function getPrvsHash(secret, prefix, address) {
+    return crypto
+        .createHmac('sha1', secret)
+        .update(prefix + address.toLowerCase())
+        .digest('hex')
+        .substring(0, 6);
+}
+
+/**
+ * Sign a return path using BATV "prvs" tag, eg. "prvs=0123abcdef=user@example.com"
+ * @param {string} address - Original address
+ * @param {Object} [config] - Bounce verification config, uses the last key from batv.keys
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string|boolean} Signed address or false if no keys are configured
+ */
+function signPrvs(address, config, now) {
+    config = getConfig(config);
+    const keys = [].concat(config.batv.keys || []);
+    const keyNumber = keys.length - 1;
+    if (keyNumber < 0 || keyNumber > 9) {
+        return false;
+    }
+
+    const day = String((getDayNumber(now) + Number(config.batv.maxAge)) % 1000).padStart(3, '0');
+    const prefix = keyNumber + day;
+    return `prvs=${prefix}${getPrvsHash(keys[keyNumber], prefix, address)}=${address}`;
+}
+
+/**
+ * Parse and verify a BATV "prvs" signed address
+ * @param {string} address - Recipient address
+ * @param {Object} [config] - Bounce verification config
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|boolean} Result {address, valid, reason} or false if the address is not signed
+ */
+function verifyPrvs(address, config, now) {
+    const match = (address || '').toString().match(/^prvs=(\d)(\d{3})([0-9a-f]{6})=(.+@.+)$/i);
+    if (!match) {
+        return false;
+    }
+
+    config = getConfig(config);
+    const [, keyNumber, day, hash, original] = match;
+
+    const secret = [].concat(config.batv.keys || [])[Number(keyNumber)];
+    if (!secret) {
+        return { address: original, valid: false, reason: 'unknown_key' };
+    }
+
+    if (getPrvsHash(secret, keyNumber + day, original) !== hash.toLowerCase()) {
+        return { address: original, valid: false, reason: 'invalid_hash' };
+    }
+
+    // days until expiration, day numbers wrap around after 1000 days
+    const remaining = (Number(day) - getDayNumber(now) + 1000) % 1000;
+    if (remaining > Number(config.batv.maxAge)) {
+        return { address: original, valid: false, reason: 'expired' };
+    }
+
+    return { address: original, valid: true, reason: 'signed' };
+}
+
+module.exports = {
+    getConfig,
+    getAction,
+    normalizeMessageId,
+    getRecordKey,
+    recordSent,
+    getReferencedMessageIds,
+    findSentMessage,
+    signPrvs,
+    verifyPrvs
+};
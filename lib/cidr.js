@@ -0,0 +1,172 @@
+'use strict';
+
+const net = require('net');
+
+// compiled matchers, config list -> BlockList
+const matcherCache = new WeakMap();
+
+/**
+ * Normalize an IP address, IPv4-mapped IPv6 addresses are converted to IPv4
+ * @param {string} ip - IP address
+ * @returns {string|boolean} Normalized address or false if not a valid IP
+ */
+function normalizeIp(ip) {
+    ip = (ip || '').toString().trim();
+    if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(ip)) {
+        ip = ip.substring(7);
+    }
+    return net.isIP(ip) ? ip : false;
+}
+
+/**
+ * Compile a list of IP addresses and CIDR ranges, eg. ["192.0.2.0/24", "2001:db8::/32", "198.51.100.1"]
+ * Invalid entries are ignored
+ * @param {Array<string>} list - Addresses and ranges
+ * @returns {net.BlockList} Compiled list
+ */
+function compile(list) {
+    const blockList = new net.BlockList();
+
+    for (const entry of [].concat(list || [])) {
+        const [address, prefix] = (entry || '').toString().trim().split('/');
+        const ip = normalizeIp(address);
+        if (!ip) {
+            continue;
+        }
+
+        const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+        const maxPrefix = family === 'ipv6' ? 128 : 32;
+        const bits = typeof prefix === 'undefined' ? maxPrefix : Number(prefix);
+        if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+            continue;
+        }
+
+        blockList.addSubnet(ip, bits, family);
+    }
+
+    return blockList;
+}
+
+/**
+ * Check if an IP address matches a list of addresses and CIDR ranges
+ * Compiled lists are cached, so config arrays can be passed in directly
+ * @param {string} ip - IP address to check
+ * @param {Array<string>} list - Addresses and ranges
+ * @returns {boolean} True if the address is included in the list
+ */
+function matches(ip, list) {
+    ip = normalizeIp(ip);
+    if (!ip || !list || (Array.isArray(list) && !list.length)) {
+        return false;
+    }
+
+    let blockList;
+    if (typeof list === 'object') {
+        blockList = matcherCache.get(list);
+        if (!blockList) {
+            blockList = compile(list);
+            matcherCache.set(list, blockList);
+        }
+    } else {
+        blockList = compile(list);
+    }
+
+    return blockList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Expand an IPv6 address into 8 groups of 16 bit numbers
+ * @param {string} ip - IPv6 address
+ * @returns {Array<number>} Address groups
+ */
+function expandIPv6(ip) {
+    let address = ip.toLowerCase().replace(/%.*$/, '');
+
+    // convert embedded IPv4 address into hex groups
+    const ipv4 = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (ipv4) {
+        const octets = ipv4.slice(1).map(Number);
+        address = address.substring(0, ipv4.index) + (octets[0] * 256 + octets[1]).toString(16) + ':' + (octets[2] * 256 + octets[3]).toString(16);
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = typeof tail === 'string' && tail ? tail.split(':') : [];
+    const zeroes = new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+    return headGroups
+        .concat(typeof tail === 'string' ? zeroes : [])
+        .concat(tailGroups)
+        .map(group => parseInt(group, 16) || 0);
+}
+
+/**
+ * Get the network address of an IP, eg. "192.0.2.0/24" for "192.0.2.1" with IPv4 prefix 24
+ * Used to group clients from the same network for counters
+ * @param {string} ip - IP address
+ * @param {Object} [options] - Prefix options
+ * @param {number} [options.ipv4Prefix=24] - Prefix length for IPv4 addresses
+ * @param {number} [options.ipv6Prefix=64] - Prefix length for IPv6 addresses
+ * @returns {string|boolean} Network address with prefix length or false for invalid input
+ */
+function getNetworkKey(ip, options) {
+    options = options || {};
+
+    ip = normalizeIp(ip);
+    if (!ip) {
+        return false;
+    }
+
+    if (net.isIPv4(ip)) {
+        const prefix = typeof options.ipv4Prefix === 'number' ? options.ipv4Prefix : 24;
+        const value = ip.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+        const blockSize = 2 ** (32 - prefix);
+        const masked = Math.floor(value / blockSize) * blockSize;
+        return [24, 16, 8, 0].map(shift => Math.floor(masked / 2 ** shift) % 256).join('.') + '/' + prefix;
+    }
+
+    const prefix = typeof options.ipv6Prefix === 'number' ? options.ipv6Prefix : 64;
+    const groups = expandIPv6(ip).map((group, i) => {
+        const bits = Math.min(Math.max(prefix - i * 16, 0), 16);
+        const blockSize = 2 ** (16 - bits);
+        return Math.floor(group / blockSize) * blockSize;
+    });
+
+    // compress the longest run of zero groups
+    let text = groups.map(group => group.toString(16)).join(':');
+    const runs = text.match(/(^|:)0(:0)+(:|$)/g);
+    if (runs) {
+        const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+        text = text.replace(longest, '::');
+    }
+
+    return text + '/' + prefix;
+}
+
+/**
+ * Get a counter key for an IP address, the address itself or its network if a shorter prefix is used
+ * Full length prefixes return the plain address, so existing per-address keys stay the same
+ * @param {string} ip - IP address
+ * @param {Object} [options] - Prefix options
+ * @param {number} [options.ipv4Prefix=32] - Prefix length for IPv4 addresses
+ * @param {number} [options.ipv6Prefix=128] - Prefix length for IPv6 addresses
+ * @returns {string|boolean} Address or network key or false for invalid input
+ */
+function getAddressKey(ip, options) {
+    options = options || {};
+
+    ip = normalizeIp(ip);
+    if (!ip) {
+        return false;
+    }
+
+    const ipv4Prefix = typeof options.ipv4Prefix === 'number' ? options.ipv4Prefix : 32;
+    const ipv6Prefix = typeof options.ipv6Prefix === 'number' ? options.ipv6Prefix : 128;
+    if ((net.isIPv4(ip) && ipv4Prefix >= 32) || (net.isIPv6(ip) && ipv6Prefix >= 128)) {
+        return ip;
+    }
+
+    return getNetworkKey(ip, { ipv4Prefix, ipv6Prefix });
+}
+
+module.exports = { matches, normalizeIp, compile, getNetworkKey, getAddressKey };
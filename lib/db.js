@@ -5,6 +5,7 @@ const Redis = require('ioredis');
 const MongoClient = mongodb.MongoClient;
 const UserHandler = require('@sudobility/wildduck/lib/user-handler');
 const MessageHandler = require('@sudobility/wildduck/lib/message-handler');
+const MailboxHandler = require('@sudobility/wildduck/lib/mailbox-handler');
 const { SettingsHandler } = require('@sudobility/wildduck/lib/settings-handler');
 const counters = require('@sudobility/wildduck/lib/counters');
 const tools = require('@sudobility/wildduck/lib/tools');
@@ -35,7 +36,7 @@ const getDBConnection = async (main, config) => {
 /**
  * Connect to all required databases and initialize WildDuck handlers
  * Sets up MongoDB connections for main, gridfs, users, and sender databases
- * Initializes Redis connection and creates UserHandler, MessageHandler, SettingsHandler
+ * Initializes Redis connection and creates UserHandler, MessageHandler, MailboxHandler, SettingsHandler
  * @param {Object} redis - Redis configuration (unused, kept for compatibility)
  * @param {Object} config - Configuration object with mongo and redis settings
  * @param {Function} callback - Callback with (err, connectionObject)
@@ -88,6 +89,14 @@ module.exports.connect = (redis, config, callback) => {
                 emailDomain: config.emailDomain
             });
 
+            // used to auto-create mailboxes for subaddresses
+            response.mailboxHandler = new MailboxHandler({
+                database: response.database,
+                users: response.users,
+                redis: response.redis,
+                notifier: response.messageHandler.notifier
+            });
+
             response.settingsHandler = new SettingsHandler({ db: response.database });
 
             response.ttlcounter = counters(response.redis).ttlcounter;
@@ -0,0 +1,138 @@
+'use strict';
+
+// actions that can be configured for a DMARC policy
+const ACTIONS = ['reject', 'defer', 'junk', 'none'];
+
+// by default honour the published policy as-is
+const DEFAULT_ACTIONS = {
+    reject: 'reject',
+    quarantine: 'junk'
+};
+
+/**
+ * Resolve the effective DMARC policy for a failing message
+ * Uses the policy resolved by mailauth which already prefers `sp=` for subdomains
+ * of the organizational domain. Applies `pct=` sampling, messages that fall outside
+ * of the sample are handled using the next less strict policy (RFC 7489 section 6.6.4)
+ * @param {Object} dmarcResult - DMARC result from mailauth
+ * @param {Function} [random] - Random number generator, returns a value in range [0, 1)
+ * @returns {Object} Policy object with {policy, published, pct, sampled}
+ */
+function getPolicy(dmarcResult, random) {
+    const published = ((dmarcResult && (dmarcResult.policy || dmarcResult.p)) || 'none').toString().toLowerCase().trim();
+
+    let pct = Number(dmarcResult && dmarcResult.pct);
+    if (typeof (dmarcResult && dmarcResult.pct) === 'undefined' || isNaN(pct)) {
+        pct = 100;
+    }
+    pct = Math.max(Math.min(pct, 100), 0);
+
+    const sampled = pct >= 100 || (random || Math.random)() * 100 < pct;
+
+    let policy = published;
+    if (!sampled) {
+        switch (published) {
+            case 'reject':
+                policy = 'quarantine';
+                break;
+            case 'quarantine':
+                policy = 'none';
+                break;
+        }
+    }
+
+    if (!['reject', 'quarantine'].includes(policy)) {
+        policy = 'none';
+    }
+
+    return { policy, published, pct, sampled };
+}
+
+/**
+ * Merge default DMARC enforcement options with per-recipient-domain overrides
+ * @param {Object} config - `auth.dmarc` configuration section
+ * @param {string} domain - Recipient domain
+ * @returns {Object} Effective options with {enforce, reject, quarantine}
+ */
+function getDomainConfig(config, domain) {
+    config = config || {};
+
+    const domains = config.domains || {};
+    const override = (domain && domains[domain]) || {};
+
+    const options = {
+        enforce: 'enforce' in override ? !!override.enforce : !!config.enforce
+    };
+
+    for (const policy of Object.keys(DEFAULT_ACTIONS)) {
+        let action = (override[policy] || config[policy] || DEFAULT_ACTIONS[policy]).toString().toLowerCase().trim();
+        if (!ACTIONS.includes(action)) {
+            action = DEFAULT_ACTIONS[policy];
+        }
+        options[policy] = action;
+    }
+
+    return options;
+}
+
+/**
+ * Decide how to handle a message that failed DMARC validation
+ * Actions are resolved separately for every recipient as the recipient domain may override defaults.
+ * As there is a single response for the whole message, the message is only rejected or deferred if
+ * all recipients agree, otherwise recipients that asked for a rejection get the message routed to Junk.
+ * @param {Object} dmarcResult - DMARC result from mailauth
+ * @param {Array<string>} recipients - Recipient addresses of the message
+ * @param {Object} config - `auth.dmarc` configuration section
+ * @param {Object} [options] - Optional settings
+ * @param {Function} [options.random] - Random number generator for `pct=` sampling
+ * @returns {Object|boolean} Decision object with {action, policy, published, pct, sampled, domain, actions} or false if nothing to enforce
+ */
+function evaluate(dmarcResult, recipients, config, options) {
+    options = options || {};
+
+    if (!dmarcResult || dmarcResult.status?.result !== 'fail') {
+        return false;
+    }
+
+    const policyInfo = getPolicy(dmarcResult, options.random);
+
+    // recipient address -> action
+    const actions = new Map();
+    for (const recipient of recipients || []) {
+        if (!recipient) {
+            continue;
+        }
+        const domain = recipient.split('@').pop().toLowerCase().trim();
+        const domainConfig = getDomainConfig(config, domain);
+        if (!domainConfig.enforce || policyInfo.policy === 'none') {
+            actions.set(recipient, 'none');
+            continue;
+        }
+        actions.set(recipient, domainConfig[policyInfo.policy]);
+    }
+
+    const values = Array.from(actions.values());
+    let action = 'none';
+    if (values.length && values.every(value => value === 'reject')) {
+        action = 'reject';
+    } else if (values.length && values.every(value => ['reject', 'defer'].includes(value))) {
+        action = 'defer';
+    } else if (values.some(value => value !== 'none')) {
+        // can not reject for some recipients only, so fall back to Junk
+        for (const [recipient, value] of actions) {
+            if (value !== 'none') {
+                actions.set(recipient, 'junk');
+            }
+        }
+        action = 'junk';
+    }
+
+    return {
+        action,
+        domain: dmarcResult.status?.header?.d || dmarcResult.domain,
+        actions,
+        ...policyInfo
+    };
+}
+
+module.exports = { evaluate, getPolicy, getDomainConfig, ACTIONS };
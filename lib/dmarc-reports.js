@@ -0,0 +1,685 @@
+'use strict';
+
+const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const tldts = require('tldts');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const MimeNode = require('nodemailer/lib/mime-node');
+
+const gzip = promisify(zlib.gzip);
+
+const DEFAULT_COLLECTION = 'dmarcaggregate';
+const DEFAULT_INTERVAL = 24 * 3600; // 1 day
+const DEFAULT_RETENTION = 7 * 24 * 3600; // 1 week
+
+// private suffixes like blogspot.com separate organizations as well
+const TLDTS_OPTS = { allowIcannDomains: true, allowPrivateDomains: true };
+
+// headers that include recipient addresses and are redacted by default in failure reports
+const RECIPIENT_HEADERS = ['to', 'cc', 'bcc', 'delivered-to', 'x-original-to', 'envelope-to', 'received'];
+
+// headers that are kept with "full" redaction level
+const MINIMAL_HEADERS = ['from', 'date', 'message-id', 'dkim-signature'];
+
+/**
+ * Parse a raw DMARC TXT record into a key-value object
+ * @param {string} record - Raw DMARC record, eg. "v=DMARC1; p=reject; rua=mailto:..."
+ * @returns {Object} Parsed record with lowercase keys
+ */
+function parseRecord(record) {
+    const parsed = {};
+    (record || '')
+        .toString()
+        .split(';')
+        .map(entry => entry.trim())
+        .filter(entry => entry)
+        .forEach(entry => {
+            const splitPos = entry.indexOf('=');
+            if (splitPos <= 0) {
+                return;
+            }
+            parsed[entry.substr(0, splitPos).toLowerCase().trim()] = entry.substr(splitPos + 1).trim();
+        });
+    return parsed;
+}
+
+/**
+ * Extract email addresses from a DMARC reporting URI list (`rua=` or `ruf=`)
+ * Non-mailto URIs are ignored and optional size limits ("!10m") are stripped
+ * @param {string} value - Comma separated URI list
+ * @returns {Array<string>} List of email addresses
+ */
+function getReportAddresses(value) {
+    const addresses = new Set();
+    (value || '')
+        .toString()
+        .split(',')
+        .map(uri => uri.trim())
+        .forEach(uri => {
+            const match = uri.match(/^mailto:([^!]+)/i);
+            if (!match) {
+                return;
+            }
+            let address = match[1].trim();
+            try {
+                address = decodeURIComponent(address);
+            } catch {
+                // use as is
+            }
+            if (/^[^@\s]+@[^@\s]+$/.test(address)) {
+                addresses.add(address.toLowerCase());
+            }
+        });
+    return Array.from(addresses);
+}
+
+/**
+ * Verify that an external report destination accepts reports for the policy domain (RFC 7489 section 7.1)
+ * Destinations within the same organizational domain (public suffix list) are always allowed
+ * @param {Function} resolver - DNS resolver function (name, rr)
+ * @param {string} domain - Policy domain
+ * @param {string} address - Report destination address
+ * @returns {Promise<boolean>} True if reports can be sent to the destination
+ */
+async function verifyDestination(resolver, domain, address) {
+    const destDomain = address.split('@').pop().toLowerCase();
+    domain = (domain || '').toLowerCase();
+
+    const getOrgDomain = name => tldts.getDomain(name, TLDTS_OPTS) || name;
+    if (destDomain === domain || getOrgDomain(destDomain) === getOrgDomain(domain)) {
+        return true;
+    }
+
+    try {
+        const records = await resolver(`${domain}._report._dmarc.${destDomain}`, 'TXT');
+        return (records || []).some(row => /^v=DMARC1\b/i.test([].concat(row).join('').trim()));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Round a timestamp down to the start of its reporting period
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} interval - Period length in seconds
+ * @returns {Date} Start of the period
+ */
+function getPeriod(time, interval) {
+    const size = (Number(interval) || DEFAULT_INTERVAL) * 1000;
+    return new Date(Math.floor(time / size) * size);
+}
+
+/**
+ * Store DMARC evaluation results for a message into the aggregate collection
+ * Identical tuples within the same reporting period are merged by incrementing a counter
+ * @param {Object} plugin - Plugin instance with db and cfg
+ * @param {Object} data - Evaluation data
+ * @param {Object} data.dmarcResult - DMARC result from mailauth
+ * @param {Object} [data.spfResult] - SPF result from mailauth
+ * @param {Object} [data.dkimResult] - DKIM result from mailauth
+ * @param {string} data.sourceIp - SMTP client IP address
+ * @param {string} [data.envelopeFrom] - MAIL FROM address
+ * @param {string} data.disposition - Applied disposition, one of "none", "quarantine" or "reject"
+ * @returns {Promise<boolean>} True if data was stored
+ */
+async function recordAggregate(plugin, data) {
+    const options = (plugin.cfg.dmarcReports && plugin.cfg.dmarcReports.aggregate) || {};
+    const { dmarcResult, spfResult, dkimResult, sourceIp, envelopeFrom, disposition } = data;
+
+    if (!options.enabled || !dmarcResult || !['pass', 'fail'].includes(dmarcResult.status?.result)) {
+        return false;
+    }
+
+    const record = parseRecord(dmarcResult.rr);
+    const rua = getReportAddresses(record.rua);
+    if (!rua.length) {
+        // domain does not ask for aggregate reports
+        return false;
+    }
+
+    const now = Date.now();
+    const period = getPeriod(now, options.interval);
+    const headerFrom = dmarcResult.status?.header?.d || dmarcResult.domain;
+
+    const dkim = (dkimResult?.results || [])
+        .filter(result => result.signingDomain)
+        .map(result => ({
+            domain: result.signingDomain,
+            selector: result.selector,
+            result: result.status?.result || 'none'
+        }));
+
+    const spf = {
+        domain: spfResult?.domain || (envelopeFrom && envelopeFrom.split('@').pop()) || headerFrom,
+        result: spfResult?.status?.result || 'none'
+    };
+
+    const query = {
+        domain: dmarcResult.domain,
+        period,
+        sourceIp,
+        headerFrom,
+        envelopeFrom: (envelopeFrom && envelopeFrom.split('@').pop().toLowerCase()) || '',
+        disposition,
+        dkimEval: dmarcResult.alignment?.dkim?.result ? 'pass' : 'fail',
+        spfEval: dmarcResult.alignment?.spf?.result ? 'pass' : 'fail',
+        dkim,
+        spf
+    };
+
+    await plugin.db.database.collection(options.collection || DEFAULT_COLLECTION).updateOne(
+        query,
+        {
+            $inc: { count: 1 },
+            $set: {
+                rua,
+                policy: {
+                    adkim: record.adkim || 'r',
+                    aspf: record.aspf || 'r',
+                    p: dmarcResult.p || record.p || 'none',
+                    sp: dmarcResult.sp || record.sp || record.p || 'none',
+                    pct: typeof dmarcResult.pct === 'number' ? dmarcResult.pct : Number(record.pct) || 100
+                },
+                updated: new Date(now),
+                expires: new Date(period.getTime() + (Number(options.retention) || DEFAULT_RETENTION) * 1000)
+            }
+        },
+        { upsert: true }
+    );
+
+    return true;
+}
+
+/**
+ * Escape a value for use in XML text content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+    return (value === undefined || value === null ? '' : value).toString().replace(/[<>&'"]/g, char => {
+        switch (char) {
+            case '<':
+                return '&lt;';
+            case '>':
+                return '&gt;';
+            case '&':
+                return '&amp;';
+            case '\'':
+                return '&apos;';
+            case '"':
+                return '&quot;';
+        }
+    });
+}
+
+/**
+ * Build an RFC 7489 aggregate report XML document
+ * @param {Object} report - Report data
+ * @param {string} report.orgName - Reporting organization name
+ * @param {string} report.email - Reporting organization contact address
+ * @param {string} report.reportId - Unique report ID
+ * @param {string} report.domain - Policy domain
+ * @param {Object} report.policy - Published policy {adkim, aspf, p, sp, pct}
+ * @param {Date} report.begin - Start of the reporting period
+ * @param {Date} report.end - End of the reporting period
+ * @param {Array<Object>} report.rows - Aggregated rows from the collection
+ * @returns {string} XML document
+ */
+function buildAggregateReport(report) {
+    const lines = [];
+    const policy = report.policy || {};
+
+    lines.push('<?xml version="1.0" encoding="UTF-8" ?>');
+    lines.push('<feedback>');
+    lines.push('  <version>1.0</version>');
+    lines.push('  <report_metadata>');
+    lines.push(`    <org_name>${escapeXml(report.orgName)}</org_name>`);
+    lines.push(`    <email>${escapeXml(report.email)}</email>`);
+    lines.push(`    <report_id>${escapeXml(report.reportId)}</report_id>`);
+    lines.push('    <date_range>');
+    lines.push(`      <begin>${Math.floor(report.begin.getTime() / 1000)}</begin>`);
+    lines.push(`      <end>${Math.floor(report.end.getTime() / 1000) - 1}</end>`);
+    lines.push('    </date_range>');
+    lines.push('  </report_metadata>');
+    lines.push('  <policy_published>');
+    lines.push(`    <domain>${escapeXml(report.domain)}</domain>`);
+    lines.push(`    <adkim>${escapeXml(policy.adkim || 'r')}</adkim>`);
+    lines.push(`    <aspf>${escapeXml(policy.aspf || 'r')}</aspf>`);
+    lines.push(`    <p>${escapeXml(policy.p || 'none')}</p>`);
+    lines.push(`    <sp>${escapeXml(policy.sp || policy.p || 'none')}</sp>`);
+    lines.push(`    <pct>${escapeXml(typeof policy.pct === 'number' ? policy.pct : 100)}</pct>`);
+    lines.push('  </policy_published>');
+
+    for (const row of report.rows || []) {
+        lines.push('  <record>');
+        lines.push('    <row>');
+        lines.push(`      <source_ip>${escapeXml(row.sourceIp)}</source_ip>`);
+        lines.push(`      <count>${Number(row.count) || 0}</count>`);
+        lines.push('      <policy_evaluated>');
+        lines.push(`        <disposition>${escapeXml(row.disposition || 'none')}</disposition>`);
+        lines.push(`        <dkim>${escapeXml(row.dkimEval)}</dkim>`);
+        lines.push(`        <spf>${escapeXml(row.spfEval)}</spf>`);
+        lines.push('      </policy_evaluated>');
+        lines.push('    </row>');
+        lines.push('    <identifiers>');
+        if (row.envelopeFrom) {
+            lines.push(`      <envelope_from>${escapeXml(row.envelopeFrom)}</envelope_from>`);
+        }
+        lines.push(`      <header_from>${escapeXml(row.headerFrom)}</header_from>`);
+        lines.push('    </identifiers>');
+        lines.push('    <auth_results>');
+        for (const dkim of row.dkim || []) {
+            lines.push('      <dkim>');
+            lines.push(`        <domain>${escapeXml(dkim.domain)}</domain>`);
+            if (dkim.selector) {
+                lines.push(`        <selector>${escapeXml(dkim.selector)}</selector>`);
+            }
+            lines.push(`        <result>${escapeXml(dkim.result)}</result>`);
+            lines.push('      </dkim>');
+        }
+        if (row.spf) {
+            lines.push('      <spf>');
+            lines.push(`        <domain>${escapeXml(row.spf.domain)}</domain>`);
+            lines.push('        <scope>mfrom</scope>');
+            lines.push(`        <result>${escapeXml(row.spf.result)}</result>`);
+            lines.push('      </spf>');
+        }
+        lines.push('    </auth_results>');
+        lines.push('  </record>');
+    }
+
+    lines.push('</feedback>');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Compose a message and push it to the outbound queue through the maildropper
+ * @param {Object} plugin - Plugin instance with maildrop
+ * @param {Object} envelope - Envelope {from, to, reason, interface}
+ * @param {Object|MimeNode} mail - Nodemailer message options or an already composed MIME node
+ * @returns {Promise<string|boolean>} Queue ID or false if the message was not queued
+ */
+function queueMessage(plugin, envelope, mail) {
+    return new Promise((resolve, reject) => {
+        const compiler = mail instanceof MimeNode ? { compile: () => mail } : new MailComposer(mail);
+
+        const message = plugin.maildrop.push(envelope, (err, ...args) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve((args[0] && args[0].id) || false);
+        });
+
+        if (message) {
+            const source = compiler.compile().createReadStream();
+            source.once('error', err => message.emit('error', err));
+            source.pipe(message);
+        }
+    });
+}
+
+/**
+ * Resolve the reporting organization name and report sender address
+ * Both default to the plugin hostname, the same name used for GELF messages and Authentication-Results
+ * @param {Object} plugin - Plugin instance with cfg and hostname
+ * @returns {Object} Reporter {hostname, orgName, email}
+ */
+function getReporter(plugin) {
+    const reportsConfig = plugin.cfg.dmarcReports || {};
+    const hostname = plugin.hostname || os.hostname();
+    return {
+        hostname,
+        orgName: reportsConfig.orgName || hostname,
+        email: reportsConfig.email || `noreply-dmarc-support@${hostname}`
+    };
+}
+
+/**
+ * Generate and send aggregate reports for all finished reporting periods
+ * Processed rows are removed from the collection once the report has been queued
+ * @param {Object} plugin - Plugin instance with db, cfg, resolver, maildrop and hostname
+ * @returns {Promise<number>} Number of reports queued
+ */
+async function sendAggregateReports(plugin) {
+    const reportsConfig = plugin.cfg.dmarcReports || {};
+    const options = reportsConfig.aggregate || {};
+    const collection = plugin.db.database.collection(options.collection || DEFAULT_COLLECTION);
+    const interval = Number(options.interval) || DEFAULT_INTERVAL;
+
+    const { orgName, email } = getReporter(plugin);
+
+    const currentPeriod = getPeriod(Date.now(), interval);
+
+    const groups = await collection
+        .aggregate([{ $match: { period: { $lt: currentPeriod } } }, { $group: { _id: { domain: '$domain', period: '$period' } } }])
+        .toArray();
+
+    let queued = 0;
+    for (const group of groups) {
+        const { domain, period } = group._id;
+        const rows = await collection.find({ domain, period }).sort({ updated: -1 }).toArray();
+        if (!rows.length) {
+            continue;
+        }
+
+        const begin = period;
+        const end = new Date(period.getTime() + interval * 1000);
+
+        const rua = new Set();
+        rows.forEach(row => (row.rua || []).forEach(address => rua.add(address)));
+
+        const recipients = [];
+        for (const address of rua) {
+            if (await verifyDestination(plugin.resolver, domain, address)) {
+                recipients.push(address);
+            } else {
+                plugin.loggelf({
+                    short_message: '[DMARC RUA] Unverified destination ' + address,
+                    _mail_action: 'dmarc_report',
+                    _dmarc_domain: domain,
+                    _to: address,
+                    _error: 'external destination not verified'
+                });
+            }
+        }
+
+        const reportId = `${domain}.${Math.floor(begin.getTime() / 1000)}.${crypto.randomBytes(4).toString('hex')}`;
+
+        if (recipients.length) {
+            const xml = buildAggregateReport({
+                orgName,
+                email,
+                reportId,
+                domain,
+                // use the most recent policy seen for the domain
+                policy: rows[0].policy,
+                begin,
+                end,
+                rows
+            });
+
+            const filename = `${orgName.replace(/[^a-z0-9.-]+/gi, '_')}!${domain}!${Math.floor(begin.getTime() / 1000)}!${
+                Math.floor(end.getTime() / 1000) - 1
+            }!${reportId}.xml.gz`;
+
+            try {
+                const queueId = await queueMessage(
+                    plugin,
+                    {
+                        reason: 'dmarc-report',
+                        from: email,
+                        to: recipients,
+                        interface: 'dmarc'
+                    },
+                    {
+                        from: { name: orgName, address: email },
+                        to: recipients,
+                        subject: `Report Domain: ${domain} Submitter: ${orgName} Report-ID: <${reportId}>`,
+                        text: `This is an aggregate DMARC report for ${domain} from ${orgName}.\n`,
+                        attachments: [
+                            {
+                                filename,
+                                contentType: 'application/gzip',
+                                content: await gzip(Buffer.from(xml))
+                            }
+                        ]
+                    }
+                );
+
+                plugin.loggelf({
+                    short_message: '[DMARC RUA] Queued report for ' + domain,
+                    _mail_action: 'dmarc_report',
+                    _dmarc_domain: domain,
+                    _report_id: reportId,
+                    _queue_id: queueId,
+                    _to: recipients.join('\n'),
+                    _rows: rows.length
+                });
+                queued++;
+            } catch (err) {
+                plugin.loggelf({
+                    short_message: '[DMARC RUA] Failed to queue report for ' + domain,
+                    full_message: err.stack,
+                    _mail_action: 'dmarc_report',
+                    _dmarc_domain: domain,
+                    _report_id: reportId,
+                    _failure: 'yes',
+                    _error: err.message,
+                    _err_code: err.code
+                });
+                // try again on next run
+                continue;
+            }
+        }
+
+        await collection.deleteMany({ _id: { $in: rows.map(row => row._id) } });
+    }
+
+    return queued;
+}
+
+/**
+ * Check if failure reporting options (`fo=`) of a DMARC record ask for a report
+ * `0` and `1` always match as the message failed DMARC, `d` and `s` match on DKIM or SPF failures
+ * @param {string} fo - Value of the `fo=` tag, defaults to "0"
+ * @param {Object} results - Authentication results {spfResult, dkimResult}
+ * @returns {boolean} True if a failure report should be generated
+ */
+function matchFailureOptions(fo, results) {
+    const options = (fo || '0')
+        .toString()
+        .split(':')
+        .map(option => option.trim().toLowerCase())
+        .filter(option => option);
+
+    const dkimResults = (results && results.dkimResult && results.dkimResult.results) || [];
+    const spfResult = results && results.spfResult;
+
+    return options.some(option => {
+        switch (option) {
+            case '0':
+            case '1':
+                return true;
+            case 'd':
+                return dkimResults.some(result => result.status?.result && result.status.result !== 'pass');
+            case 's':
+                return !!spfResult && spfResult.status?.result !== 'pass';
+        }
+        return false;
+    });
+}
+
+/**
+ * Redact message headers before including these in a failure report (RFC 6590)
+ * @param {Array<string>} lines - Raw header lines
+ * @param {string} level - Redaction level, one of "none", "recipients" (default) or "full"
+ * @returns {string} Header block
+ */
+function redactHeaders(lines, level) {
+    level = (level || 'recipients').toString().toLowerCase();
+
+    return (lines || [])
+        .map(line => line.toString().replace(/\r?\n$/, ''))
+        .filter(line => {
+            if (level !== 'full') {
+                return true;
+            }
+            const key = line.substr(0, line.indexOf(':')).trim().toLowerCase();
+            return MINIMAL_HEADERS.includes(key);
+        })
+        .map(line => {
+            if (level === 'none') {
+                return line;
+            }
+            const key = line.substr(0, line.indexOf(':')).trim().toLowerCase();
+            if (!RECIPIENT_HEADERS.includes(key)) {
+                return line;
+            }
+            // replace local parts of email addresses
+            return line.replace(/[^\s<>"',;:()[\]]+@(?=[a-z0-9.-]+)/gi, 'redacted@');
+        })
+        .map(line => line.replace(/\r?\n/g, '\r\n'))
+        .join('\r\n');
+}
+
+/**
+ * Build an RFC 6591 authentication failure report
+ * @param {Object} report - Report data
+ * @param {string} report.orgName - Reporting organization name
+ * @param {string} report.email - Reporting organization contact address
+ * @param {Array<string>} report.to - Report recipients
+ * @param {string} report.domain - Reported domain
+ * @param {string} report.sourceIp - SMTP client IP address
+ * @param {string} [report.envelopeFrom] - MAIL FROM address
+ * @param {Date} report.arrivalDate - Time the message was received
+ * @param {string} report.authResults - Authentication-Results header value
+ * @param {string} report.deliveryResult - One of "delivered", "spam", "policy", "reject" or "other"
+ * @param {string} report.headers - Redacted header block of the original message
+ * @param {string} [report.queueId] - Queue ID of the original message
+ * @returns {MimeNode} Composed report
+ */
+function buildFailureReport(report) {
+    const root = new MimeNode('multipart/report; report-type=feedback-report');
+
+    root.setHeader({
+        from: { name: report.orgName, address: report.email },
+        to: report.to,
+        subject: `DMARC failure report for ${report.domain} from ${report.sourceIp}`
+    });
+
+    root.createChild('text/plain').setContent(
+        `This is an authentication failure report for an email message received from IP ${report.sourceIp} on ${report.arrivalDate.toUTCString()}.\n`
+    );
+
+    const feedback = [
+        'Feedback-Type: auth-failure',
+        'User-Agent: haraka-plugin-wildduck',
+        'Version: 1',
+        `Original-Mail-From: <${report.envelopeFrom || ''}>`,
+        `Arrival-Date: ${report.arrivalDate.toUTCString()}`,
+        `Source-IP: ${report.sourceIp}`,
+        `Reported-Domain: ${report.domain}`,
+        `Authentication-Results: ${report.authResults}`,
+        'Auth-Failure: dmarc',
+        `Delivery-Result: ${report.deliveryResult}`,
+        'Identity-Alignment: none'
+    ];
+    if (report.queueId) {
+        feedback.push(`Original-Envelope-Id: ${report.queueId}`);
+    }
+
+    root.createChild('message/feedback-report').setContent(feedback.join('\r\n') + '\r\n');
+    root.createChild('text/rfc822-headers').setContent(report.headers + '\r\n');
+
+    root.messageId();
+
+    return root;
+}
+
+/**
+ * Generate and queue a DMARC failure (RUF) report for a message that failed DMARC
+ * Reports are only sent if the domain publishes `ruf=` with matching `fo=` options.
+ * Reports are rate limited per reported domain to avoid report storms during spoofing campaigns.
+ * @param {Object} plugin - Plugin instance with cfg, resolver, ttlcounterAsync, maildrop and hostname
+ * @param {Object} data - Message data
+ * @param {Object} data.dmarcResult - DMARC result from mailauth
+ * @param {Object} [data.spfResult] - SPF result from mailauth
+ * @param {Object} [data.dkimResult] - DKIM result from mailauth
+ * @param {string} data.sourceIp - SMTP client IP address
+ * @param {string} [data.envelopeFrom] - MAIL FROM address
+ * @param {Array<string>} data.headerLines - Raw header lines of the message
+ * @param {string} data.deliveryResult - Delivery result for the report
+ * @param {string} [data.queueId] - Queue ID of the message
+ * @returns {Promise<Object>} Result object {queued, queueId, reason}
+ */
+async function sendFailureReport(plugin, data) {
+    const reportsConfig = plugin.cfg.dmarcReports || {};
+    const options = reportsConfig.failure || {};
+    const { dmarcResult, spfResult, dkimResult } = data;
+
+    if (!options.enabled || !dmarcResult || dmarcResult.status?.result !== 'fail') {
+        return { queued: false, reason: 'disabled' };
+    }
+
+    const record = parseRecord(dmarcResult.rr);
+    const ruf = getReportAddresses(record.ruf);
+    if (!ruf.length) {
+        return { queued: false, reason: 'no_ruf' };
+    }
+
+    if (!matchFailureOptions(record.fo, { spfResult, dkimResult })) {
+        return { queued: false, reason: 'fo_mismatch' };
+    }
+
+    const domain = dmarcResult.status?.header?.d || dmarcResult.domain;
+
+    const recipients = [];
+    for (const address of ruf) {
+        if (await verifyDestination(plugin.resolver, dmarcResult.domain, address)) {
+            recipients.push(address);
+        }
+    }
+    if (!recipients.length) {
+        return { queued: false, reason: 'unverified_destination' };
+    }
+
+    const limit = Number(options.limit) || 10;
+    const windowSize = Number(options.windowSize) || 3600;
+    const limitResult = await plugin.ttlcounterAsync('dmarc:ruf:' + dmarcResult.domain, 1, limit, windowSize);
+    if (!limitResult.success) {
+        return { queued: false, reason: 'rate_limited' };
+    }
+
+    const { hostname, orgName, email } = getReporter(plugin);
+
+    const authResults = [hostname]
+        .concat(dmarcResult.info || [])
+        .concat(spfResult?.info || [])
+        .concat((dkimResult?.results || []).map(result => result.info).filter(info => info))
+        .join(';\r\n\t');
+
+    const report = buildFailureReport({
+        orgName,
+        email,
+        to: recipients,
+        domain,
+        sourceIp: data.sourceIp,
+        envelopeFrom: data.envelopeFrom,
+        arrivalDate: data.arrivalDate || new Date(),
+        authResults,
+        deliveryResult: data.deliveryResult || 'delivered',
+        headers: redactHeaders(data.headerLines, options.redact),
+        queueId: data.queueId
+    });
+
+    const queueId = await queueMessage(
+        plugin,
+        {
+            reason: 'dmarc-report',
+            from: email,
+            to: recipients,
+            interface: 'dmarc'
+        },
+        report
+    );
+
+    return { queued: !!queueId, queueId, to: recipients };
+}
+
+module.exports = {
+    parseRecord,
+    getReportAddresses,
+    verifyDestination,
+    getPeriod,
+    recordAggregate,
+    buildAggregateReport,
+    queueMessage,
+    sendAggregateReports,
+    matchFailureOptions,
+    redactHeaders,
+    buildFailureReport,
+    sendFailureReport
+};
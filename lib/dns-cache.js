@@ -0,0 +1,341 @@
+'use strict';
+
+const dns = require('dns');
+const { LruCache, mergeOptions, getHitRate } = require('./lru-cache');
+
+// resolver errors that mean the record does not exist, these are cached as negative answers
+const NEGATIVE_CODES = new Set(['ENOTFOUND', 'ENODATA']);
+
+// resolver errors that are worth retrying
+const RETRY_CODES = new Set(['ETIMEOUT', 'ESERVFAIL', 'ECONNREFUSED', 'EREFUSED']);
+
+const DEFAULTS = {
+    size: 10000,
+    minTtl: 5,
+    maxTtl: 3600,
+    // TXT and MX answers from the system backend have no TTL, keep these short
+    defaultTtl: 60,
+    negativeTtl: 60,
+    timeout: 3000,
+    retries: 2,
+    redisPrefix: 'dns:'
+};
+
+/**
+ * Create a DNS error object similar to errors thrown by dns.promises
+ * @param {string} code - Error code, eg. "ENOTFOUND"
+ * @param {string} name - Queried domain name
+ * @param {string} rr - Queried record type
+ * @returns {Error} Error object with code and hostname properties
+ */
+function dnsError(code, name, rr) {
+    const err = new Error(`query${rr ? rr.charAt(0) + rr.substr(1).toLowerCase() : ''} ${code} ${name}`);
+    err.code = code;
+    err.hostname = name;
+    return err;
+}
+
+/**
+ * Create a backend that resolves records using the system DNS resolver
+ * A and AAAA lookups include record TTLs, other record types are cached using defaultTtl
+ * @param {Object} [options] - Backend options
+ * @param {Array<string>} [options.servers] - DNS servers to use instead of system defaults
+ * @returns {Function} Backend function async (name, rr) returning {answer, ttl}
+ */
+function createSystemBackend(options) {
+    options = options || {};
+
+    // retries are handled by CachingResolver
+    const resolver = new dns.promises.Resolver({ timeout: options.timeout > 0 ? options.timeout : -1, tries: 1 });
+    if (options.servers && options.servers.length) {
+        resolver.setServers(options.servers);
+    }
+
+    return async (name, rr) => {
+        switch (rr) {
+            case 'A':
+            case 'AAAA': {
+                const records = await (rr === 'A' ? resolver.resolve4(name, { ttl: true }) : resolver.resolve6(name, { ttl: true }));
+                return {
+                    answer: records.map(record => record.address),
+                    ttl: records.length ? Math.min(...records.map(record => record.ttl)) : undefined
+                };
+            }
+            default:
+                return { answer: await resolver.resolve(name, rr) };
+        }
+    };
+}
+
+/**
+ * Create a backend that resolves records from a static zone map
+ * Zone map is keyed by domain name, each entry maps record types to answers, eg.
+ * `{'example.com': {TXT: [['v=spf1 -all']], MX: [{exchange: 'mx.example.com', priority: 10}]}}`
+ * Unknown names throw ENOTFOUND, missing record types throw ENODATA.
+ * @param {Object} zones - Zone map
+ * @returns {Function} Backend function async (name, rr) returning {answer, ttl}
+ */
+function createStaticBackend(zones) {
+    const records = new Map();
+    for (const name of Object.keys(zones || {})) {
+        records.set(name.toLowerCase().replace(/\.$/, ''), zones[name]);
+    }
+
+    return async (name, rr) => {
+        const zone = records.get(name);
+        if (!zone) {
+            throw dnsError('ENOTFOUND', name, rr);
+        }
+        if (!zone[rr]) {
+            throw dnsError('ENODATA', name, rr);
+        }
+        return { answer: zone[rr], ttl: zone.ttl };
+    };
+}
+
+/**
+ * DNS resolver with an in-process LRU cache and optional Redis backed shared cache
+ * Positive answers are cached for the record TTL (bounded by minTtl and maxTtl),
+ * NXDOMAIN and NODATA answers are cached for negativeTtl. Concurrent lookups for the
+ * same record share a single query. The system backend only knows TTLs for A and AAAA
+ * records, as Node.js does not report these for TXT, MX and other types, so such answers
+ * are always cached for defaultTtl.
+ */
+class CachingResolver {
+    /**
+     * Create a CachingResolver
+     * @param {Object} [options] - Resolver options
+     * @param {boolean} [options.enabled=true] - If false, answers are not cached
+     * @param {number} [options.size=10000] - Maximum number of cached records
+     * @param {number} [options.minTtl=5] - Minimum cache time in seconds
+     * @param {number} [options.maxTtl=3600] - Maximum cache time in seconds
+     * @param {number} [options.defaultTtl=60] - Cache time in seconds for answers without TTL
+     * @param {number} [options.negativeTtl=60] - Cache time in seconds for NXDOMAIN and NODATA
+     * @param {number} [options.timeout=3000] - Query timeout in milliseconds
+     * @param {number} [options.retries=2] - How many times to retry a failed or timed out query
+     * @param {Array<string>} [options.servers] - DNS servers to use instead of system defaults
+     * @param {Object} [options.zones] - Static zone map, answers from this map take precedence over the backend
+     * @param {Function} [options.backend] - Custom backend function async (name, rr) returning {answer, ttl}
+     * @param {Object|Function} [options.redis] - Redis client or a function returning one, enables shared cache
+     * @param {string} [options.redisPrefix='dns:'] - Key prefix for shared cache
+     */
+    constructor(options) {
+        this.options = mergeOptions(DEFAULTS, options);
+
+        this.backend = this.options.backend || createSystemBackend(this.options);
+        this.zones = this.options.zones && Object.keys(this.options.zones).length ? createStaticBackend(this.options.zones) : false;
+
+        this.cache = new LruCache(this.options.size);
+        this.pending = new Map();
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            negativeHits: 0,
+            redisHits: 0,
+            errors: 0,
+            timeouts: 0,
+            retries: 0
+        };
+
+        this.resolve = this.resolve.bind(this);
+    }
+
+    /**
+     * Resolve a DNS record, compatible with dns.promises.resolve
+     * @param {string} name - Domain name to look up
+     * @param {string} [rr='A'] - Record type
+     * @returns {Promise<Array>} Resolved records
+     */
+    async resolve(name, rr) {
+        name = (name || '').toString().toLowerCase().replace(/\.$/, '');
+        rr = (rr || 'A').toString().toUpperCase();
+
+        const key = `${rr}:${name}`;
+        const cached = this.options.enabled !== false && (this.cache.get(key) || (await this.getShared(key)));
+        if (cached) {
+            if (cached.error) {
+                this.counters.negativeHits++;
+                throw dnsError(cached.error, name, rr);
+            }
+            this.counters.hits++;
+            return cached.answer;
+        }
+
+        this.counters.misses++;
+
+        if (this.pending.has(key)) {
+            return await this.pending.get(key);
+        }
+
+        const lookup = this.lookup(key, name, rr);
+        this.pending.set(key, lookup);
+        try {
+            return await lookup;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    /**
+     * Run the query against the backend and store the result
+     * @param {string} key - Cache key
+     * @param {string} name - Domain name
+     * @param {string} rr - Record type
+     * @returns {Promise<Array>} Resolved records
+     */
+    async lookup(key, name, rr) {
+        let result;
+        try {
+            result = await this.query(name, rr);
+        } catch (err) {
+            if (NEGATIVE_CODES.has(err.code)) {
+                await this.store(key, { error: err.code }, this.options.negativeTtl);
+            } else {
+                this.counters.errors++;
+            }
+            throw err;
+        }
+
+        const ttl = typeof result.ttl === 'number' ? result.ttl : this.options.defaultTtl;
+        await this.store(key, { answer: result.answer }, Math.min(Math.max(ttl, this.options.minTtl), this.options.maxTtl));
+
+        return result.answer;
+    }
+
+    /**
+     * Query the static zone map or the backend, retrying on timeouts and server failures
+     * @param {string} name - Domain name
+     * @param {string} rr - Record type
+     * @returns {Promise<Object>} Backend result {answer, ttl}
+     */
+    async query(name, rr) {
+        if (this.zones) {
+            try {
+                return await this.zones(name, rr);
+            } catch (err) {
+                if (err.code !== 'ENOTFOUND') {
+                    throw err;
+                }
+                // name is not in the zone map, use the backend
+            }
+        }
+
+        let attempt = 0;
+        for (;;) {
+            try {
+                return await this.withTimeout(this.backend(name, rr), name, rr);
+            } catch (err) {
+                if (err.code === 'ETIMEOUT') {
+                    this.counters.timeouts++;
+                }
+                if (!RETRY_CODES.has(err.code) || attempt >= this.options.retries) {
+                    throw err;
+                }
+                attempt++;
+                this.counters.retries++;
+            }
+        }
+    }
+
+    /**
+     * Reject a backend query that takes longer than the configured timeout
+     * @param {Promise} promise - Backend query
+     * @param {string} name - Domain name
+     * @param {string} rr - Record type
+     * @returns {Promise<Object>} Backend result
+     */
+    withTimeout(promise, name, rr) {
+        if (!this.options.timeout || this.options.timeout < 0) {
+            return promise;
+        }
+
+        let timer;
+        return Promise.race([
+            promise,
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(dnsError('ETIMEOUT', name, rr)), this.options.timeout);
+                timer.unref();
+            })
+        ]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Get a record from the shared Redis cache and copy it to the in-process cache
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|boolean>} Cached entry {answer} or {error} or false
+     */
+    async getShared(key) {
+        const redis = this.getRedis();
+        if (!redis) {
+            return false;
+        }
+
+        try {
+            const [value, ttl] = await Promise.all([redis.get(this.options.redisPrefix + key), redis.pttl(this.options.redisPrefix + key)]);
+            if (!value || ttl <= 0) {
+                return false;
+            }
+            const entry = JSON.parse(value);
+            this.cache.set(key, entry, ttl);
+            this.counters.redisHits++;
+            return entry;
+        } catch {
+            // shared cache is optional, fall back to a regular lookup
+            return false;
+        }
+    }
+
+    /**
+     * Store a record in the in-process cache and in the shared cache
+     * @param {string} key - Cache key
+     * @param {Object} value - Entry to store, either {answer} or {error}
+     * @param {number} ttl - Cache time in seconds
+     */
+    async store(key, value, ttl) {
+        if (this.options.enabled === false || !ttl || ttl <= 0) {
+            return;
+        }
+
+        this.cache.set(key, value, ttl * 1000);
+
+        const redis = this.getRedis();
+        if (!redis) {
+            return;
+        }
+
+        try {
+            await redis.set(this.options.redisPrefix + key, JSON.stringify(value), 'PX', Math.round(ttl * 1000));
+        } catch {
+            // ignore, shared cache is optional
+        }
+    }
+
+    /**
+     * Get the Redis client for the shared cache if configured
+     * @returns {Object|boolean} Redis client or false
+     */
+    getRedis() {
+        const redis = typeof this.options.redis === 'function' ? this.options.redis() : this.options.redis;
+        return redis || false;
+    }
+
+    /**
+     * Remove all records from the in-process cache
+     */
+    clear() {
+        this.cache.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Counters for hits, misses, negative hits, Redis hits, evictions, errors, timeouts and retries,
+     *     plus current cache size and hit rate in percent
+     */
+    stats() {
+        const hitRate = getHitRate(this.counters.hits + this.counters.negativeHits, this.counters.misses);
+        return Object.assign({ size: this.cache.size, hitRate, evictions: this.cache.evictions }, this.counters);
+    }
+}
+
+module.exports = { CachingResolver, createSystemBackend, createStaticBackend };
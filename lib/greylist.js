@@ -0,0 +1,114 @@
+'use strict';
+
+const cidr = require('./cidr');
+const { matchesDomain } = require('./spf-policy');
+
+const DEFAULTS = {
+    // seconds before a retry is accepted
+    delay: 300,
+    // seconds to wait for a retry before the first attempt is forgotten
+    expiry: 4 * 3600,
+    // seconds to remember a tuple that passed greylisting
+    passedTtl: 36 * 24 * 3600,
+    // number of passed tuples before the whole network is allowlisted, 0 disables
+    autoAllowlist: 5,
+    // seconds to keep a network in the automatic allowlist
+    autoAllowlistTtl: 36 * 24 * 3600,
+    // client networks are grouped by these prefix lengths
+    ipv4Prefix: 24,
+    ipv6Prefix: 64,
+    prefix: 'gl:'
+};
+
+/**
+ * Check if a user has opted out from greylisting
+ * Users opt out by setting `greylist: false` in user metaData
+ * @param {Object} userData - User data with metaData
+ * @returns {boolean} True if greylisting should be skipped for this user
+ */
+function isOptedOut(userData) {
+    let metaData = userData && userData.metaData;
+    if (typeof metaData === 'string') {
+        try {
+            metaData = JSON.parse(metaData);
+        } catch {
+            return false;
+        }
+    }
+    return !!(metaData && metaData.greylist === false);
+}
+
+/**
+ * Check if greylisting is bypassed for the sender
+ * Senders with SPF pass from allowlisted domains are not greylisted
+ * @param {Object} spfResult - SPF result from MAIL FROM
+ * @param {Array<string>} domains - Allowlisted sender domains
+ * @returns {boolean} True if sender bypasses greylisting
+ */
+function isAllowlistedSender(spfResult, domains) {
+    return !!(spfResult && spfResult.status && spfResult.status.result === 'pass' && matchesDomain(spfResult.domain, domains));
+}
+
+/**
+ * Check a delivery attempt against greylisting
+ * Tuples are keyed by client network (IPv4 /24 or IPv6 /64 by default), envelope sender and recipient user.
+ * First attempt for a tuple is deferred, retries after `delay` seconds (but before `expiry`) pass.
+ * Networks with enough passed tuples are allowlisted automatically.
+ * @param {Object} redis - Redis client
+ * @param {Object} data - Attempt data
+ * @param {string} data.ip - Client IP address
+ * @param {string} data.sender - Envelope sender address, empty for bounces
+ * @param {string} data.user - Recipient user ID
+ * @param {Object} [config] - Greylisting config
+ * @param {number} [now] - Current time in milliseconds, for testing
+ * @returns {Promise<Object>} Result {action: "pass" or "defer", reason, network, retryIn}
+ */
+async function check(redis, data, config, now) {
+    config = Object.assign({}, DEFAULTS, config || {});
+    now = now || Date.now();
+
+    const network = cidr.getNetworkKey(data.ip, { ipv4Prefix: config.ipv4Prefix, ipv6Prefix: config.ipv6Prefix });
+    if (!network) {
+        return { action: 'pass', reason: 'no_ip' };
+    }
+
+    const allowlistKey = config.prefix + 'a:' + network;
+    if (await redis.exists(allowlistKey)) {
+        return { action: 'pass', reason: 'auto_allowlist', network };
+    }
+
+    const sender = (data.sender || '<>').toLowerCase();
+    const tupleKey = config.prefix + 't:' + network + ':' + sender + ':' + data.user;
+
+    const created = await redis.set(tupleKey, String(now), 'PX', config.expiry * 1000, 'NX');
+    if (created) {
+        return { action: 'defer', reason: 'new', network, retryIn: config.delay };
+    }
+
+    const firstSeen = Number(await redis.get(tupleKey)) || now;
+    const elapsed = Math.floor((now - firstSeen) / 1000);
+    if (elapsed < config.delay) {
+        return { action: 'defer', reason: 'early', network, retryIn: config.delay - elapsed };
+    }
+
+    // keep passed tuple around for longer and count distinct passed tuples for the network
+    const passedKey = config.prefix + 'p:' + network;
+    const result = await redis
+        .multi()
+        .pexpire(tupleKey, config.passedTtl * 1000)
+        .sadd(passedKey, sender + ':' + data.user)
+        .pexpire(passedKey, config.autoAllowlistTtl * 1000)
+        .scard(passedKey)
+        .exec();
+
+    // ioredis returns [err, value] pairs for MULTI commands
+    const passedCount = Number(result && result[3] && result[3][1]) || 0;
+    if (config.autoAllowlist && passedCount >= config.autoAllowlist) {
+        await redis.set(allowlistKey, String(now), 'PX', config.autoAllowlistTtl * 1000);
+        return { action: 'pass', reason: 'retry', network, allowlisted: true };
+    }
+
+    return { action: 'pass', reason: 'retry', network };
+}
+
+module.exports = { check, isOptedOut, isAllowlistedSender };
@@ -0,0 +1,61 @@
+'use strict';
+
+const DEFAULTS = {
+    // unknown recipients per connection before tarpitting starts
+    tarpitAfter: 3,
+    // tarpit delay in seconds, multiplied by the number of unknown recipients over tarpitAfter
+    tarpitDelay: 2,
+    // maximum tarpit delay in seconds, must stay below Haraka plugin timeout
+    maxTarpitDelay: 20,
+    // unknown recipients per connection before all remaining recipients are deferred
+    connectionLimit: 10,
+    // unknown recipients per IP during windowSize before the IP is blocked
+    ipLimit: 50,
+    windowSize: 3600,
+    // seconds to block an IP
+    blockTime: 3600
+};
+
+/**
+ * Merge harvest detection config with defaults
+ * @param {Object} config - Harvest config (cfg.harvest)
+ * @returns {Object} Config with defaults applied
+ */
+function getConfig(config) {
+    return Object.assign({}, DEFAULTS, config || {});
+}
+
+/**
+ * Calculate the tarpit delay for the next response
+ * Delay grows linearly with every unknown recipient over the threshold
+ * @param {number} count - Unknown recipients seen in the connection
+ * @param {Object} config - Harvest config
+ * @returns {number} Delay in seconds
+ */
+function getTarpitDelay(count, config) {
+    config = getConfig(config);
+    if (count <= config.tarpitAfter) {
+        return 0;
+    }
+    return Math.min((count - config.tarpitAfter) * config.tarpitDelay, config.maxTarpitDelay);
+}
+
+/**
+ * Get the Redis key for unknown recipient counters
+ * @param {string} ip - Client IP
+ * @returns {string} Counter key
+ */
+function getCounterKey(ip) {
+    return 'harvest:c:' + ip;
+}
+
+/**
+ * Get the Redis key for a temporary IP block
+ * @param {string} ip - Client IP
+ * @returns {string} Block key
+ */
+function getBlockKey(ip) {
+    return 'harvest:b:' + ip;
+}
+
+module.exports = { getConfig, getTarpitDelay, getCounterKey, getBlockKey };
@@ -3,6 +3,7 @@
 const { PassThrough } = require('stream');
 
 const { hookMail: authHookMail, hookDataPost: authHookDataPost } = require('./auth');
+const { getDeclaredSize } = require('./quota');
 
 /**
  * MAIL FROM hook wrapper - logs sender and triggers SPF validation
@@ -19,12 +20,15 @@ async function mail(plugin, connection, params) {
 
     const from = params[0];
     txn.notes.sender = from.address();
+    // message size from the ESMTP SIZE parameter, used for quota checks in RCPT TO
+    txn.notes.declaredSize = getDeclaredSize(params[1]);
 
     plugin.loggelf({
         short_message: '[MAIL FROM:' + txn.notes.sender + '] ' + txn.uuid,
 
         _mail_action: 'mail_from',
         _from: txn.notes.sender,
+        _declared_size: txn.notes.declaredSize,
         _queue_id: txn.uuid,
         _ip: connection.remote.ip,
         _proto: txn.notes.transmissionType
@@ -53,6 +57,10 @@ function dataPost(next, plugin, connection) {
             next();
         })
         .catch(err => {
+            if (err.smtpAction) {
+                // rejected by policy, eg. SPF for messages from trusted relays
+                return next(err.smtpAction, err.message);
+            }
             connection.logerror(plugin, err.message);
             next();
         });
@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const pathlib = require('path');
+const { promisify } = require('util');
+const yaml = require('js-yaml');
+const db = require('./db');
+const cidr = require('./cidr');
+
+const USAGE = `Usage: wildduck-mx-limits <command> <target> <value> [--config <path>]
+
+Inspect and reset MX rate limit and forwarding counters
+
+Commands:
+  list     List counter keys for the target
+  show     Show type, value and TTL for the counter keys of the target
+  reset    Delete the counter keys of the target
+
+Targets:
+  user <id|address>      Recipient counters of a user (rcpt, rcptIp, rcptBytes)
+  address <address>      Counters of a user or forwarding address, resolved from the address
+  forward <id|address>   Forwarding counters of a forwarding address
+  ip <address>           Client IP counters (rcptIp, clientIp, clientIpBytes, clientIpv6Net, harvest)
+
+Options:
+  --config <path>        Path to wildduck.yaml, defaults to ./config/wildduck.yaml`;
+
+const COMMANDS = new Set(['list', 'show', 'reset']);
+const TARGETS = new Set(['user', 'address', 'forward', 'ip']);
+
+// counter key prefixes, fixed window (shared with WildDuck), sliding window, token bucket and reservations
+const COUNTER_PREFIXES = ['rl:', 'rls:', 'rlb:', 'rlr:'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} Parsed arguments {command, target, value, config, help}
+ */
+function parseArgs(argv) {
+    const args = { help: false, config: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--config') {
+            args.config = argv[++i];
+        } else if (arg.startsWith('--config=')) {
+            args.config = arg.substring('--config='.length);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    [args.command, args.target, args.value] = positional;
+    return args;
+}
+
+/**
+ * Load plugin config
+ * @param {string} [path] - Config file path, defaults to config/wildduck.yaml in the working directory or in this package
+ * @returns {Object} Parsed config
+ */
+function loadConfig(path) {
+    if (!path) {
+        path = pathlib.join(process.cwd(), 'config', 'wildduck.yaml');
+        if (!fs.existsSync(path)) {
+            path = pathlib.join(__dirname, '..', 'config', 'wildduck.yaml');
+        }
+    }
+    return yaml.load(fs.readFileSync(path, 'utf-8')) || {};
+}
+
+/**
+ * Escape glob special characters for Redis SCAN MATCH patterns
+ * @param {string} value - Literal value
+ * @returns {string} Escaped value
+ */
+function escapePattern(value) {
+    return value.toString().replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get counter key queries for a target
+ * Exact keys are returned as {key}, keys with a wildcard part as {match} for SCAN
+ * @param {Object} target - Resolved target {type: "user", "forward" or "ip", id}
+ * @param {Object} [config] - Plugin config, used for IP prefix lengths
+ * @returns {Array<Object>} Key queries
+ */
+function getKeyQueries(target, config) {
+    config = config || {};
+    const queries = [];
+    const id = target.id.toString();
+
+    switch (target.type) {
+        case 'user':
+            for (const prefix of COUNTER_PREFIXES) {
+                queries.push({ key: prefix + 'rcpt:' + id });
+                queries.push({ key: prefix + 'rcptBytes:' + id });
+                queries.push({ match: escapePattern(prefix + 'rcptIp:') + '*' + escapePattern(':' + id) });
+            }
+            break;
+
+        case 'forward':
+            // fixed window forwarding counters are shared with WildDuck
+            queries.push({ key: 'wdf:' + id });
+            for (const prefix of COUNTER_PREFIXES.filter(prefix => prefix !== 'rl:')) {
+                queries.push({ key: prefix + 'forwards:' + id });
+            }
+            break;
+
+        case 'ip': {
+            const limits = config.limits || {};
+            const harvest = config.harvest || {};
+            const getPrefixes = overrides => ({
+                ipv4Prefix: [overrides.ipv4Prefix, limits.ipv4Prefix, 32].find(prefix => typeof prefix === 'number'),
+                ipv6Prefix: [overrides.ipv6Prefix, limits.ipv6Prefix, 64].find(prefix => typeof prefix === 'number')
+            });
+
+            // plain address is included for counters created before prefix lengths were configured
+            const ipKeys = new Set([id, cidr.getAddressKey(id, getPrefixes({}))]);
+            const harvestKeys = new Set([id, cidr.getAddressKey(id, getPrefixes(harvest))]);
+
+            for (const prefix of COUNTER_PREFIXES) {
+                for (const ipKey of ipKeys) {
+                    queries.push({ key: prefix + 'clientIp:' + ipKey });
+                    queries.push({ key: prefix + 'clientIpBytes:' + ipKey });
+                    queries.push({ match: escapePattern(prefix + 'rcptIp:' + ipKey + ':') + '*' });
+                }
+                if (id.includes(':')) {
+                    queries.push({ key: prefix + 'clientIpv6Net:' + cidr.getNetworkKey(id, getPrefixes({})) });
+                }
+            }
+
+            for (const ipKey of harvestKeys) {
+                queries.push({ key: 'harvest:c:' + ipKey });
+                queries.push({ key: 'harvest:b:' + ipKey });
+            }
+            break;
+        }
+    }
+
+    return queries;
+}
+
+/**
+ * Find existing keys for key queries
+ * @param {Object} redis - ioredis client
+ * @param {Array<Object>} queries - Key queries from getKeyQueries
+ * @returns {Promise<Array<string>>} Sorted list of existing keys
+ */
+async function findKeys(redis, queries) {
+    const keys = new Set();
+
+    for (const query of queries) {
+        if (query.key) {
+            if (!keys.has(query.key) && (await redis.exists(query.key))) {
+                keys.add(query.key);
+            }
+            continue;
+        }
+
+        let cursor = '0';
+        do {
+            const [next, found] = await redis.scan(cursor, 'MATCH', query.match, 'COUNT', 1000);
+            found.forEach(key => keys.add(key));
+            cursor = next;
+        } while (cursor !== '0');
+    }
+
+    return Array.from(keys).sort();
+}
+
+/**
+ * Get type, value and TTL of a counter key
+ * Value is the counter for fixed windows, entry count for sliding windows and reservations
+ * and remaining tokens for token buckets
+ * @param {Object} redis - ioredis client
+ * @param {string} key - Counter key
+ * @returns {Promise<Object>} Key info {key, type, value, ttl}, ttl in seconds, -1 if the key does not expire
+ */
+async function describeKey(redis, key) {
+    const type = await redis.type(key);
+
+    let value;
+    switch (type) {
+        case 'string':
+            value = await redis.get(key);
+            break;
+        case 'zset':
+            value = await redis.zcard(key);
+            break;
+        case 'hash':
+            value = await redis.hget(key, 'tokens');
+            value = value === null ? null : 'tokens=' + Math.floor(Number(value));
+            break;
+        default:
+            value = null;
+    }
+
+    return { key, type, value, ttl: await redis.ttl(key) };
+}
+
+/**
+ * Resolve a command line target into a user, forwarding address or IP target
+ * @param {Object} userHandler - WildDuck UserHandler
+ * @param {string} type - Target type, "user", "address", "forward" or "ip"
+ * @param {string} value - ID, email address or IP address
+ * @returns {Promise<Object>} Target {type: "user", "forward" or "ip", id, address}
+ */
+async function resolveTarget(userHandler, type, value) {
+    if (type === 'ip') {
+        const ip = cidr.normalizeIp(value);
+        if (!ip) {
+            throw new Error('Invalid IP address ' + value);
+        }
+        return { type: 'ip', id: ip };
+    }
+
+    if (type !== 'address' && /^[0-9a-f]{24}$/i.test(value)) {
+        return { type, id: value.toLowerCase() };
+    }
+
+    if (!value.includes('@')) {
+        throw new Error('Expecting an ID or an email address, got ' + value);
+    }
+
+    const resolveAddress = promisify(userHandler.resolveAddress.bind(userHandler));
+    const addressData = await resolveAddress(value, { wildcard: true, projection: { user: true, address: true, targets: true } });
+
+    if (addressData && addressData.user && type !== 'forward') {
+        return { type: 'user', id: addressData.user.toString(), address: addressData.address };
+    }
+
+    if (addressData && addressData.targets && type !== 'user') {
+        return { type: 'forward', id: addressData._id.toString(), address: addressData.address };
+    }
+
+    throw new Error(`Unknown ${type === 'forward' ? 'forwarding address' : type === 'user' ? 'user address' : 'address'} ${value}`);
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @param {Object} [options] - Options for testing
+ * @param {Function} [options.connect] - Database connect function, defaults to lib/db.js connect
+ * @param {Object} [options.config] - Plugin config, loaded from --config if not set
+ * @param {Function} [options.print] - Output function, defaults to console.log
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, options) {
+    options = options || {};
+    const print = options.print || console.log;
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        print(USAGE);
+        return 0;
+    }
+
+    if (!COMMANDS.has(args.command) || !TARGETS.has(args.target) || !args.value) {
+        print(USAGE);
+        return 1;
+    }
+
+    let connection;
+    try {
+        const config = options.config || loadConfig(args.config);
+        connection = await promisify(options.connect || db.connect)(null, config);
+
+        const target = await resolveTarget(connection.userHandler, args.target, args.value);
+        print(`Target ${target.type} ${target.id}${target.address ? ' (' + target.address + ')' : ''}`);
+
+        const keys = await findKeys(connection.redis, getKeyQueries(target, config));
+        if (!keys.length) {
+            print('No counters found');
+            return 0;
+        }
+
+        switch (args.command) {
+            case 'list':
+                keys.forEach(key => print(key));
+                break;
+
+            case 'show':
+                for (const key of keys) {
+                    const info = await describeKey(connection.redis, key);
+                    print(`${info.key} type=${info.type} value=${info.value} ttl=${info.ttl}`);
+                }
+                break;
+
+            case 'reset': {
+                const deleted = await connection.redis.del(...keys);
+                keys.forEach(key => print('Deleted ' + key));
+                print(`Deleted ${deleted} counter${deleted === 1 ? '' : 's'}`);
+                break;
+            }
+        }
+
+        return 0;
+    } catch (err) {
+        print('Error: ' + err.message);
+        return 1;
+    } finally {
+        if (connection && connection.redis) {
+            connection.redis.disconnect();
+        }
+    }
+}
+
+module.exports = { parseArgs, loadConfig, getKeyQueries, findKeys, describeKey, resolveTarget, run };
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Merge cache options with defaults
+ * Unset config values (undefined or null) keep the default value
+ * @param {Object} defaults - Default options
+ * @param {Object} [options] - Options from config
+ * @returns {Object} Merged options
+ */
+function mergeOptions(defaults, options) {
+    const result = Object.assign({}, defaults);
+    for (const [key, value] of Object.entries(options || {})) {
+        if (value !== undefined && value !== null) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Calculate a cache hit rate
+ * @param {number} hits - Lookups served from the cache
+ * @param {number} misses - Lookups not found from the cache
+ * @returns {number} Hit rate in percent with one decimal, 0 if there were no lookups
+ */
+function getHitRate(hits, misses) {
+    const lookups = hits + misses;
+    return lookups ? Math.round((hits / lookups) * 1000) / 10 : 0;
+}
+
+/**
+ * In-process LRU cache with expiring entries
+ * Map insertion order is used as LRU order, so reading an entry moves it to the end of the map.
+ */
+class LruCache {
+    /**
+     * Create a LruCache
+     * @param {number} maxSize - Maximum number of entries, least recently used entries are evicted first
+     */
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    /**
+     * Number of cached entries, including expired entries that have not been read yet
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get a value from the cache
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or false if not found or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return false;
+        }
+
+        // move to the end of the map to keep LRU order
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value in the cache, evicting least recently used entries if needed
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store
+     * @param {number} ttlMs - Cache time in milliseconds
+     */
+    set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + ttlMs });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Remove an entry from the cache
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Get cached keys, expired entries are included
+     * @returns {Iterator<string>} Cache keys
+     */
+    keys() {
+        return this.entries.keys();
+    }
+
+    /**
+     * Iterate cached keys and values, expired entries are included
+     * Entries can be deleted while iterating
+     * @yields {Array} Key and value pairs
+     */
+    *[Symbol.iterator]() {
+        for (const [key, entry] of this.entries) {
+            yield [key, entry.value];
+        }
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = { LruCache, mergeOptions, getHitRate };
@@ -0,0 +1,132 @@
+'use strict';
+
+const { mergeOptions, getHitRate } = require('./lru-cache');
+
+const DEFAULTS = {
+    ttl: 300,
+    maxEntries: 10000,
+    prefix: 'mx:nouser:'
+};
+
+/**
+ * Redis backed negative cache for recipient addresses that do not exist
+ * Entries are stored in a hash per domain, `<prefix><domain>`, where field is the normalized address
+ * and value is the expiration timestamp in milliseconds. WildDuck invalidates entries with
+ * `HDEL <prefix><domain> <address>` when an address is created, or with `DEL <prefix><domain>`
+ * when a wildcard address or a domain alias is created.
+ */
+class NoUserCache {
+    /**
+     * Create a NoUserCache
+     * @param {Object} [options] - Cache options
+     * @param {boolean} [options.enabled] - If false, nothing is cached
+     * @param {Object|Function} options.redis - Redis client or a function returning one
+     * @param {number} [options.ttl=300] - Cache time in seconds
+     * @param {number} [options.maxEntries=10000] - Maximum number of cached addresses per domain, the domain is reset if exceeded
+     * @param {string} [options.prefix='mx:nouser:'] - Key prefix
+     */
+    constructor(options) {
+        this.options = mergeOptions(DEFAULTS, options);
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            stored: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Get the Redis client
+     * @returns {Object|boolean} Redis client or false
+     */
+    getRedis() {
+        const redis = typeof this.options.redis === 'function' ? this.options.redis() : this.options.redis;
+        return redis || false;
+    }
+
+    /**
+     * Get the cache key and field for an address
+     * @param {string} address - Normalized address
+     * @returns {Array<string>} Key and field
+     */
+    getKey(address) {
+        address = (address || '').toString();
+        return [this.options.prefix + address.substr(address.lastIndexOf('@') + 1), address];
+    }
+
+    /**
+     * Check if an address is cached as unknown
+     * @param {string} address - Normalized address
+     * @returns {Promise<boolean>} True if the address is known to not exist
+     */
+    async has(address) {
+        const redis = this.options.enabled && this.getRedis();
+        if (!redis) {
+            return false;
+        }
+
+        const [key, field] = this.getKey(address);
+
+        let expires;
+        try {
+            expires = Number(await redis.hget(key, field));
+        } catch (err) {
+            this.counters.errors++;
+            throw err;
+        }
+
+        if (expires && expires > Date.now()) {
+            this.counters.hits++;
+            return true;
+        }
+
+        this.counters.misses++;
+        return false;
+    }
+
+    /**
+     * Store an address as unknown
+     * @param {string} address - Normalized address
+     * @returns {Promise<boolean>} True if the address was stored
+     */
+    async add(address) {
+        const redis = this.options.enabled && this.getRedis();
+        if (!redis) {
+            return false;
+        }
+
+        const [key, field] = this.getKey(address);
+
+        let result;
+        try {
+            result = await redis
+                .multi()
+                .hset(key, field, Date.now() + this.options.ttl * 1000)
+                .expire(key, this.options.ttl)
+                .hlen(key)
+                .exec();
+
+            if (Number(result && result[2] && result[2][1]) > this.options.maxEntries) {
+                // too many entries for a single domain, start over instead of growing indefinitely
+                await redis.del(key);
+            }
+        } catch (err) {
+            this.counters.errors++;
+            throw err;
+        }
+
+        this.counters.stored++;
+        return true;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Counters for hits, misses, stored entries and errors, plus hit rate in percent
+     */
+    stats() {
+        return Object.assign({ hitRate: getHitRate(this.counters.hits, this.counters.misses) }, this.counters);
+    }
+}
+
+module.exports = NoUserCache;
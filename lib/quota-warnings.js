@@ -0,0 +1,154 @@
+'use strict';
+
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const DEFAULTS = {
+    // usage percentages that trigger a warning, only the highest crossed threshold is used
+    thresholds: [80, 95, 100],
+    // seconds before a warning for the same threshold can be sent again
+    period: 7 * 24 * 3600,
+    prefix: 'quota:warn:',
+    subject: 'Your mailbox is {{percent}}% full',
+    text: [
+        'Hello {{name}},',
+        '',
+        'Your mailbox {{address}} is using {{used}} of {{quota}} ({{percent}}%) of the available storage.',
+        '',
+        'Once the mailbox is full, new messages sent to you will be rejected. Please delete some messages',
+        'to free up space.'
+    ].join('\n')
+};
+
+/**
+ * Get the highest usage threshold crossed
+ * @param {number} storageUsed - Used storage in bytes
+ * @param {number} quota - Storage quota in bytes
+ * @param {Array<number>} thresholds - Thresholds in percent
+ * @returns {number|boolean} Highest crossed threshold or false
+ */
+function getThreshold(storageUsed, quota, thresholds) {
+    if (!quota || !storageUsed) {
+        return false;
+    }
+
+    const percent = (storageUsed / quota) * 100;
+    const crossed = []
+        .concat(thresholds || [])
+        .map(Number)
+        .filter(threshold => threshold > 0 && percent >= threshold);
+
+    return crossed.length ? Math.max(...crossed) : false;
+}
+
+/**
+ * Format a byte count for humans, eg. "1.5 GB"
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+    let value = Number(bytes) || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return (unit ? Math.round(value * 10) / 10 : value) + ' ' + units[unit];
+}
+
+/**
+ * Replace {{key}} placeholders in a template
+ * @param {string} template - Template string
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered string, unknown placeholders are left empty
+ */
+function renderTemplate(template, values) {
+    return (template || '').toString().replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? String(values[key]) : ''));
+}
+
+/**
+ * Send a quota warning to the INBOX of the user if a usage threshold has been crossed
+ * Warnings are sent at most once per threshold per period, state is kept in Redis.
+ * @param {Object} plugin - Plugin instance with db, cfg and hostname
+ * @param {Object} userData - User data with _id, address and name
+ * @param {Object} usage - Storage usage
+ * @param {number} usage.storageUsed - Used storage in bytes
+ * @param {number} usage.quota - Storage quota in bytes
+ * @returns {Promise<Object|boolean>} Warning info {threshold, percent, id} or false if nothing was sent
+ */
+async function sendQuotaWarning(plugin, userData, usage) {
+    const config = Object.assign({}, DEFAULTS, plugin.cfg.quotaWarnings || {});
+
+    const threshold = getThreshold(usage.storageUsed, usage.quota, config.thresholds);
+    if (!threshold) {
+        return false;
+    }
+
+    const key = config.prefix + userData._id + ':' + threshold;
+    const locked = await plugin.db.redis.set(key, Date.now(), 'EX', config.period, 'NX');
+    if (!locked) {
+        // already warned during this period
+        return false;
+    }
+
+    const percent = Math.floor((usage.storageUsed / usage.quota) * 100);
+    const values = {
+        name: userData.name || userData.address,
+        address: userData.address,
+        used: formatBytes(usage.storageUsed),
+        quota: formatBytes(usage.quota),
+        percent,
+        threshold
+    };
+
+    const from = config.from || `postmaster@${plugin.hostname}`;
+
+    try {
+        const raw = await new MailComposer({
+            from,
+            to: userData.name ? { name: userData.name, address: userData.address } : userData.address,
+            subject: renderTemplate(config.subject, values),
+            text: renderTemplate(config.text, values),
+            headers: {
+                'Auto-Submitted': 'auto-generated',
+                'X-Quota-Threshold': String(threshold)
+            }
+        })
+            .compile()
+            .build();
+
+        const info = await new Promise((resolve, reject) => {
+            plugin.db.messageHandler.add(
+                {
+                    user: userData._id,
+                    path: 'INBOX',
+                    meta: {
+                        source: 'MX',
+                        from,
+                        to: [userData.address],
+                        origin: plugin.hostname,
+                        reason: 'quota_warning',
+                        time: new Date()
+                    },
+                    date: new Date(),
+                    flags: [],
+                    raw
+                },
+                (err, success, info) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(info || {});
+                }
+            );
+        });
+
+        return { threshold, percent, id: info.id };
+    } catch (err) {
+        // allow retrying on next delivery
+        await plugin.db.redis.del(key).catch(() => false);
+        throw err;
+    }
+}
+
+module.exports = { getThreshold, formatBytes, renderTemplate, sendQuotaWarning };
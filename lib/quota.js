@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Get message size declared with the ESMTP SIZE parameter of MAIL FROM (RFC 1870)
+ * @param {Object} mailParams - MAIL FROM parameters, keys are case insensitive, eg. {SIZE: '12345'}
+ * @returns {number} Declared size in bytes or 0 if not set or invalid
+ */
+function getDeclaredSize(mailParams) {
+    const key = Object.keys(mailParams || {}).find(key => key.toLowerCase() === 'size');
+    const size = key ? Number(mailParams[key]) : 0;
+    return Number.isSafeInteger(size) && size > 0 ? size : 0;
+}
+
+/**
+ * Check if a message fits into the remaining storage quota of a user
+ * @param {Object} data - Quota data
+ * @param {number} data.storageUsed - Currently used storage in bytes
+ * @param {number} data.quota - Storage quota in bytes
+ * @param {number} data.size - Message size in bytes
+ * @param {number} [data.grace=0] - Allowed overflow as a percentage of quota
+ * @returns {Object} Check result {allowed, limit, remaining}
+ */
+function checkMessageSize(data) {
+    const quota = Number(data.quota) || 0;
+    if (!quota) {
+        // no quota set
+        return { allowed: true, limit: 0, remaining: 0 };
+    }
+
+    const grace = Math.max(Number(data.grace) || 0, 0);
+    const limit = Math.floor(quota * (1 + grace / 100));
+    const remaining = Math.max(limit - (Number(data.storageUsed) || 0), 0);
+
+    return { allowed: (Number(data.size) || 0) <= remaining, limit, remaining };
+}
+
+module.exports = { getDeclaredSize, checkMessageSize };
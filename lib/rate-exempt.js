@@ -0,0 +1,118 @@
+'use strict';
+
+const cidr = require('./cidr');
+const { matchesDomain } = require('./spf-policy');
+
+const DEFAULTS = {
+    // client IP addresses and CIDR ranges
+    ips: [],
+    // sender domains (and subdomains), only used if SPF or DKIM passes for the domain
+    domains: [],
+    // recipient user IDs
+    users: [],
+    // Redis sets for runtime edits are "<prefix>ips", "<prefix>domains" and "<prefix>users"
+    prefix: 'rl:exempt:'
+};
+
+/**
+ * Get rate limit exemption config with defaults
+ * @param {Object} [config] - Exemption config from wildduck.yaml (limits.exempt)
+ * @returns {Object} Config
+ */
+function getConfig(config) {
+    return Object.assign({}, DEFAULTS, config || {});
+}
+
+/**
+ * Get sender domains authenticated by SPF or DKIM
+ * DKIM results are only available after DATA
+ * @param {Object} notes - Transaction notes with spfResult and dkimResult
+ * @returns {Array<string>} Lowercase domain names
+ */
+function getAuthenticatedDomains(notes) {
+    const domains = new Set();
+
+    const spfResult = notes && notes.spfResult;
+    if (spfResult && spfResult.status && spfResult.status.result === 'pass' && spfResult.domain) {
+        domains.add(spfResult.domain.toLowerCase());
+    }
+
+    for (const result of (notes && notes.dkimResult && notes.dkimResult.results) || []) {
+        if (result && result.status && result.status.result === 'pass' && result.signingDomain) {
+            domains.add(result.signingDomain.toLowerCase());
+        }
+    }
+
+    return Array.from(domains);
+}
+
+/**
+ * Match exemption data against exemption lists
+ * @param {Object} data - Exemption data {ip, domains, user}
+ * @param {Object} lists - Lists {ips, domains, users}
+ * @returns {Object|boolean} Exemption {type, value} or false
+ */
+function match(data, lists) {
+    if (data.ip && cidr.matches(data.ip, lists.ips)) {
+        return { type: 'ip', value: data.ip };
+    }
+
+    const domain = [].concat(data.domains || []).find(domain => matchesDomain(domain, lists.domains));
+    if (domain) {
+        return { type: 'domain', value: domain };
+    }
+
+    const user = data.user ? data.user.toString() : '';
+    if (user && [].concat(lists.users || []).some(entry => (entry || '').toString() === user)) {
+        return { type: 'user', value: user };
+    }
+
+    return false;
+}
+
+/**
+ * Find a rate limit exemption for a client IP, authenticated sender domains or a recipient user
+ * Lists from config are checked first, then the Redis sets that can be edited at runtime
+ * @param {Object} redis - Redis client
+ * @param {Object} data - Exemption data
+ * @param {string} data.ip - Client IP address
+ * @param {Array<string>} data.domains - Authenticated sender domains, see getAuthenticatedDomains
+ * @param {string} [data.user] - Recipient user ID
+ * @param {Object} [config] - Exemption config
+ * @returns {Promise<Object|boolean>} Exemption {type: "ip", "domain" or "user", value, source: "config" or "redis"} or false
+ */
+async function check(redis, data, config) {
+    config = getConfig(config);
+
+    const configured = match(data, config);
+    if (configured) {
+        return Object.assign(configured, { source: 'config' });
+    }
+
+    const user = data.user ? data.user.toString() : '';
+    const result = await redis
+        .multi()
+        .smembers(config.prefix + 'ips')
+        .smembers(config.prefix + 'domains')
+        .sismember(config.prefix + 'users', user)
+        .exec();
+
+    // ioredis returns [err, value] pairs for MULTI commands
+    const getValue = index => {
+        const entry = result && result[index];
+        if (entry && entry[0]) {
+            throw entry[0];
+        }
+        return entry && entry[1];
+    };
+
+    const stored = match(data, {
+        ips: getValue(0) || [],
+        domains: getValue(1) || [],
+        users: user && Number(getValue(2)) ? [user] : []
+    });
+
+    return stored ? Object.assign(stored, { source: 'redis' }) : false;
+}
+
+module.exports = { getConfig, getAuthenticatedDomains, check };
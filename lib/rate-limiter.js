@@ -0,0 +1,286 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// key prefixes by algorithm, keys for different algorithms use different Redis types
+const PREFIXES = {
+    sliding: 'rls:',
+    bucket: 'rlb:'
+};
+
+/**
+ * Sliding window log, each counted event is a sorted set member scored by time
+ * KEYS[1] - counter key
+ * ARGV - now (ms), window (ms), limit, increment, unique member id
+ * Returns {success, value, ttl (ms), retryAfter (ms)}
+ */
+const SLIDING_WINDOW = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local increment = tonumber(ARGV[4])
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = tonumber(redis.call('ZCARD', key))
+
+local success = 0
+if count < limit then
+    success = 1
+    for i = 1, increment do
+        redis.call('ZADD', key, now, ARGV[5] .. ':' .. i)
+    end
+    if increment > 0 then
+        count = count + increment
+        redis.call('PEXPIRE', key, window)
+    end
+end
+
+local ttl = 0
+local newest = redis.call('ZRANGE', key, -1, -1, 'WITHSCORES')
+if newest[2] then
+    ttl = tonumber(newest[2]) + window - now
+end
+
+local retryAfter = 0
+if success == 0 then
+    -- wait until enough events have expired to get below the limit
+    local oldest = redis.call('ZRANGE', key, count - limit, count - limit, 'WITHSCORES')
+    if oldest[2] then
+        retryAfter = tonumber(oldest[2]) + window - now
+    end
+end
+
+return {success, count, ttl, retryAfter}
+`;
+
+/**
+ * Token bucket, the bucket holds up to `limit` tokens and is refilled at `limit` tokens per window
+ * KEYS[1] - bucket key
+ * ARGV - now (ms), window (ms), limit, increment
+ * Returns {success, value, ttl (ms), retryAfter (ms)}
+ */
+const TOKEN_BUCKET = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local increment = tonumber(ARGV[4])
+
+local rate = limit / window
+local data = redis.call('HMGET', key, 'tokens', 'ts')
+local tokens = tonumber(data[1])
+local ts = tonumber(data[2])
+if not tokens or not ts then
+    tokens = limit
+    ts = now
+end
+tokens = math.min(limit, tokens + math.max(0, now - ts) * rate)
+
+local required = math.max(increment, 1)
+local success = 0
+if tokens >= required then
+    success = 1
+    if increment > 0 then
+        tokens = tokens - increment
+        redis.call('HMSET', key, 'tokens', tostring(tokens), 'ts', tostring(now))
+        redis.call('PEXPIRE', key, window)
+    end
+end
+
+local retryAfter = 0
+if success == 0 then
+    retryAfter = math.ceil((required - tokens) / rate)
+end
+
+return {success, math.floor(limit - tokens), math.ceil((limit - tokens) / rate), retryAfter}
+`;
+
+/**
+ * Reserve a slot if counted events plus active reservations stay within the limit
+ * Reservations are sorted set members scored by expiration time, expired reservations free their slot.
+ * KEYS[1] - counter key, KEYS[2] - reservation key
+ * ARGV - algorithm, now (ms), window (ms), limit, reservation id, reservation ttl (ms)
+ * Returns {success, value, retryAfter (ms)}
+ */
+const RESERVE = `
+local counterKey = KEYS[1]
+local reservationKey = KEYS[2]
+local algorithm = ARGV[1]
+local now = tonumber(ARGV[2])
+local window = tonumber(ARGV[3])
+local limit = tonumber(ARGV[4])
+local reservationTtl = tonumber(ARGV[6])
+
+redis.call('ZREMRANGEBYSCORE', reservationKey, '-inf', now)
+local reserved = tonumber(redis.call('ZCARD', reservationKey))
+
+local used = 0
+if algorithm == 'sliding' then
+    redis.call('ZREMRANGEBYSCORE', counterKey, '-inf', now - window)
+    used = tonumber(redis.call('ZCARD', counterKey))
+elseif algorithm == 'bucket' then
+    local data = redis.call('HMGET', counterKey, 'tokens', 'ts')
+    local tokens = tonumber(data[1])
+    local ts = tonumber(data[2])
+    if tokens and ts then
+        used = limit - math.min(limit, tokens + math.max(0, now - ts) * limit / window)
+    end
+else
+    used = tonumber(redis.call('GET', counterKey)) or 0
+end
+
+if used + reserved + 1 <= limit then
+    redis.call('ZADD', reservationKey, now + reservationTtl, ARGV[5])
+    redis.call('PEXPIRE', reservationKey, reservationTtl)
+    return {1, math.ceil(used + reserved + 1), 0}
+end
+
+-- estimate when a slot becomes available
+local retryAfter = 0
+if algorithm == 'bucket' then
+    retryAfter = math.ceil((used + reserved + 1 - limit) * window / limit)
+elseif algorithm == 'sliding' and used + reserved - limit < used then
+    local entry = redis.call('ZRANGE', counterKey, used + reserved - limit, used + reserved - limit, 'WITHSCORES')
+    if entry[2] then
+        retryAfter = tonumber(entry[2]) + window - now
+    end
+elseif algorithm ~= 'sliding' then
+    retryAfter = tonumber(redis.call('PTTL', counterKey)) or 0
+end
+
+if retryAfter <= 0 and reserved > 0 then
+    local reservation = redis.call('ZRANGE', reservationKey, 0, 0, 'WITHSCORES')
+    if reservation[2] then
+        retryAfter = tonumber(reservation[2]) - now
+    end
+end
+
+return {0, math.ceil(used + reserved), retryAfter}
+`;
+
+const COMMANDS = {
+    sliding: { name: 'wdRateSliding', lua: SLIDING_WINDOW },
+    bucket: { name: 'wdRateBucket', lua: TOKEN_BUCKET },
+    reserve: { name: 'wdRateReserve', lua: RESERVE, numberOfKeys: 2 }
+};
+
+/**
+ * Get a custom command for a Lua script, the script is registered on first use
+ * @param {Object} redis - ioredis client
+ * @param {Object} command - Command definition {name, lua, numberOfKeys}
+ * @returns {Function} Command function
+ */
+function getCommand(redis, command) {
+    if (typeof redis[command.name] !== 'function') {
+        redis.defineCommand(command.name, { numberOfKeys: command.numberOfKeys || 1, lua: command.lua });
+    }
+    return redis[command.name].bind(redis);
+}
+
+/**
+ * Check if an algorithm name is supported by this module
+ * @param {string} algorithm - Algorithm name
+ * @returns {boolean} True for "sliding" and "bucket"
+ */
+function isSupported(algorithm) {
+    return Object.prototype.hasOwnProperty.call(PREFIXES, algorithm);
+}
+
+/**
+ * Get the Redis key for a counter
+ * @param {string} algorithm - Either "sliding" or "bucket"
+ * @param {string} key - Counter key, eg. "rcpt:<user id>"
+ * @returns {string} Redis key
+ */
+function getKey(algorithm, key) {
+    return PREFIXES[algorithm] + key;
+}
+
+/**
+ * Check and optionally increment a rate limit counter atomically
+ * Like WildDuck ttlcounter, the counter is only incremented if the limit has not been reached yet.
+ * @param {Object} redis - ioredis client, Lua scripts are registered as custom commands
+ * @param {string} algorithm - Either "sliding" (sliding window log) or "bucket" (token bucket)
+ * @param {string} key - Counter key without algorithm prefix
+ * @param {Object} options - Limit options
+ * @param {number} options.limit - Allowed events per window
+ * @param {number} options.windowSize - Window size in seconds
+ * @param {number} [options.increment=0] - How many events to add, 0 only checks the limit
+ * @param {number} [options.now] - Current time in milliseconds, for testing
+ * @returns {Promise<Object>} Result {success, value, ttl, retryAfter}, ttl and retryAfter in seconds
+ */
+async function consume(redis, algorithm, key, options) {
+    if (!isSupported(algorithm)) {
+        throw new Error('Unknown rate limit algorithm ' + algorithm);
+    }
+
+    const args = [options.now || Date.now(), Math.round(options.windowSize * 1000), options.limit, Number(options.increment) || 0];
+    if (algorithm === 'sliding') {
+        args.push(crypto.randomBytes(8).toString('hex'));
+    }
+
+    const [success, value, ttl, retryAfter] = await getCommand(redis, COMMANDS[algorithm])(getKey(algorithm, key), ...args);
+
+    return {
+        success: !!Number(success),
+        value: Number(value) || 0,
+        ttl: Math.ceil((Number(ttl) || 0) / 1000),
+        retryAfter: Math.ceil((Number(retryAfter) || 0) / 1000)
+    };
+}
+
+/**
+ * Reserve a slot in a rate limit counter
+ * The slot counts against the limit until it is released or the reservation expires. Once the event
+ * has happened, the counter should be incremented with consume() and the reservation released.
+ * @param {Object} redis - ioredis client
+ * @param {string} algorithm - Either "fixed", "sliding" or "bucket"
+ * @param {string} counterKey - Full Redis key of the counter, eg. "rl:rcpt:<user id>" for fixed windows
+ * @param {string} reservationKey - Redis key for reservations of this counter
+ * @param {Object} options - Limit options
+ * @param {number} options.limit - Allowed events per window
+ * @param {number} options.windowSize - Window size in seconds
+ * @param {number} options.ttl - Reservation lifetime in seconds
+ * @param {number} [options.now] - Current time in milliseconds, for testing
+ * @returns {Promise<Object>} Result {success, value, ttl, retryAfter, id} in seconds, ttl is how long the reservation is held or
+ *     until a slot frees up, id is set for successful reservations
+ */
+async function reserve(redis, algorithm, counterKey, reservationKey, options) {
+    const id = crypto.randomBytes(8).toString('hex');
+
+    const [success, value, retryAfter] = await getCommand(redis, COMMANDS.reserve)(
+        counterKey,
+        reservationKey,
+        algorithm,
+        options.now || Date.now(),
+        Math.round(options.windowSize * 1000),
+        options.limit,
+        id,
+        Math.round(options.ttl * 1000)
+    );
+
+    const result = {
+        success: !!Number(success),
+        value: Number(value) || 0,
+        retryAfter: Math.ceil(Math.max(Number(retryAfter) || 0, 0) / 1000)
+    };
+    result.ttl = result.success ? Math.ceil(options.ttl) : result.retryAfter;
+    if (result.success) {
+        result.id = id;
+    }
+    return result;
+}
+
+/**
+ * Release a reservation
+ * @param {Object} redis - ioredis client
+ * @param {string} reservationKey - Redis key for reservations of the counter
+ * @param {string} id - Reservation ID from reserve()
+ * @returns {Promise<boolean>} True if the reservation existed
+ */
+async function release(redis, reservationKey, id) {
+    return !!(await redis.zrem(reservationKey, id));
+}
+
+module.exports = { consume, reserve, release, isSupported, getKey, SLIDING_WINDOW, TOKEN_BUCKET, RESERVE };
@@ -0,0 +1,75 @@
+'use strict';
+
+const DSN = require('haraka-dsn');
+const cidr = require('./cidr');
+
+/**
+ * Check if a domain matches a list of domains, subdomains of a listed domain match as well
+ * @param {string} domain - Domain to check
+ * @param {Array<string>} list - Domain list
+ * @returns {boolean} True if domain is listed
+ */
+function matchesDomain(domain, list) {
+    domain = (domain || '').toString().toLowerCase();
+    if (!domain) {
+        return false;
+    }
+
+    return [].concat(list || []).some(entry => {
+        entry = (entry || '').toString().toLowerCase().trim();
+        return entry && (domain === entry || domain.endsWith('.' + entry));
+    });
+}
+
+/**
+ * Resolve the SMTP action for an SPF result at MAIL FROM
+ * `fail` results are rejected if rejectFail is set, `temperror` results are deferred if deferTempError is set.
+ * Clients listed in exemptIps and senders from exemptDomains are never rejected.
+ * @param {Object} spfResult - SPF result from mailauth
+ * @param {Object} options - Policy options
+ * @param {string} options.ip - SMTP client IP
+ * @param {string} [options.sender] - MAIL FROM address
+ * @param {Object} [options.config] - SPF policy config (auth.spf)
+ * @returns {Object|boolean} Action object {action, rejectCode, domain, result, reply} or false to accept
+ */
+function getSpfAction(spfResult, options) {
+    const config = (options && options.config) || {};
+    const result = spfResult && spfResult.status && spfResult.status.result;
+
+    let action;
+    if (result === 'fail' && config.rejectFail) {
+        action = 'reject';
+    } else if (result === 'temperror' && config.deferTempError) {
+        action = 'defer';
+    } else {
+        return false;
+    }
+
+    const domain = (spfResult.domain || (options.sender || '').split('@').pop() || '').toLowerCase();
+
+    if (cidr.matches(options.ip, config.exemptIps) || matchesDomain(domain, config.exemptDomains)) {
+        return false;
+    }
+
+    if (action === 'reject') {
+        return {
+            action,
+            rejectCode: 'SPF_FAIL',
+            domain,
+            result,
+            // RFC 7372: X.7.23 SPF validation failed
+            reply: DSN.create(550, `SPF validation failed, ${options.ip} is not allowed to send mail for ${domain || 'this domain'}`, 7, 23).reply
+        };
+    }
+
+    return {
+        action,
+        rejectCode: 'SPF_TEMPERROR',
+        domain,
+        result,
+        // RFC 7372: X.7.24 SPF validation error
+        reply: DSN.create(451, `SPF validation error for ${domain || 'this domain'}, please try again later`, 7, 24).reply
+    };
+}
+
+module.exports = { getSpfAction, matchesDomain };
@@ -0,0 +1,90 @@
+'use strict';
+
+const DEFAULTS = {
+    separators: ['+'],
+    autoCreate: false,
+    optIn: true
+};
+
+// mailbox names that can be auto-created from a subaddress
+const MAILBOX_NAME = /^[\p{L}\p{N}][\p{L}\p{N} ._-]{0,63}$/u;
+
+/**
+ * Get subaddressing config with defaults
+ * @param {Object} [config] - Subaddress config from wildduck.yaml
+ * @returns {Object} Config
+ */
+function getConfig(config) {
+    return Object.assign({}, DEFAULTS, config || {});
+}
+
+/**
+ * Split an address into base address and subaddress tag, eg. "user+folder@example.com" into
+ * "user@example.com" and "folder". The first separator found in the local part is used.
+ * @param {string} address - Recipient address
+ * @param {Array<string>} separators - Allowed separator characters, eg. ["+", "-"]
+ * @returns {Object|boolean} Subaddress {base, tag, separator} or false if the address has no tag
+ */
+function parse(address, separators) {
+    address = (address || '').toString();
+
+    const at = address.lastIndexOf('@');
+    if (at < 0) {
+        return false;
+    }
+
+    const user = address.substring(0, at);
+    const domain = address.substring(at + 1);
+
+    let pos = -1;
+    for (const separator of [].concat(separators || [])) {
+        const index = separator ? user.indexOf(separator) : -1;
+        // separator at the start of the local part does not make a tag
+        if (index > 0 && (pos < 0 || index < pos)) {
+            pos = index;
+        }
+    }
+
+    if (pos < 0 || pos === user.length - 1) {
+        return false;
+    }
+
+    return { base: user.substring(0, pos) + '@' + domain, tag: user.substring(pos + 1), separator: user.charAt(pos) };
+}
+
+/**
+ * Check if subaddress delivery into mailboxes is enabled for a user
+ * If opt-in is required, users enable it by setting `subaddressMailboxes: true` in user metaData
+ * @param {Object} userData - User data with metaData
+ * @param {Object} config - Subaddress config
+ * @returns {boolean} True if messages can be stored into the mailbox named by the tag
+ */
+function isEnabledForUser(userData, config) {
+    let metaData = userData && userData.metaData;
+    if (typeof metaData === 'string') {
+        try {
+            metaData = JSON.parse(metaData);
+        } catch {
+            metaData = false;
+        }
+    }
+
+    if (metaData && typeof metaData.subaddressMailboxes === 'boolean') {
+        // explicit user setting always wins
+        return metaData.subaddressMailboxes;
+    }
+
+    return !getConfig(config).optIn;
+}
+
+/**
+ * Check if a subaddress tag can be used as the name for an auto-created mailbox
+ * Hierarchy separators and control characters are not allowed
+ * @param {string} tag - Subaddress tag
+ * @returns {boolean} True if the tag is a valid mailbox name
+ */
+function isValidMailboxName(tag) {
+    return MAILBOX_NAME.test(tag || '') && tag.toUpperCase() !== 'INBOX';
+}
+
+module.exports = { getConfig, parse, isEnabledForUser, isValidMailboxName };
@@ -0,0 +1,80 @@
+'use strict';
+
+const net = require('net');
+const { parseReceived } = require('mailauth/lib/parse-received');
+const cidr = require('./cidr');
+
+// how many Received headers to check at most when looking for the original client
+const MAX_HOPS = 10;
+
+/**
+ * Extract client IP and HELO hostname from a parsed Received header
+ * Supports common formats like "from helo (rdns [192.0.2.1])", "from [192.0.2.1] (helo=helo)"
+ * and "from helo ([IPv6:2001:db8::1])"
+ * @param {Object} received - Parsed Received header from parseReceived
+ * @returns {Object|boolean} Client info {ip, helo} or false if the header does not include a client IP
+ */
+function getReceivedClient(received) {
+    const from = received && received.from;
+    if (!from) {
+        return false;
+    }
+
+    const value = (from.value || '').trim();
+    const comment = (from.comment || '').trim();
+
+    let ip;
+    for (const source of [comment, value]) {
+        const match = source.match(/\[(?:IPv6:)?([0-9a-f:.]+)\]/i);
+        if (match && cidr.normalizeIp(match[1])) {
+            ip = cidr.normalizeIp(match[1]);
+            break;
+        }
+    }
+
+    if (!ip && cidr.normalizeIp(value)) {
+        ip = cidr.normalizeIp(value);
+    }
+
+    if (!ip) {
+        return false;
+    }
+
+    let helo = /^\[.*\]$/.test(value) || net.isIP(value) ? '' : value;
+    const heloMatch = comment.match(/\bhelo=([^\s)]+)/i);
+    if (heloMatch) {
+        helo = heloMatch[1];
+    }
+
+    return { ip, helo: helo || false };
+}
+
+/**
+ * Find the original SMTP client of a message received through trusted relays
+ * Received headers are processed from the top, headers added by trusted relays are skipped until the
+ * first hop from an untrusted client is found.
+ * @param {Array<string>} receivedHeaders - Received header values, most recent first
+ * @param {Array<string>} trustedRelays - Trusted relay IP addresses and CIDR ranges
+ * @returns {Object|boolean} Client info {ip, helo, hops} or false if the client could not be determined
+ */
+function getOriginalClient(receivedHeaders, trustedRelays) {
+    const headers = [].concat(receivedHeaders || []).slice(0, MAX_HOPS);
+
+    for (let i = 0; i < headers.length; i++) {
+        const line = (headers[i] || '').toString();
+        const client = getReceivedClient(parseReceived(/^received:/i.test(line) ? line : 'Received: ' + line));
+        if (!client) {
+            // can not trust anything below an unparseable header
+            return false;
+        }
+
+        if (!cidr.matches(client.ip, trustedRelays)) {
+            client.hops = i + 1;
+            return client;
+        }
+    }
+
+    return false;
+}
+
+module.exports = { getReceivedClient, getOriginalClient };
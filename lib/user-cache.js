@@ -0,0 +1,262 @@
+'use strict';
+
+const { LruCache, mergeOptions, getHitRate } = require('./lru-cache');
+
+const DEFAULTS = {
+    size: 1000,
+    ttl: 60,
+    channel: 'wildduck:mx:invalidate',
+    // user fields that are always fetched from the database
+    uncached: ['storageUsed', 'quota']
+};
+
+/**
+ * In-process LRU cache for address resolution and user lookups
+ * Wraps `userHandler.resolveAddress` and `userHandler.get` using the same call signatures. Cached user
+ * objects never include quota related fields, these are fetched from the database on every lookup.
+ *
+ * Entries are invalidated by publishing JSON messages to the Redis channel, eg.
+ * `{"user":"<user id>"}`, `{"address":"user@example.com"}`, `{"domain":"example.com"}` or `{"all":true}`.
+ * The whole cache is cleared when the subscriber reconnects as invalidation messages might have been lost.
+ */
+class UserCache {
+    /**
+     * Create a UserCache
+     * @param {Object} options - Cache options
+     * @param {Object} options.userHandler - WildDuck UserHandler instance
+     * @param {boolean} [options.enabled] - If false, all calls are passed through to userHandler
+     * @param {number} [options.size=1000] - Maximum number of cached addresses and users, each
+     * @param {number} [options.ttl=60] - Cache time in seconds
+     * @param {Object} [options.redis] - Redis client, duplicated for the invalidation subscriber
+     * @param {string} [options.channel='wildduck:mx:invalidate'] - Redis pub/sub channel for invalidation messages
+     * @param {Array<string>} [options.uncached] - User fields that are never cached
+     * @param {Function} [options.onError] - Called with subscriber errors
+     */
+    constructor(options) {
+        this.options = mergeOptions(DEFAULTS, options);
+
+        this.userHandler = this.options.userHandler;
+
+        this.addresses = new LruCache(this.options.size);
+        this.users = new LruCache(this.options.size);
+
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            invalidations: 0
+        };
+    }
+
+    /**
+     * Resolve an address, compatible with userHandler.resolveAddress
+     * Only found addresses are cached, unknown addresses are handled by the negative cache
+     * @param {string} address - Normalized address
+     * @param {Object} options - Resolve options, passed to userHandler
+     * @param {Function} callback - Callback (err, addressData)
+     */
+    resolveAddress(address, options, callback) {
+        const key = (address || '').toString();
+
+        const cached = this.options.enabled && this.addresses.get(key);
+        if (cached) {
+            this.counters.hits++;
+            return process.nextTick(() => callback(null, Object.assign({}, cached)));
+        }
+
+        if (this.options.enabled) {
+            this.counters.misses++;
+        }
+
+        this.userHandler.resolveAddress(address, options, (err, addressData) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (this.options.enabled && addressData) {
+                this.addresses.set(key, Object.assign({}, addressData), this.options.ttl * 1000);
+            }
+
+            callback(null, addressData);
+        });
+    }
+
+    /**
+     * Get user data, compatible with userHandler.get
+     * Uncached fields are fetched from the database even if the user is found from the cache
+     * @param {string|Object} user - User ID
+     * @param {Object} projection - Extra fields to fetch, passed to userHandler
+     * @param {Function} callback - Callback (err, userData)
+     */
+    get(user, projection, callback) {
+        const key = (user || '').toString();
+
+        const cached = this.options.enabled && this.users.get(key);
+        if (!cached) {
+            if (this.options.enabled) {
+                this.counters.misses++;
+            }
+
+            return this.userHandler.get(user, projection, (err, userData) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (this.options.enabled && userData) {
+                    const entry = Object.assign({}, userData);
+                    for (const field of this.options.uncached) {
+                        delete entry[field];
+                    }
+                    this.users.set(key, entry, this.options.ttl * 1000);
+                }
+
+                callback(null, userData);
+            });
+        }
+
+        const fields = {};
+        for (const field of this.options.uncached) {
+            if (!projection || projection[field]) {
+                fields[field] = true;
+            }
+        }
+
+        if (!Object.keys(fields).length) {
+            this.counters.hits++;
+            return process.nextTick(() => callback(null, Object.assign({}, cached)));
+        }
+
+        this.userHandler.get(user, fields, (err, userData) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!userData) {
+                // user was deleted
+                this.invalidate({ user: key });
+                return callback(null, false);
+            }
+
+            this.counters.hits++;
+            const result = Object.assign({}, cached);
+            for (const field of Object.keys(fields)) {
+                result[field] = userData[field];
+            }
+            callback(null, result);
+        });
+    }
+
+    /**
+     * Remove cached entries
+     * Invalidating a user also removes all cached addresses that resolve to this user.
+     * @param {Object} message - Invalidation message {user}, {address}, {domain} or {all}
+     */
+    invalidate(message) {
+        message = message || {};
+        this.counters.invalidations++;
+
+        if (message.all) {
+            return this.clear();
+        }
+
+        if (message.user) {
+            const user = message.user.toString();
+            this.users.delete(user);
+            for (const [key, addressData] of this.addresses) {
+                if (addressData.user && addressData.user.toString() === user) {
+                    this.addresses.delete(key);
+                }
+            }
+        }
+
+        if (message.address) {
+            this.addresses.delete(message.address.toString());
+        }
+
+        if (message.domain) {
+            const suffix = '@' + message.domain.toString();
+            for (const key of this.addresses.keys()) {
+                if (key.endsWith(suffix)) {
+                    this.addresses.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Subscribe to the invalidation channel using a dedicated Redis connection
+     * @returns {Promise} Resolves once subscribed
+     */
+    async subscribe() {
+        if (!this.options.enabled || !this.options.redis || this.subscriber) {
+            return;
+        }
+
+        let connected = false;
+
+        this.subscriber = this.options.redis.duplicate();
+        this.subscriber.on('error', err => {
+            if (typeof this.options.onError === 'function') {
+                this.options.onError(err);
+            }
+        });
+        this.subscriber.on('ready', () => {
+            if (connected) {
+                // invalidation messages might have been sent while we were disconnected
+                this.clear();
+            }
+            connected = true;
+        });
+        this.subscriber.on('message', (channel, payload) => {
+            if (channel !== this.options.channel) {
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch {
+                // unknown message format, drop everything to be safe
+                message = { all: true };
+            }
+            this.invalidate(message);
+        });
+
+        await this.subscriber.subscribe(this.options.channel);
+    }
+
+    /**
+     * Close the invalidation subscriber
+     */
+    close() {
+        if (this.subscriber) {
+            this.subscriber.disconnect();
+            this.subscriber = null;
+        }
+    }
+
+    /**
+     * Remove all cached entries
+     */
+    clear() {
+        this.addresses.clear();
+        this.users.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Counters for hits, misses, evictions and invalidations, plus current cache sizes and hit rate in percent
+     */
+    stats() {
+        return Object.assign(
+            {
+                addresses: this.addresses.size,
+                users: this.users.size,
+                hitRate: getHitRate(this.counters.hits, this.counters.misses),
+                evictions: this.addresses.evictions + this.users.evictions
+            },
+            this.counters
+        );
+    }
+}
+
+module.exports = UserCache;
@@ -0,0 +1,77 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getArcOverride, isTrustedSealer } = require('../lib/arc-override');
+
+const arcResult = (overrides = {}) =>
+    Object.assign(
+        {
+            status: { result: 'pass' },
+            i: 1,
+            signature: { signingDomain: 'lists.example.org' },
+            authenticationResults: {
+                mta: 'mx.example.org',
+                spf: { result: 'pass', smtp: { mailfrom: 'sender@example.com' } },
+                dkim: [{ result: 'pass', header: { d: 'example.com', s: 'test' } }],
+                dmarc: { result: 'pass', header: { from: 'example.com' } }
+            }
+        },
+        overrides
+    );
+
+describe('ARC override', () => {
+    describe('isTrustedSealer', () => {
+        it('should match listed domains and subdomains', () => {
+            expect(isTrustedSealer('example.org', ['example.org'])).to.be.true;
+            expect(isTrustedSealer('Lists.Example.org', ['example.org'])).to.be.true;
+            expect(isTrustedSealer('badexample.org', ['example.org'])).to.be.false;
+            expect(isTrustedSealer('', ['example.org'])).to.be.false;
+            expect(isTrustedSealer('example.org')).to.be.false;
+        });
+    });
+
+    describe('getArcOverride', () => {
+        it('should return authentication results from a trusted sealer', () => {
+            const result = getArcOverride(arcResult(), { trusted: ['example.org'], headerFrom: 'Example.com' });
+            expect(result).to.deep.equal({
+                sealer: 'lists.example.org',
+                instance: 1,
+                mta: 'mx.example.org',
+                spf: { result: 'pass', domain: 'example.com' },
+                dkim: [{ result: 'pass', domain: 'example.com' }],
+                dmarc: { result: 'pass', from: 'example.com' },
+                dmarcPass: true
+            });
+        });
+
+        it('should ignore untrusted sealers', () => {
+            expect(getArcOverride(arcResult(), { trusted: ['example.net'] })).to.be.false;
+        });
+
+        it('should ignore failing chains', () => {
+            expect(getArcOverride(arcResult({ status: { result: 'fail' } }), { trusted: ['example.org'] })).to.be.false;
+        });
+
+        it('should not pass DMARC if sealer reported a failure', () => {
+            const input = arcResult();
+            input.authenticationResults.dmarc = { result: 'fail', header: { from: 'example.com' } };
+            expect(getArcOverride(input, { trusted: ['example.org'], headerFrom: 'example.com' }).dmarcPass).to.be.false;
+        });
+
+        it('should not pass DMARC if the sealer reported a different From: domain', () => {
+            expect(getArcOverride(arcResult(), { trusted: ['example.org'], headerFrom: 'example.net' }).dmarcPass).to.be.false;
+            expect(getArcOverride(arcResult(), { trusted: ['example.org'] }).dmarcPass).to.be.false;
+
+            const input = arcResult();
+            input.authenticationResults.dmarc = { result: 'pass' };
+            expect(getArcOverride(input, { trusted: ['example.org'], headerFrom: 'example.com' }).dmarcPass).to.be.false;
+        });
+
+        it('should check alignment if sealer did not report DMARC', () => {
+            const input = arcResult();
+            delete input.authenticationResults.dmarc;
+            expect(getArcOverride(input, { trusted: ['example.org'], headerFrom: 'example.com' }).dmarcPass).to.be.true;
+            expect(getArcOverride(input, { trusted: ['example.org'], headerFrom: 'example.net' }).dmarcPass).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { dkimVerify } = require('mailauth/lib/dkim/verify');
+const { arc } = require('mailauth/lib/arc');
+const { getSealKey, createArcSeal } = require('../lib/arc-seal');
+
+const message = Buffer.from(
+    'From: sender@example.com\r\nTo: forward@example.net\r\nSubject: Test\r\nDate: Mon, 1 Jan 2024 00:00:00 +0000\r\nMessage-ID: <test@example.com>\r\n\r\nHello world!\r\n'
+);
+
+const notFound = async () => {
+    const err = new Error('not found');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const verify = async (input, resolver, seal) => {
+    const stream = new PassThrough();
+    stream.end(input);
+    const dkimResult = await dkimVerify(stream, { resolver, seal });
+    const arcResult = await arc(dkimResult.arc, { resolver });
+    return { dkimResult, arcResult };
+};
+
+describe('ARC sealing', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    const dnsValue = 'v=DKIM1; k=rsa; p=' + publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+    describe('getSealKey', () => {
+        it('should prefer domain specific keys', async () => {
+            const plugin = {
+                cfg: {
+                    auth: {
+                        arc: {
+                            seal: {
+                                signingDomain: 'default.example',
+                                selector: 'default',
+                                privateKey: 'default-key',
+                                domains: { 'example.net': { selector: 'arc', privateKey: 'domain-key' } }
+                            }
+                        }
+                    }
+                }
+            };
+            const key = await getSealKey(plugin, ['example.org', 'example.net']);
+            expect(key).to.include({ signingDomain: 'example.net', selector: 'arc', privateKey: 'domain-key' });
+        });
+
+        it('should use DKIM keys from database', async () => {
+            const plugin = {
+                cfg: { auth: { arc: { seal: {} } } },
+                dkimHandler: {
+                    get: sinon.stub().resolves({ domain: 'example.net', selector: 'wd', privateKey: 'db-key' })
+                }
+            };
+            const key = await getSealKey(plugin, ['example.net']);
+            expect(key).to.include({ signingDomain: 'example.net', selector: 'wd', privateKey: 'db-key' });
+            expect(plugin.dkimHandler.get.firstCall.args).to.deep.equal([{ domain: 'example.net' }, true]);
+        });
+
+        it('should fall back to the default key', async () => {
+            const plugin = {
+                cfg: { auth: { arc: { seal: { signingDomain: 'default.example', selector: 'default', privateKey: 'default-key' } } } }
+            };
+            const key = await getSealKey(plugin, ['example.net']);
+            expect(key).to.include({ signingDomain: 'default.example', selector: 'default' });
+        });
+
+        it('should return false if no key is configured', async () => {
+            expect(await getSealKey({ cfg: {} }, ['example.net'])).to.be.false;
+        });
+    });
+
+    describe('createArcSeal', () => {
+        const plugin = {
+            cfg: { auth: { arc: { seal: { domains: { 'example.net': { selector: 'arc', privateKey: pem } } } } } }
+        };
+
+        it('should create a verifiable ARC set', async () => {
+            const { dkimResult, arcResult } = await verify(message, notFound, {});
+
+            const result = await createArcSeal(plugin, {
+                dkimResult,
+                arcResult,
+                authResults: 'mx.example.net; spf=none smtp.mailfrom=example.com',
+                domains: ['example.net']
+            });
+
+            expect(result.instance).to.equal(1);
+            expect(result.cv).to.equal('none');
+            expect(result.signingDomain).to.equal('example.net');
+
+            const sealed = Buffer.concat([result.headers, message]);
+            expect(sealed.toString()).to.match(/^ARC-Seal: i=1;/);
+
+            const resolver = async name => {
+                if (name === 'arc._domainkey.example.net') {
+                    return [[dnsValue]];
+                }
+                return notFound();
+            };
+            const { arcResult: sealedResult } = await verify(sealed, resolver);
+            expect(sealedResult.status.result).to.equal('pass');
+            expect(sealedResult.i).to.equal(1);
+        });
+
+        it('should not seal if body hash was not calculated', async () => {
+            const { dkimResult, arcResult } = await verify(message, notFound, null);
+            const result = await createArcSeal(plugin, { dkimResult, arcResult, authResults: 'mx.example.net', domains: ['example.net'] });
+            expect(result).to.be.false;
+        });
+
+        it('should not seal a failing chain', async () => {
+            const { dkimResult } = await verify(message, notFound, {});
+            const result = await createArcSeal(plugin, {
+                dkimResult,
+                arcResult: { status: { result: 'fail' }, i: 1 },
+                authResults: 'mx.example.net',
+                domains: ['example.net']
+            });
+            expect(result).to.be.false;
+        });
+    });
+});
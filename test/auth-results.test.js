@@ -0,0 +1,61 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { getAuthservId, sanitizeAuthResults } = require('../lib/auth-results');
+
+describe('Authentication-Results sanitizing', () => {
+    describe('getAuthservId', () => {
+        it('should parse authserv-id', () => {
+            expect(getAuthservId('MX.example.com; spf=pass smtp.mailfrom=example.com')).to.equal('mx.example.com');
+            expect(getAuthservId('mx.example.com 1; none')).to.equal('mx.example.com');
+            expect(getAuthservId('(comment) mx.example.com; none')).to.equal('mx.example.com');
+        });
+
+        it('should parse authserv-id from ARC-Authentication-Results', () => {
+            expect(getAuthservId('i=1; mx.example.com; dkim=pass')).to.equal('mx.example.com');
+        });
+
+        it('should return false for empty values', () => {
+            expect(getAuthservId('')).to.be.false;
+        });
+    });
+
+    describe('sanitizeAuthResults', () => {
+        let txn;
+
+        beforeEach(() => {
+            const headers = {
+                'Authentication-Results': ['other.example.org; spf=fail\n', 'mx.example.com; dkim=pass\n', 'third.example.org; none\n'],
+                'ARC-Authentication-Results': ['i=1; other.example.org; spf=pass\n']
+            };
+            txn = {
+                header: { get_all: key => headers[key] || [] },
+                remove_header: sinon.stub(),
+                add_leading_header: sinon.stub()
+            };
+        });
+
+        it('should remove headers with our authserv-id', () => {
+            const result = sanitizeAuthResults(txn, { authservIds: ['MX.example.com'] });
+
+            expect(result).to.deep.equal([{ key: 'Authentication-Results', authservId: 'mx.example.com', value: 'mx.example.com; dkim=pass' }]);
+            expect(txn.remove_header.calledOnceWith('Authentication-Results')).to.be.true;
+            expect(txn.add_leading_header.args).to.deep.equal([
+                ['Authentication-Results', 'third.example.org; none'],
+                ['Authentication-Results', 'other.example.org; spf=fail']
+            ]);
+        });
+
+        it('should rename headers with our authserv-id', () => {
+            sanitizeAuthResults(txn, { authservIds: ['mx.example.com'], action: 'rename' });
+            expect(txn.add_leading_header.args[1]).to.deep.equal(['X-Forged-Authentication-Results', 'mx.example.com; dkim=pass']);
+        });
+
+        it('should not modify headers without matches', () => {
+            expect(sanitizeAuthResults(txn, { authservIds: ['mx.example.net'] })).to.deep.equal([]);
+            expect(sanitizeAuthResults(txn, { authservIds: [] })).to.deep.equal([]);
+            expect(txn.remove_header.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const bounceVerify = require('../lib/bounce-verify');
+
+describe('Bounce verification', () => {
+    describe('getReferencedMessageIds', () => {
+        it('should find Message-ID values from the embedded message and references', () => {
+            const message = Buffer.from(
+                [
+                    'From: MAILER-DAEMON@example.net',
+                    'Message-ID: <bounce@example.net>',
+                    'References: <ref1@example.com>',
+                    ' <Ref2@Example.com>',
+                    'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+                    '',
+                    '--b',
+                    'Content-Type: text/rfc822-headers',
+                    '',
+                    'From: user@example.com',
+                    'Message-ID: <Original@example.com>',
+                    '--b--',
+                    ''
+                ].join('\r\n')
+            );
+
+            expect(bounceVerify.getReferencedMessageIds([message.subarray(0, 50), message.subarray(50)])).to.deep.equal([
+                'ref1@example.com',
+                'ref2@example.com',
+                'original@example.com'
+            ]);
+        });
+
+        it('should ignore messages without references', () => {
+            expect(bounceVerify.getReferencedMessageIds(Buffer.from('Subject: test\r\nMessage-ID: <own@example.net>\r\n\r\nHello\r\n'))).to.deep.equal([]);
+        });
+    });
+
+    describe('sent message records', () => {
+        it('should find recorded messages', async () => {
+            const keys = new Map();
+            const redis = {
+                set: async (key, value, ...args) => keys.set(key, args),
+                exists: async key => (keys.has(key) ? 1 : 0)
+            };
+
+            await bounceVerify.recordSent(redis, 'user1', '<Original@example.com>');
+            expect(Array.from(keys.values())[0]).to.deep.equal(['EX', 14 * 24 * 3600]);
+
+            expect(await bounceVerify.findSentMessage(redis, 'user1', ['other@example.com', 'original@example.com'])).to.equal('original@example.com');
+            expect(await bounceVerify.findSentMessage(redis, 'user2', ['original@example.com'])).to.be.false;
+        });
+
+        it('should use the documented key format', () => {
+            const hash = crypto.createHash('sha256').update('user1:id@example.com').digest('hex');
+            expect(bounceVerify.getRecordKey('user1', '<ID@example.com>')).to.equal('bv:m:' + hash);
+        });
+    });
+
+    describe('BATV', () => {
+        const config = { batv: { keys: ['secret'], maxAge: 7 } };
+        const now = Date.UTC(2024, 0, 1);
+
+        it('should verify signed addresses', () => {
+            const signed = bounceVerify.signPrvs('user@example.com', config, now);
+            expect(signed).to.match(/^prvs=0\d{3}[0-9a-f]{6}=user@example.com$/);
+            expect(bounceVerify.verifyPrvs(signed, config, now + 24 * 3600 * 1000)).to.deep.equal({
+                address: 'user@example.com',
+                valid: true,
+                reason: 'signed'
+            });
+        });
+
+        it('should reject forged and expired tags', () => {
+            const signed = bounceVerify.signPrvs('user@example.com', config, now);
+            expect(bounceVerify.verifyPrvs(signed.replace('user@', 'other@'), config, now)).to.include({ valid: false, reason: 'invalid_hash' });
+            expect(bounceVerify.verifyPrvs(signed, config, now + 8 * 24 * 3600 * 1000)).to.include({ valid: false, reason: 'expired' });
+            expect(bounceVerify.verifyPrvs(signed.replace('prvs=0', 'prvs=1'), config, now)).to.include({ valid: false, reason: 'unknown_key' });
+        });
+
+        it('should ignore unsigned addresses', () => {
+            expect(bounceVerify.verifyPrvs('user@example.com', config, now)).to.be.false;
+        });
+    });
+
+    describe('getAction', () => {
+        it('should prefer user setting over the default', () => {
+            expect(bounceVerify.getAction({}, { action: 'reject' })).to.equal('reject');
+            expect(bounceVerify.getAction({ metaData: { bounceVerification: 'off' } }, { action: 'reject' })).to.equal('off');
+            expect(bounceVerify.getAction({ metaData: '{"bounceVerification":"reject"}' }, {})).to.equal('reject');
+            expect(bounceVerify.getAction({ metaData: { bounceVerification: 'invalid' } }, {})).to.equal('junk');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { expect } = require('chai');
+const { matches, normalizeIp, getNetworkKey, getAddressKey } = require('../lib/cidr');
+
+describe('CIDR matching', () => {
+    describe('normalizeIp', () => {
+        it('should convert IPv4-mapped IPv6 addresses', () => {
+            expect(normalizeIp('::ffff:192.0.2.1')).to.equal('192.0.2.1');
+        });
+
+        it('should return false for invalid addresses', () => {
+            expect(normalizeIp('example.com')).to.be.false;
+            expect(normalizeIp()).to.be.false;
+        });
+    });
+
+    describe('matches', () => {
+        const list = ['192.0.2.0/24', '198.51.100.7', '2001:db8::/32', 'invalid', '203.0.113.0/99'];
+
+        it('should match IPv4 ranges and single addresses', () => {
+            expect(matches('192.0.2.200', list)).to.be.true;
+            expect(matches('::ffff:192.0.2.1', list)).to.be.true;
+            expect(matches('198.51.100.7', list)).to.be.true;
+            expect(matches('198.51.100.8', list)).to.be.false;
+        });
+
+        it('should match IPv6 ranges', () => {
+            expect(matches('2001:db8:1::1', list)).to.be.true;
+            expect(matches('2001:db9::1', list)).to.be.false;
+        });
+
+        it('should ignore invalid entries', () => {
+            expect(matches('203.0.113.1', list)).to.be.false;
+        });
+
+        it('should handle empty lists', () => {
+            expect(matches('192.0.2.1', [])).to.be.false;
+            expect(matches('192.0.2.1')).to.be.false;
+        });
+    });
+
+    describe('getNetworkKey', () => {
+        it('should use /24 for IPv4 by default', () => {
+            expect(getNetworkKey('192.0.2.77')).to.equal('192.0.2.0/24');
+            expect(getNetworkKey('::ffff:198.51.100.3')).to.equal('198.51.100.0/24');
+        });
+
+        it('should use /64 for IPv6 by default', () => {
+            expect(getNetworkKey('2001:db8:1:2:3:4:5:6')).to.equal('2001:db8:1:2::/64');
+            expect(getNetworkKey('2001:db8::1')).to.equal('2001:db8::/64');
+        });
+
+        it('should support custom prefix lengths', () => {
+            expect(getNetworkKey('192.0.2.77', { ipv4Prefix: 32 })).to.equal('192.0.2.77/32');
+            expect(getNetworkKey('2001:db8:abcd:12ff::1', { ipv6Prefix: 48 })).to.equal('2001:db8:abcd::/48');
+            expect(getNetworkKey('2001:db8:1::1', { ipv6Prefix: 56 })).to.equal('2001:db8:1::/56');
+        });
+
+        it('should return false for invalid addresses', () => {
+            expect(getNetworkKey('invalid')).to.be.false;
+        });
+    });
+
+    describe('getAddressKey', () => {
+        it('should return plain addresses for full length prefixes', () => {
+            expect(getAddressKey('192.0.2.77')).to.equal('192.0.2.77');
+            expect(getAddressKey('::ffff:198.51.100.3')).to.equal('198.51.100.3');
+            expect(getAddressKey('2001:db8::1')).to.equal('2001:db8::1');
+        });
+
+        it('should return networks for shorter prefixes', () => {
+            expect(getAddressKey('192.0.2.77', { ipv4Prefix: 24 })).to.equal('192.0.2.0/24');
+            expect(getAddressKey('2001:db8:1:2:3:4:5:6', { ipv6Prefix: 64 })).to.equal('2001:db8:1:2::/64');
+            expect(getAddressKey('192.0.2.77', { ipv6Prefix: 64 })).to.equal('192.0.2.77');
+        });
+
+        it('should return false for invalid addresses', () => {
+            expect(getAddressKey('invalid')).to.be.false;
+        });
+    });
+});
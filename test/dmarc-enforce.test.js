@@ -0,0 +1,100 @@
+'use strict';
+
+const { expect } = require('chai');
+const { evaluate, getPolicy, getDomainConfig } = require('../lib/dmarc-enforce');
+
+const failing = (extra) => ({
+    status: { result: 'fail', header: { from: 'example.com', d: 'example.com' } },
+    domain: 'example.com',
+    policy: 'reject',
+    p: 'reject',
+    sp: 'reject',
+    ...extra
+});
+
+describe('DMARC enforcement', () => {
+    describe('getPolicy', () => {
+        it('should use the published policy when pct is not set', () => {
+            const result = getPolicy(failing());
+            expect(result.policy).to.equal('reject');
+            expect(result.pct).to.equal(100);
+            expect(result.sampled).to.be.true;
+        });
+
+        it('should use resolved subdomain policy', () => {
+            const result = getPolicy(failing({ policy: 'quarantine', p: 'reject', sp: 'quarantine' }));
+            expect(result.policy).to.equal('quarantine');
+        });
+
+        it('should downgrade reject to quarantine outside of the sample', () => {
+            const result = getPolicy(failing({ pct: 20 }), () => 0.5);
+            expect(result.sampled).to.be.false;
+            expect(result.policy).to.equal('quarantine');
+            expect(result.published).to.equal('reject');
+        });
+
+        it('should downgrade quarantine to none outside of the sample', () => {
+            const result = getPolicy(failing({ policy: 'quarantine', pct: 0 }), () => 0);
+            expect(result.policy).to.equal('none');
+        });
+
+        it('should keep the policy inside of the sample', () => {
+            const result = getPolicy(failing({ pct: 20 }), () => 0.1);
+            expect(result.sampled).to.be.true;
+            expect(result.policy).to.equal('reject');
+        });
+    });
+
+    describe('getDomainConfig', () => {
+        it('should apply defaults', () => {
+            const result = getDomainConfig({ enforce: true }, 'example.net');
+            expect(result).to.deep.equal({ enforce: true, reject: 'reject', quarantine: 'junk' });
+        });
+
+        it('should apply domain overrides', () => {
+            const result = getDomainConfig({ enforce: false, domains: { 'example.net': { enforce: true, reject: 'defer' } } }, 'example.net');
+            expect(result).to.deep.equal({ enforce: true, reject: 'defer', quarantine: 'junk' });
+        });
+
+        it('should ignore unknown actions', () => {
+            const result = getDomainConfig({ enforce: true, reject: 'bounce' }, 'example.net');
+            expect(result.reject).to.equal('reject');
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should skip messages that do not fail DMARC', () => {
+            expect(evaluate({ status: { result: 'pass' } }, ['user@example.net'], { enforce: true })).to.be.false;
+            expect(evaluate(undefined, ['user@example.net'], { enforce: true })).to.be.false;
+        });
+
+        it('should reject if all recipients agree', () => {
+            const result = evaluate(failing(), ['a@example.net', 'b@example.net'], { enforce: true });
+            expect(result.action).to.equal('reject');
+            expect(result.domain).to.equal('example.com');
+        });
+
+        it('should defer if recipients mix reject and defer', () => {
+            const result = evaluate(failing(), ['a@example.net', 'b@example.org'], {
+                enforce: true,
+                domains: { 'example.org': { reject: 'defer' } }
+            });
+            expect(result.action).to.equal('defer');
+        });
+
+        it('should route to Junk if some recipients do not enforce', () => {
+            const result = evaluate(failing(), ['a@example.net', 'b@example.org'], {
+                enforce: true,
+                domains: { 'example.org': { enforce: false } }
+            });
+            expect(result.action).to.equal('junk');
+            expect(result.actions.get('a@example.net')).to.equal('junk');
+            expect(result.actions.get('b@example.org')).to.equal('none');
+        });
+
+        it('should not enforce if disabled', () => {
+            const result = evaluate(failing(), ['a@example.net'], { enforce: false });
+            expect(result.action).to.equal('none');
+        });
+    });
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    parseRecord,
+    getReportAddresses,
+    verifyDestination,
+    getPeriod,
+    recordAggregate,
+    buildAggregateReport,
+    matchFailureOptions,
+    redactHeaders,
+    sendFailureReport
+} = require('../lib/dmarc-reports');
+
+describe('DMARC reports', () => {
+    describe('parseRecord', () => {
+        it('should parse tag-value pairs', () => {
+            const result = parseRecord('v=DMARC1; p=reject; rua=mailto:rua@example.com; adkim=s');
+            expect(result).to.deep.equal({ v: 'DMARC1', p: 'reject', rua: 'mailto:rua@example.com', adkim: 's' });
+        });
+
+        it('should handle empty input', () => {
+            expect(parseRecord()).to.deep.equal({});
+        });
+    });
+
+    describe('getReportAddresses', () => {
+        it('should extract mailto addresses and strip size limits', () => {
+            const result = getReportAddresses('mailto:RUA@example.com!10m, https://example.com/report, mailto:other@example.net');
+            expect(result).to.deep.equal(['rua@example.com', 'other@example.net']);
+        });
+    });
+
+    describe('verifyDestination', () => {
+        it('should allow destinations in the same domain', async () => {
+            const resolver = sinon.stub().rejects(new Error('should not be called'));
+            expect(await verifyDestination(resolver, 'example.com', 'dmarc@reports.example.com')).to.be.true;
+            expect(resolver.called).to.be.false;
+        });
+
+        it('should verify destinations in other organizations under a shared suffix', async () => {
+            const resolver = sinon.stub().resolves([]);
+            expect(await verifyDestination(resolver, 'foo.blogspot.com', 'dmarc@blogspot.com')).to.be.false;
+            expect(resolver.firstCall.args).to.deep.equal(['foo.blogspot.com._report._dmarc.blogspot.com', 'TXT']);
+
+            expect(await verifyDestination(resolver, 'mail.example.co.uk', 'dmarc@example.co.uk')).to.be.true;
+            expect(resolver.calledOnce).to.be.true;
+        });
+
+        it('should verify external destinations', async () => {
+            const resolver = sinon
+                .stub()
+                .withArgs('example.com._report._dmarc.example.net', 'TXT')
+                .resolves([['v=DMARC1']]);
+            expect(await verifyDestination(resolver, 'example.com', 'dmarc@example.net')).to.be.true;
+        });
+
+        it('should reject unverified external destinations', async () => {
+            const resolver = sinon.stub().rejects(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+            expect(await verifyDestination(resolver, 'example.com', 'dmarc@example.net')).to.be.false;
+        });
+    });
+
+    describe('getPeriod', () => {
+        it('should round down to the start of the period', () => {
+            const result = getPeriod(Date.UTC(2024, 0, 2, 15, 30), 86400);
+            expect(result.getTime()).to.equal(Date.UTC(2024, 0, 2));
+        });
+    });
+
+    describe('recordAggregate', () => {
+        let plugin, updateOne;
+
+        beforeEach(() => {
+            updateOne = sinon.stub().resolves({});
+            plugin = {
+                cfg: { dmarcReports: { aggregate: { enabled: true } } },
+                db: { database: { collection: sinon.stub().returns({ updateOne }) } }
+            };
+        });
+
+        const dmarcResult = {
+            status: { result: 'fail', header: { from: 'example.com', d: 'example.com' } },
+            domain: 'example.com',
+            p: 'reject',
+            rr: 'v=DMARC1; p=reject; rua=mailto:rua@example.com',
+            alignment: { spf: { result: false }, dkim: { result: 'example.com' } }
+        };
+
+        it('should upsert an aggregate row', async () => {
+            const result = await recordAggregate(plugin, {
+                dmarcResult,
+                dkimResult: { results: [{ signingDomain: 'example.com', selector: 'test', status: { result: 'pass' } }] },
+                sourceIp: '192.0.2.1',
+                envelopeFrom: 'sender@example.org',
+                disposition: 'reject'
+            });
+            expect(result).to.be.true;
+            expect(updateOne.calledOnce).to.be.true;
+
+            const [query, update, options] = updateOne.firstCall.args;
+            expect(query.domain).to.equal('example.com');
+            expect(query.sourceIp).to.equal('192.0.2.1');
+            expect(query.envelopeFrom).to.equal('example.org');
+            expect(query.dkimEval).to.equal('pass');
+            expect(query.spfEval).to.equal('fail');
+            expect(query.dkim).to.deep.equal([{ domain: 'example.com', selector: 'test', result: 'pass' }]);
+            expect(update.$inc).to.deep.equal({ count: 1 });
+            expect(update.$set.rua).to.deep.equal(['rua@example.com']);
+            expect(options.upsert).to.be.true;
+        });
+
+        it('should skip domains without rua', async () => {
+            const result = await recordAggregate(plugin, { dmarcResult: { ...dmarcResult, rr: 'v=DMARC1; p=none' }, disposition: 'none' });
+            expect(result).to.be.false;
+            expect(updateOne.called).to.be.false;
+        });
+
+        it('should skip if disabled', async () => {
+            plugin.cfg = {};
+            const result = await recordAggregate(plugin, { dmarcResult, disposition: 'none' });
+            expect(result).to.be.false;
+        });
+    });
+
+    describe('buildAggregateReport', () => {
+        it('should generate report XML', () => {
+            const xml = buildAggregateReport({
+                orgName: 'Example & Co',
+                email: 'dmarc@example.net',
+                reportId: 'report-1',
+                domain: 'example.com',
+                policy: { adkim: 'r', aspf: 's', p: 'reject', sp: 'quarantine', pct: 100 },
+                begin: new Date(Date.UTC(2024, 0, 1)),
+                end: new Date(Date.UTC(2024, 0, 2)),
+                rows: [
+                    {
+                        sourceIp: '192.0.2.1',
+                        count: 3,
+                        disposition: 'reject',
+                        dkimEval: 'fail',
+                        spfEval: 'fail',
+                        headerFrom: 'example.com',
+                        envelopeFrom: 'example.org',
+                        dkim: [{ domain: 'example.org', selector: 's1', result: 'fail' }],
+                        spf: { domain: 'example.org', result: 'softfail' }
+                    }
+                ]
+            });
+
+            expect(xml).to.include('<org_name>Example &amp; Co</org_name>');
+            expect(xml).to.include('<begin>1704067200</begin>');
+            expect(xml).to.include('<end>1704153599</end>');
+            expect(xml).to.include('<aspf>s</aspf>');
+            expect(xml).to.include('<source_ip>192.0.2.1</source_ip>');
+            expect(xml).to.include('<count>3</count>');
+            expect(xml).to.include('<disposition>reject</disposition>');
+            expect(xml).to.include('<selector>s1</selector>');
+            expect(xml).to.include('<scope>mfrom</scope>');
+        });
+    });
+
+    describe('matchFailureOptions', () => {
+        const dkimFail = { results: [{ status: { result: 'fail' } }] };
+        const spfPass = { status: { result: 'pass' } };
+
+        it('should match by default', () => {
+            expect(matchFailureOptions(undefined, {})).to.be.true;
+            expect(matchFailureOptions('1', {})).to.be.true;
+        });
+
+        it('should match DKIM failures for fo=d', () => {
+            expect(matchFailureOptions('d', { dkimResult: dkimFail, spfResult: spfPass })).to.be.true;
+            expect(matchFailureOptions('d', { dkimResult: { results: [] }, spfResult: spfPass })).to.be.false;
+        });
+
+        it('should match SPF failures for fo=s', () => {
+            expect(matchFailureOptions('s', { spfResult: spfPass })).to.be.false;
+            expect(matchFailureOptions('d:s', { spfResult: { status: { result: 'fail' } } })).to.be.true;
+        });
+    });
+
+    describe('redactHeaders', () => {
+        const lines = ['From: Sender <sender@example.com>\n', 'To: Recipient <recipient@example.net>\n', 'Subject: Test\n'];
+
+        it('should redact recipient addresses by default', () => {
+            const result = redactHeaders(lines);
+            expect(result).to.include('From: Sender <sender@example.com>');
+            expect(result).to.include('To: Recipient <redacted@example.net>');
+            expect(result).to.include('Subject: Test');
+        });
+
+        it('should keep headers as is with level none', () => {
+            expect(redactHeaders(lines, 'none')).to.include('recipient@example.net');
+        });
+
+        it('should keep only minimal headers with level full', () => {
+            const result = redactHeaders(lines, 'full');
+            expect(result).to.equal('From: Sender <sender@example.com>');
+        });
+    });
+
+    describe('sendFailureReport', () => {
+        let plugin;
+
+        const dmarcResult = {
+            status: { result: 'fail', header: { from: 'example.com', d: 'example.com' } },
+            domain: 'example.com',
+            info: 'dmarc=fail header.from=example.com',
+            rr: 'v=DMARC1; p=reject; ruf=mailto:ruf@example.com; fo=1'
+        };
+
+        beforeEach(() => {
+            plugin = {
+                hostname: 'mx.example.net',
+                cfg: { dmarcReports: { orgName: 'Example', email: 'dmarc@example.net', failure: { enabled: true, limit: 2 } } },
+                resolver: sinon.stub().rejects(new Error('not found')),
+                ttlcounterAsync: sinon.stub().resolves({ success: true }),
+                maildrop: {
+                    push: sinon.stub().callsFake((envelope, callback) => {
+                        setTimeout(() => callback(null, { id: 'queue-id' }));
+                        return false;
+                    })
+                }
+            };
+        });
+
+        it('should queue a report', async () => {
+            const result = await sendFailureReport(plugin, {
+                dmarcResult,
+                sourceIp: '192.0.2.1',
+                envelopeFrom: 'sender@example.org',
+                headerLines: ['From: sender@example.com\n'],
+                deliveryResult: 'reject'
+            });
+            expect(result.queued).to.be.true;
+            expect(result.queueId).to.equal('queue-id');
+            expect(plugin.ttlcounterAsync.firstCall.args[0]).to.equal('dmarc:ruf:example.com');
+            expect(plugin.maildrop.push.firstCall.args[0].to).to.deep.equal(['ruf@example.com']);
+        });
+
+        it('should use the plugin hostname for the default sender', async () => {
+            plugin.cfg.dmarcReports = { failure: { enabled: true } };
+            await sendFailureReport(plugin, { dmarcResult, sourceIp: '192.0.2.1', headerLines: [] });
+            expect(plugin.maildrop.push.firstCall.args[0].from).to.equal('noreply-dmarc-support@mx.example.net');
+        });
+
+        it('should not queue a report when rate limited', async () => {
+            plugin.ttlcounterAsync.resolves({ success: false });
+            const result = await sendFailureReport(plugin, { dmarcResult, sourceIp: '192.0.2.1', headerLines: [] });
+            expect(result.queued).to.be.false;
+            expect(result.reason).to.equal('rate_limited');
+            expect(plugin.maildrop.push.called).to.be.false;
+        });
+
+        it('should skip domains without ruf', async () => {
+            const result = await sendFailureReport(plugin, { dmarcResult: { ...dmarcResult, rr: 'v=DMARC1; p=reject' }, headerLines: [] });
+            expect(result.reason).to.equal('no_ruf');
+        });
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { CachingResolver, createStaticBackend } = require('../lib/dns-cache');
+
+const dnsError = code => Object.assign(new Error(code), { code });
+
+describe('CachingResolver', () => {
+    const zones = {
+        'example.com': {
+            TXT: [['v=spf1 -all']],
+            A: ['192.0.2.1'],
+            ttl: 60
+        }
+    };
+
+    describe('createStaticBackend', () => {
+        it('should resolve records from the zone map', async () => {
+            const backend = createStaticBackend(zones);
+            expect(await backend('example.com', 'TXT')).to.deep.equal({ answer: [['v=spf1 -all']], ttl: 60 });
+        });
+
+        it('should throw ENOTFOUND and ENODATA', async () => {
+            const backend = createStaticBackend(zones);
+            const notFound = await backend('missing.example.com', 'TXT').catch(err => err);
+            expect(notFound.code).to.equal('ENOTFOUND');
+            const noData = await backend('example.com', 'MX').catch(err => err);
+            expect(noData.code).to.equal('ENODATA');
+        });
+    });
+
+    describe('resolve', () => {
+        it('should cache positive answers', async () => {
+            const backend = sinon.stub().resolves({ answer: [['v=spf1 -all']] });
+            const resolver = new CachingResolver({ backend });
+
+            expect(await resolver.resolve('Example.com.', 'TXT')).to.deep.equal([['v=spf1 -all']]);
+            expect(await resolver.resolve('example.com', 'txt')).to.deep.equal([['v=spf1 -all']]);
+
+            expect(backend.calledOnce).to.be.true;
+            expect(backend.firstCall.args).to.deep.equal(['example.com', 'TXT']);
+            expect(resolver.stats()).to.include({ hits: 1, misses: 1, size: 1, hitRate: 50 });
+        });
+
+        it('should respect record TTL', async () => {
+            const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+            try {
+                const backend = sinon.stub().resolves({ answer: ['192.0.2.1'], ttl: 10 });
+                const resolver = new CachingResolver({ backend, minTtl: 1 });
+
+                await resolver.resolve('example.com', 'A');
+                clock.tick(9000);
+                await resolver.resolve('example.com', 'A');
+                expect(backend.calledOnce).to.be.true;
+
+                clock.tick(2000);
+                await resolver.resolve('example.com', 'A');
+                expect(backend.calledTwice).to.be.true;
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('should cache NXDOMAIN answers', async () => {
+            const backend = sinon.stub().rejects(dnsError('ENOTFOUND'));
+            const resolver = new CachingResolver({ backend });
+
+            const first = await resolver.resolve('missing.example.com', 'TXT').catch(err => err);
+            const second = await resolver.resolve('missing.example.com', 'TXT').catch(err => err);
+
+            expect(first.code).to.equal('ENOTFOUND');
+            expect(second.code).to.equal('ENOTFOUND');
+            expect(backend.calledOnce).to.be.true;
+            expect(resolver.stats().negativeHits).to.equal(1);
+        });
+
+        it('should not cache server failures', async () => {
+            const backend = sinon.stub().rejects(dnsError('ESERVFAIL'));
+            const resolver = new CachingResolver({ backend, retries: 0 });
+
+            await resolver.resolve('example.com', 'TXT').catch(err => err);
+            await resolver.resolve('example.com', 'TXT').catch(err => err);
+
+            expect(backend.calledTwice).to.be.true;
+            expect(resolver.stats().errors).to.equal(2);
+        });
+
+        it('should retry timed out queries', async () => {
+            const backend = sinon.stub();
+            backend.onFirstCall().returns(new Promise(() => false));
+            backend.onSecondCall().resolves({ answer: ['192.0.2.1'] });
+            const resolver = new CachingResolver({ backend, timeout: 10, retries: 1 });
+
+            expect(await resolver.resolve('example.com', 'A')).to.deep.equal(['192.0.2.1']);
+            expect(resolver.stats()).to.include({ timeouts: 1, retries: 1 });
+        });
+
+        it('should fail with ETIMEOUT once retries are exhausted', async () => {
+            const backend = sinon.stub().returns(new Promise(() => false));
+            const resolver = new CachingResolver({ backend, timeout: 10, retries: 1 });
+
+            const err = await resolver.resolve('example.com', 'A').catch(err => err);
+            expect(err.code).to.equal('ETIMEOUT');
+            expect(backend.calledTwice).to.be.true;
+        });
+
+        it('should share concurrent lookups', async () => {
+            const backend = sinon.stub().resolves({ answer: ['192.0.2.1'] });
+            const resolver = new CachingResolver({ backend });
+
+            await Promise.all([resolver.resolve('example.com', 'A'), resolver.resolve('example.com', 'A')]);
+            expect(backend.calledOnce).to.be.true;
+        });
+
+        it('should evict least recently used records', async () => {
+            const backend = sinon.stub().callsFake(async name => ({ answer: [name] }));
+            const resolver = new CachingResolver({ backend, size: 2 });
+
+            await resolver.resolve('a.example.com', 'A');
+            await resolver.resolve('b.example.com', 'A');
+            await resolver.resolve('a.example.com', 'A');
+            await resolver.resolve('c.example.com', 'A');
+            await resolver.resolve('a.example.com', 'A');
+
+            expect(backend.callCount).to.equal(3);
+            expect(resolver.stats()).to.include({ size: 2, evictions: 1 });
+        });
+
+        it('should prefer static zones over the backend', async () => {
+            const backend = sinon.stub().resolves({ answer: ['198.51.100.1'] });
+            const resolver = new CachingResolver({ backend, zones });
+
+            expect(await resolver.resolve('example.com', 'A')).to.deep.equal(['192.0.2.1']);
+            expect(await resolver.resolve('example.net', 'A')).to.deep.equal(['198.51.100.1']);
+            expect(backend.calledOnce).to.be.true;
+        });
+
+        it('should use the shared Redis cache', async () => {
+            const redis = {
+                get: sinon.stub().resolves(JSON.stringify({ answer: ['192.0.2.1'] })),
+                pttl: sinon.stub().resolves(5000),
+                set: sinon.stub().resolves('OK')
+            };
+            const backend = sinon.stub().rejects(new Error('should not be called'));
+            const resolver = new CachingResolver({ backend, redis: () => redis });
+
+            expect(await resolver.resolve('example.com', 'A')).to.deep.equal(['192.0.2.1']);
+            expect(redis.get.firstCall.args[0]).to.equal('dns:A:example.com');
+            expect(resolver.stats().redisHits).to.equal(1);
+        });
+
+        it('should store answers in Redis', async () => {
+            const redis = {
+                get: sinon.stub().resolves(null),
+                pttl: sinon.stub().resolves(-2),
+                set: sinon.stub().resolves('OK')
+            };
+            const resolver = new CachingResolver({ backend: sinon.stub().resolves({ answer: ['192.0.2.1'], ttl: 30 }), redis });
+
+            await resolver.resolve('example.com', 'A');
+            expect(redis.set.firstCall.args).to.deep.equal(['dns:A:example.com', JSON.stringify({ answer: ['192.0.2.1'] }), 'PX', 30000]);
+        });
+    });
+});
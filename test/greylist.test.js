@@ -0,0 +1,121 @@
+'use strict';
+
+const { expect } = require('chai');
+const { check, isOptedOut, isAllowlistedSender } = require('../lib/greylist');
+
+// minimal in-memory replacement for the Redis commands used by greylisting
+const createRedis = () => {
+    const data = new Map();
+    const sets = new Map();
+    const redis = {
+        data,
+        async exists(key) {
+            return data.has(key) ? 1 : 0;
+        },
+        async get(key) {
+            return data.has(key) ? data.get(key) : null;
+        },
+        async set(key, value, ...args) {
+            if (args.includes('NX') && data.has(key)) {
+                return null;
+            }
+            data.set(key, value);
+            return 'OK';
+        },
+        multi() {
+            const queue = [];
+            const chain = {
+                pexpire() {
+                    queue.push(() => 1);
+                    return chain;
+                },
+                sadd(key, member) {
+                    queue.push(() => {
+                        if (!sets.has(key)) {
+                            sets.set(key, new Set());
+                        }
+                        sets.get(key).add(member);
+                        return 1;
+                    });
+                    return chain;
+                },
+                scard(key) {
+                    queue.push(() => (sets.get(key) || new Set()).size);
+                    return chain;
+                },
+                async exec() {
+                    return queue.map(fn => [null, fn()]);
+                }
+            };
+            return chain;
+        }
+    };
+    return redis;
+};
+
+describe('Greylisting', () => {
+    const attempt = { ip: '192.0.2.10', sender: 'Sender@example.com', user: 'user1' };
+    const config = { delay: 300, autoAllowlist: 2 };
+    const start = Date.UTC(2024, 0, 1);
+
+    it('should defer the first attempt', async () => {
+        const redis = createRedis();
+        const result = await check(redis, attempt, config, start);
+        expect(result).to.deep.equal({ action: 'defer', reason: 'new', network: '192.0.2.0/24', retryIn: 300 });
+        expect(redis.data.has('gl:t:192.0.2.0/24:sender@example.com:user1')).to.be.true;
+    });
+
+    it('should defer early retries', async () => {
+        const redis = createRedis();
+        await check(redis, attempt, config, start);
+        const result = await check(redis, { ...attempt, ip: '192.0.2.99' }, config, start + 100 * 1000);
+        expect(result).to.include({ action: 'defer', reason: 'early', retryIn: 200 });
+    });
+
+    it('should pass retries after the delay', async () => {
+        const redis = createRedis();
+        await check(redis, attempt, config, start);
+        const result = await check(redis, attempt, config, start + 301 * 1000);
+        expect(result).to.include({ action: 'pass', reason: 'retry' });
+    });
+
+    it('should allowlist networks after enough passed tuples', async () => {
+        const redis = createRedis();
+        for (const user of ['user1', 'user2']) {
+            await check(redis, { ...attempt, user }, config, start);
+            await check(redis, { ...attempt, user }, config, start + 301 * 1000);
+        }
+        expect(redis.data.has('gl:a:192.0.2.0/24')).to.be.true;
+
+        const result = await check(redis, { ...attempt, user: 'user3' }, config, start + 302 * 1000);
+        expect(result).to.include({ action: 'pass', reason: 'auto_allowlist' });
+    });
+
+    it('should group IPv6 clients by /64', async () => {
+        const redis = createRedis();
+        const result = await check(redis, { ...attempt, ip: '2001:db8:1:2::25' }, config, start);
+        expect(result.network).to.equal('2001:db8:1:2::/64');
+    });
+
+    it('should use configured prefix lengths', async () => {
+        const redis = createRedis();
+        const custom = { ...config, ipv4Prefix: 32, ipv6Prefix: 48 };
+        expect((await check(redis, attempt, custom, start)).network).to.equal('192.0.2.10/32');
+        expect((await check(redis, { ...attempt, ip: '2001:db8:1:2::25' }, custom, start)).network).to.equal('2001:db8:1::/48');
+    });
+
+    describe('bypasses', () => {
+        it('should detect user opt out from metaData', () => {
+            expect(isOptedOut({ metaData: { greylist: false } })).to.be.true;
+            expect(isOptedOut({ metaData: '{"greylist":false}' })).to.be.true;
+            expect(isOptedOut({ metaData: 'invalid' })).to.be.false;
+            expect(isOptedOut({})).to.be.false;
+        });
+
+        it('should allow SPF-pass senders from allowlisted domains', () => {
+            expect(isAllowlistedSender({ domain: 'mail.example.com', status: { result: 'pass' } }, ['example.com'])).to.be.true;
+            expect(isAllowlistedSender({ domain: 'example.com', status: { result: 'softfail' } }, ['example.com'])).to.be.false;
+            expect(isAllowlistedSender({ domain: 'example.org', status: { result: 'pass' } }, ['example.com'])).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getTarpitDelay, getConfig, getBlockKey } = require('../lib/harvest');
+
+describe('Directory harvest detection', () => {
+    describe('getTarpitDelay', () => {
+        const config = { tarpitAfter: 3, tarpitDelay: 2, maxTarpitDelay: 5 };
+
+        it('should not delay below the threshold', () => {
+            expect(getTarpitDelay(1, config)).to.equal(0);
+            expect(getTarpitDelay(3, config)).to.equal(0);
+        });
+
+        it('should increase delay progressively', () => {
+            expect(getTarpitDelay(4, config)).to.equal(2);
+            expect(getTarpitDelay(5, config)).to.equal(4);
+        });
+
+        it('should not exceed the maximum delay', () => {
+            expect(getTarpitDelay(10, config)).to.equal(5);
+        });
+    });
+
+    describe('getConfig', () => {
+        it('should apply defaults', () => {
+            expect(getConfig({ ipLimit: 5 })).to.include({ ipLimit: 5, tarpitAfter: 3, blockTime: 3600 });
+        });
+    });
+
+    it('should use separate keys for blocks', () => {
+        expect(getBlockKey('192.0.2.1')).to.equal('harvest:b:192.0.2.1');
+    });
+});
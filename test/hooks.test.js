@@ -51,6 +51,14 @@ describe('Hooks', () => {
             expect(connection.transaction.notes.sender).to.equal('sender@example.com');
         });
 
+        it('should store declared message size from MAIL FROM parameters', async () => {
+            await mail(plugin, connection, [params[0], { SIZE: '40960' }]);
+            expect(connection.transaction.notes.declaredSize).to.equal(40960);
+
+            await mail(plugin, connection, params);
+            expect(connection.transaction.notes.declaredSize).to.equal(0);
+        });
+
         it('should log MAIL FROM to gelf', async () => {
             await mail(plugin, connection, params);
             expect(plugin.loggelf.calledOnce).to.be.true;
@@ -66,6 +74,14 @@ describe('Hooks', () => {
             expect(result).to.be.false;
         });
 
+        it('should postpone SPF for trusted relays', async () => {
+            plugin.cfg.trustedRelays = ['192.0.2.0/24'];
+            await mail(plugin, connection, params);
+            expect(connection.transaction.notes.trustedRelay).to.equal('192.0.2.1');
+            expect(connection.transaction.notes.spfResult).to.be.undefined;
+            expect(plugin.resolver.called).to.be.false;
+        });
+
         it('should handle existing sender in notes', async () => {
             connection.transaction.notes.sender = 'existing@example.com';
             await mail(plugin, connection, params);
@@ -243,6 +243,33 @@ describe('WildDuck Plugin', () => {
             expect(result).to.be.an('object');
             expect(result.key).to.equal('BLACKLIST_SYMBOL');
         });
+
+        it('should skip override symbols if a trusted ARC sealer vouches for the message', () => {
+            plugin.cfg = { auth: { arc: { overrideSymbols: ['BLACKLIST_SYMBOL'] } } };
+            const txn = {
+                notes: { arcOverride: { sealer: 'lists.example.org', dmarcPass: true } },
+                results: new Map([
+                    ['rspamd', {
+                        symbols: {
+                            'BLACKLIST_SYMBOL': 5.0,
+                            'ANOTHER_BAD': 2.0
+                        }
+                    }]
+                ])
+            };
+            const result = plugin.checkRspamdBlacklist(txn);
+            expect(result.key).to.equal('ANOTHER_BAD');
+        });
+
+        it('should not skip override symbols if the trusted ARC sealer reported a DMARC failure', () => {
+            plugin.cfg = { auth: { arc: { overrideSymbols: ['BLACKLIST_SYMBOL'] } } };
+            const txn = {
+                notes: { arcOverride: { sealer: 'lists.example.org', dmarcPass: false } },
+                results: new Map([['rspamd', { symbols: { BLACKLIST_SYMBOL: 5.0 } }]])
+            };
+            const result = plugin.checkRspamdBlacklist(txn);
+            expect(result.key).to.equal('BLACKLIST_SYMBOL');
+        });
     });
 
     describe('checkRspamdSoftlist', () => {
@@ -464,4 +491,971 @@ describe('WildDuck Plugin', () => {
             expect(connection.transaction.notes.transmissionType).to.equal('SMTP');
         });
     });
+
+    describe('checkDmarcPolicy', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = {
+                auth: {
+                    dmarc: {
+                        enforce: true
+                    }
+                }
+            };
+            plugin.loggelf = sinon.stub();
+
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                loginfo: sinon.stub(),
+                transaction: {
+                    uuid: 'test-uuid',
+                    rcpt_to: [{ address: () => 'user@example.net' }],
+                    header: {
+                        get_all: sinon.stub().returns(['sender@example.com'])
+                    },
+                    notes: {
+                        sender: 'sender@example.com',
+                        dmarcResult: {
+                            status: { result: 'fail', header: { from: 'example.com', d: 'example.com' } },
+                            domain: 'example.com',
+                            policy: 'reject'
+                        }
+                    }
+                }
+            };
+        });
+
+        it('should return reject decision and log it', () => {
+            const result = plugin.checkDmarcPolicy(connection);
+            expect(result.action).to.equal('reject');
+            expect(connection.transaction.notes.dmarcDecision).to.equal(result);
+            expect(plugin.loggelf.calledOnce).to.be.true;
+            expect(plugin.loggelf.firstCall.args[0]._mail_action).to.equal('dmarc_enforce');
+        });
+
+        it('should skip if enforcement is not configured', () => {
+            plugin.cfg = {};
+            expect(plugin.checkDmarcPolicy(connection)).to.be.false;
+        });
+
+        it('should skip without logging if enforcement is disabled', () => {
+            plugin.cfg.auth.dmarc.enforce = false;
+            expect(plugin.checkDmarcPolicy(connection)).to.be.false;
+            expect(plugin.loggelf.called).to.be.false;
+
+            plugin.cfg.auth.dmarc.domains = { 'example.net': { enforce: true } };
+            expect(plugin.checkDmarcPolicy(connection).action).to.equal('reject');
+        });
+
+        it('should not enforce if a trusted ARC sealer reported DMARC pass', () => {
+            connection.transaction.notes.arcOverride = { sealer: 'lists.example.org', dmarcPass: true };
+            const result = plugin.checkDmarcPolicy(connection);
+            expect(result.action).to.equal('none');
+            expect(result.actions.get('user@example.net')).to.equal('none');
+            expect(plugin.loggelf.firstCall.args[0]._arc_override).to.equal('lists.example.org');
+        });
+    });
+
+    describe('getRecipientLimits', () => {
+        const connection = ip => ({
+            remote: { ip },
+            transaction: { notes: { settings: { 'const:max:recipients': 50 } } }
+        });
+
+        beforeEach(() => {
+            plugin.cfg = {
+                limits: {
+                    recipients: {
+                        forwards: 10,
+                        overrides: [{ ips: ['192.0.2.0/24'], total: 500, srs: 5 }]
+                    }
+                }
+            };
+        });
+
+        it('should use const:max:recipients as the total limit', () => {
+            const result = plugin.getRecipientLimits(connection('198.51.100.1'));
+            expect(result).to.deep.equal({ total: 50, users: 0, forwards: 10, srs: 0 });
+        });
+
+        it('should apply overrides for matching IP ranges', () => {
+            const result = plugin.getRecipientLimits(connection('192.0.2.10'));
+            expect(result).to.deep.equal({ total: 500, users: 0, forwards: 10, srs: 5 });
+        });
+
+        it('should cache limits in transaction notes', () => {
+            const conn = connection('198.51.100.1');
+            const result = plugin.getRecipientLimits(conn);
+            expect(conn.transaction.notes.rcptLimits).to.equal(result);
+        });
+    });
+
+    describe('checkQuotaSize', () => {
+        const txn = { notes: { settings: { 'const:max:storage': 1000 } } };
+
+        beforeEach(() => {
+            plugin.cfg = { quota: { checkSize: true, grace: 10 } };
+        });
+
+        it('should allow messages that fit into the remaining quota with grace', () => {
+            expect(plugin.checkQuotaSize(txn, { storageUsed: 900, quota: 1000 }, 200)).to.deep.equal({ allowed: true, limit: 1100, remaining: 200 });
+        });
+
+        it('should reject messages larger than the remaining quota', () => {
+            expect(plugin.checkQuotaSize(txn, { storageUsed: 900, quota: 1000 }, 201)).to.include({ allowed: false });
+        });
+
+        it('should fall back to const:max:storage', () => {
+            expect(plugin.checkQuotaSize(txn, { storageUsed: 500 }, 700)).to.include({ allowed: false, limit: 1100 });
+        });
+
+        it('should skip the check if size is unknown or the check is disabled', () => {
+            expect(plugin.checkQuotaSize(txn, { storageUsed: 900, quota: 1000 }, 0)).to.include({ allowed: true });
+
+            plugin.cfg.quota.checkSize = false;
+            expect(plugin.checkQuotaSize(txn, { storageUsed: 900, quota: 1000 }, 5000)).to.include({ allowed: true });
+        });
+    });
+
+    describe('getSubaddressMailbox', () => {
+        let findOne, create;
+        const userData = { _id: 'user1' };
+
+        beforeEach(() => {
+            findOne = sinon.stub().resolves(null);
+            create = sinon.stub().callsFake((user, path, opts, callback) => callback(null, true, 'mailbox2'));
+            plugin.cfg = { subaddress: { enabled: true, autoCreate: false } };
+            plugin.db = {
+                database: { collection: () => ({ findOne }) },
+                mailboxHandler: { create }
+            };
+        });
+
+        it('should use an existing mailbox', async () => {
+            findOne.resolves({ _id: 'mailbox1', path: 'news' });
+            const result = await plugin.getSubaddressMailbox(userData, 'news');
+            expect(result).to.deep.equal({ mailbox: 'mailbox1', path: 'news', created: false });
+            expect(findOne.firstCall.args[0]).to.deep.equal({ user: 'user1', path: 'news' });
+        });
+
+        it('should fall back to the default target for missing mailboxes', async () => {
+            expect(await plugin.getSubaddressMailbox(userData, 'news')).to.be.false;
+            expect(create.called).to.be.false;
+        });
+
+        it('should create missing mailboxes if enabled', async () => {
+            plugin.cfg.subaddress.autoCreate = true;
+            const result = await plugin.getSubaddressMailbox(userData, 'news', { create: true });
+            expect(result).to.deep.equal({ mailbox: 'mailbox2', path: 'news', created: true });
+            expect(create.firstCall.args.slice(0, 3)).to.deep.equal(['user1', 'news', { subscribed: true }]);
+
+            expect(await plugin.getSubaddressMailbox(userData, 'a/b', { create: true })).to.be.false;
+        });
+
+        it('should only mark missing mailboxes for creation without the create option', async () => {
+            plugin.cfg.subaddress.autoCreate = true;
+            expect(await plugin.getSubaddressMailbox(userData, 'news')).to.deep.equal({ mailbox: false, path: 'news', pending: true });
+            expect(create.called).to.be.false;
+        });
+
+        it('should ignore INBOX', async () => {
+            expect(await plugin.getSubaddressMailbox(userData, 'Inbox')).to.be.false;
+            expect(findOne.called).to.be.false;
+        });
+    });
+
+    describe('checkBounceVerification', () => {
+        const bounceVerify = require('../lib/bounce-verify');
+        const message = [Buffer.from('From: MAILER-DAEMON@example.net\r\n\r\nMessage-ID: <sent@example.com>\r\n')];
+        let connection, records;
+
+        const rcpt = (id, extra) => ({ userData: { _id: id, ...extra }, recipient: id + '@example.com' });
+
+        beforeEach(() => {
+            records = new Set([bounceVerify.getRecordKey('user1', 'sent@example.com')]);
+            plugin.cfg = { bounceVerification: { enabled: true, action: 'reject' } };
+            plugin.loggelf = sinon.stub();
+            plugin.db = { redis: { exists: async key => (records.has(key) ? 1 : 0) } };
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                transaction: { uuid: 'test-uuid', notes: { sender: '' } },
+                logerror: sinon.stub()
+            };
+        });
+
+        it('should return actions for unverified bounces only', async () => {
+            const decision = await plugin.checkBounceVerification(
+                connection,
+                [rcpt('user1'), rcpt('user2'), rcpt('user3', { metaData: { bounceVerification: 'junk' } }), rcpt('user4', { metaData: { bounceVerification: 'off' } })],
+                message
+            );
+            expect(Array.from(decision)).to.deep.equal([
+                ['user2', 'reject'],
+                ['user3', 'junk']
+            ]);
+            expect(plugin.loggelf.firstCall.args[0]).to.include({ _mail_action: 'bounce_verification', _bounce_verified: 'sent_message' });
+        });
+
+        it('should accept bounces to valid signed return paths', async () => {
+            const decision = await plugin.checkBounceVerification(connection, [{ ...rcpt('user2'), batv: true }], message);
+            expect(decision.size).to.equal(0);
+        });
+
+        it('should skip messages with a sender', async () => {
+            connection.transaction.notes.sender = 'sender@example.com';
+            const decision = await plugin.checkBounceVerification(connection, [rcpt('user2')], message);
+            expect(decision.size).to.equal(0);
+        });
+
+        it('should fail open on Redis errors', async () => {
+            plugin.db.redis.exists = sinon.stub().rejects(new Error('connection lost'));
+            const decision = await plugin.checkBounceVerification(connection, [rcpt('user2')], message);
+            expect(decision.size).to.equal(0);
+            expect(connection.logerror.calledOnce).to.be.true;
+        });
+    });
+
+    describe('consumeRateLimit', () => {
+        beforeEach(() => {
+            plugin.cfg = { limits: { windowSize: 3600, rcptWindowSize: 60, rcptIpAlgorithm: 'sliding' } };
+            plugin.ttlcounterAsync = sinon.stub().resolves({ success: false, value: 60, ttl: 42 });
+            plugin.db = { redis: { defineCommand: sinon.stub(), wdRateSliding: sinon.stub().resolves([0, 100, 30000, 12000]) } };
+        });
+
+        it('should use WildDuck ttlcounter for fixed windows', async () => {
+            const result = await plugin.consumeRateLimit('rcpt', 'user1', { limit: 60 });
+            expect(plugin.ttlcounterAsync.firstCall.args).to.deep.equal(['rl:rcpt:user1', 0, 60, 60]);
+            expect(result).to.deep.equal({ retryAfter: 42, success: false, value: 60, ttl: 42 });
+        });
+
+        it('should keep WildDuck forwarding counter keys', async () => {
+            await plugin.consumeRateLimit('forwards', 'address1', { increment: 2, limit: 100 });
+            expect(plugin.ttlcounterAsync.firstCall.args).to.deep.equal(['wdf:address1', 2, 100, false]);
+        });
+
+        it('should use the algorithm configured for the selector', async () => {
+            const result = await plugin.consumeRateLimit('rcptIp', '192.0.2.1:user1', { limit: 100 });
+            expect(plugin.ttlcounterAsync.called).to.be.false;
+            expect(plugin.db.redis.wdRateSliding.firstCall.args.slice(0, 1)).to.deep.equal(['rls:rcptIp:192.0.2.1:user1']);
+            expect(plugin.db.redis.wdRateSliding.firstCall.args[2]).to.equal(3600 * 1000);
+            expect(result).to.include({ success: false, retryAfter: 12 });
+        });
+
+        it('should pass retry-after to checkRateLimit callers', done => {
+            const connection = { lognotice: sinon.stub(), logerror: sinon.stub() };
+            plugin.checkRateLimit(connection, 'rcpt', 'user1', 60, (err, success, result) => {
+                expect(err).to.not.exist;
+                expect(success).to.be.false;
+                expect(result.retryAfter).to.equal(42);
+                done();
+            });
+        });
+    });
+
+    describe('rate limit reservations', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = { limits: { rcpt: 60, rcptWindowSize: 60, reservation: { enabled: true, ttl: 300 } } };
+            plugin.db = {
+                redis: {
+                    defineCommand: sinon.stub(),
+                    wdRateReserve: sinon.stub().resolves([1, 3, 0]),
+                    zrem: sinon.stub().resolves(1)
+                }
+            };
+            connection = {
+                lognotice: sinon.stub(),
+                logerror: sinon.stub(),
+                transaction: { notes: { rateReservations: [] } }
+            };
+        });
+
+        it('should reserve a slot instead of checking the counter', done => {
+            plugin.checkRateLimit(connection, 'rcpt', 'user1', false, (err, success) => {
+                expect(err).to.not.exist;
+                expect(success).to.be.true;
+                const args = plugin.db.redis.wdRateReserve.firstCall.args;
+                expect(args.slice(0, 3)).to.deep.equal(['rl:rcpt:user1', 'rlr:rcpt:user1', 'fixed']);
+                expect(args.slice(4, 6)).to.deep.equal([60000, 60]);
+                expect(args[7]).to.equal(300000);
+                expect(connection.transaction.notes.rateReservations).to.have.lengthOf(1);
+                expect(connection.transaction.notes.rateReservations[0]).to.include({
+                    selector: 'rcpt',
+                    key: 'user1',
+                    reservationKey: 'rlr:rcpt:user1',
+                    pending: true
+                });
+                done();
+            });
+        });
+
+        it('should not record failed reservations', done => {
+            plugin.db.redis.wdRateReserve.resolves([0, 60, 30000]);
+            plugin.checkRateLimit(connection, 'rcpt', 'user1', false, (err, success, result) => {
+                expect(err).to.not.exist;
+                expect(success).to.be.false;
+                expect(result.retryAfter).to.equal(30);
+                expect(connection.transaction.notes.rateReservations).to.have.lengthOf(0);
+                done();
+            });
+        });
+
+        it('should release only pending reservations for rejected recipients', async () => {
+            connection.transaction.notes.rateReservations = [
+                { reservationKey: 'rlr:rcpt:user1', id: 'a', pending: false },
+                { reservationKey: 'rlr:rcpt:user2', id: 'b', pending: true }
+            ];
+
+            expect(await plugin.releaseRateReservations(connection, true)).to.equal(1);
+            expect(plugin.db.redis.zrem.firstCall.args).to.deep.equal(['rlr:rcpt:user2', 'b']);
+            expect(connection.transaction.notes.rateReservations.map(r => r.id)).to.deep.equal(['a']);
+        });
+
+        it('should release all reservations on transaction reset', done => {
+            connection.transaction.notes.rateReservations = [
+                { reservationKey: 'rlr:rcpt:user1', id: 'a', pending: false },
+                { reservationKey: 'rlr:rcptIp:192.0.2.1:user1', id: 'b', pending: false }
+            ];
+
+            plugin.hook_reset_transaction(() => {
+                expect(plugin.db.redis.zrem.callCount).to.equal(2);
+                expect(connection.transaction.notes.rateReservations).to.have.lengthOf(0);
+                done();
+            }, connection);
+        });
+
+        it('should log release errors', async () => {
+            plugin.db.redis.zrem.rejects(new Error('connection lost'));
+            connection.transaction.notes.rateReservations = [{ reservationKey: 'rlr:rcpt:user1', id: 'a' }];
+
+            expect(await plugin.releaseRateReservations(connection)).to.equal(1);
+            expect(connection.logerror.calledOnce).to.be.true;
+        });
+    });
+
+    describe('sender rate limits', () => {
+        let connection;
+
+        before(() => {
+            // Haraka return code, provided as a global when running inside Haraka
+            global.DENYSOFT = 903;
+        });
+
+        after(() => {
+            delete global.DENYSOFT;
+        });
+
+        beforeEach(() => {
+            plugin.cfg = { limits: { clientIp: 1000, clientIpv6Net: 2000, senderDomain: 5000, fromDomain: 5000 } };
+            plugin.ttlcounterAsync = sinon.stub().resolves({ success: true, value: 1, ttl: 3600 });
+            connection = {
+                remote: { ip: '2001:db8:1:2:3:4:5:6' },
+                lognotice: sinon.stub(),
+                logerror: sinon.stub(),
+                transaction: {
+                    notes: { sender: 'alice@Sender.example', rateKeys: [], targets: { users: new Map() } },
+                    header: { get_all: sinon.stub().withArgs('From').returns(['Alice <alice@from.example>']) }
+                }
+            };
+        });
+
+        it('should build keys for client IP, IPv6 network and sender domains', () => {
+            expect(plugin.getSenderRateKeys(connection)).to.deep.equal([
+                { selector: 'clientIp', key: '2001:db8:1:2::/64' },
+                { selector: 'clientIpv6Net', key: '2001:db8:1:2::/64' },
+                { selector: 'senderDomain', key: 'sender.example' },
+                { selector: 'fromDomain', key: 'from.example' }
+            ]);
+        });
+
+        it('should group IPv6 networks by the configured prefix length', () => {
+            plugin.cfg.limits.ipv6Prefix = 56;
+            expect(plugin.getSenderRateKeys(connection)[1]).to.deep.equal({ selector: 'clientIpv6Net', key: '2001:db8:1::/56' });
+        });
+
+        it('should skip selectors without a limit and the null sender', () => {
+            plugin.cfg.limits = { clientIp: 1000, clientIpv6Net: 2000, senderDomain: 5000 };
+            connection.remote.ip = '192.0.2.1';
+            connection.transaction.notes.sender = '';
+            expect(plugin.getSenderRateKeys(connection)).to.deep.equal([{ selector: 'clientIp', key: '192.0.2.1' }]);
+        });
+
+        it('should use the client IP resolved from trusted relays', () => {
+            connection.transaction.notes.clientIp = '198.51.100.7';
+            expect(plugin.getSenderRateKeys(connection)[0]).to.deep.equal({ selector: 'clientIp', key: '198.51.100.7' });
+        });
+
+        it('should record rate keys for accepted messages', done => {
+            plugin.checkSenderRateLimits((...args) => {
+                expect(args).to.have.lengthOf(0);
+                expect(plugin.ttlcounterAsync.firstCall.args).to.deep.equal(['rl:clientIp:2001:db8:1:2::/64', 0, 1000, 3600]);
+                expect(connection.transaction.notes.rateKeys.map(rateKey => rateKey.selector)).to.deep.equal([
+                    'clientIp',
+                    'clientIpv6Net',
+                    'senderDomain',
+                    'fromDomain'
+                ]);
+                done();
+            }, connection);
+        });
+
+        it('should defer messages over the limit', done => {
+            plugin.ttlcounterAsync.onCall(2).resolves({ success: false, value: 5000, ttl: 120 });
+            plugin.checkSenderRateLimits((code, message) => {
+                expect(code).to.equal(global.DENYSOFT);
+                expect(message).to.include('Please retry in 120 seconds');
+                expect(connection.transaction.notes.rejectCode).to.equal('RATE_LIMIT');
+                expect(connection.transaction.notes.rateLimit).to.deep.equal({ selector: 'senderDomain', key: 'sender.example', retryAfter: 120 });
+                done();
+            }, connection);
+        });
+    });
+
+    describe('rate limit exemptions', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = { limits: { rcpt: 60, exempt: { enabled: true, ips: ['192.0.2.0/24'] } } };
+            plugin.loggelf = sinon.stub();
+            plugin.ttlcounterAsync = sinon.stub().resolves({ success: false, value: 60, ttl: 42 });
+            // empty Redis sets
+            const chain = {
+                smembers: () => chain,
+                sismember: () => chain,
+                exec: async () => [
+                    [null, []],
+                    [null, []],
+                    [null, 0]
+                ]
+            };
+            plugin.db = { redis: { multi: () => chain } };
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                loginfo: sinon.stub(),
+                lognotice: sinon.stub(),
+                logerror: sinon.stub(),
+                transaction: { uuid: 'test-uuid', notes: { sender: 'sender@example.com' } }
+            };
+        });
+
+        it('should allow limited requests from exempted clients and log the decision', done => {
+            plugin.checkRateLimit(connection, 'rcpt', 'user1', { user: 'user1' }, (err, success, result) => {
+                expect(err).to.not.exist;
+                expect(success).to.be.true;
+                expect(result.exemption).to.deep.equal({ type: 'ip', value: '192.0.2.1', source: 'config' });
+                expect(plugin.loggelf.firstCall.args[0]).to.include({
+                    _mail_action: 'rate_limit_exempt',
+                    _selector: 'rcpt',
+                    _rate_limit_key: 'user1',
+                    _rate_limit_value: 60,
+                    _exempt_type: 'ip'
+                });
+                done();
+            });
+        });
+
+        it('should limit requests without exemptions', done => {
+            connection.remote.ip = '198.51.100.1';
+            plugin.checkRateLimit(connection, 'rcpt', 'user1', { user: 'user1' }, (err, success) => {
+                expect(err).to.not.exist;
+                expect(success).to.be.false;
+                expect(plugin.loggelf.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should not look up exemptions if disabled', async () => {
+            plugin.cfg.limits.exempt.enabled = false;
+            expect(await plugin.getRateLimitExemption(connection, 'user1')).to.be.false;
+        });
+
+        it('should exempt forwarding limits', async () => {
+            connection.transaction.notes.settings = { 'const:max:forwards': 2000 };
+            connection.transaction.notes.targets = { forwards: new Map(), autoreplies: new Map(), forwardCounters: new Map() };
+            const addressData = { _id: 'address1', address: 'forward@example.com', targets: [{ type: 'mail', value: 'target@example.net' }] };
+
+            const result = await plugin.handle_forwarding_address(connection, 'forward@example.com', addressData);
+            expect(result.resolution).to.include({ _forward: 'yes', _rcpt_accepted: 'yes' });
+            expect(plugin.loggelf.firstCall.args[0]).to.include({ _selector: 'forwards', _rate_limit_key: 'address1' });
+        });
+    });
+
+    describe('byte volume limits', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = { limits: { rcptBytes: 1000, rcptBytesWindowSize: 60, algorithm: 'sliding' } };
+            plugin.ttlcounterAsync = sinon.stub().resolves({ success: true, value: 400, ttl: 30 });
+            connection = { lognotice: sinon.stub(), logdebug: sinon.stub(), logerror: sinon.stub(), transaction: { notes: {} } };
+        });
+
+        it('should check if the message fits into the remaining volume', async () => {
+            const result = await plugin.checkByteRateLimit(connection, 'rcptBytes', 'user1', 600);
+            expect(plugin.ttlcounterAsync.firstCall.args).to.deep.equal(['rl:rcptBytes:user1', 0, 401, 60]);
+            expect(result).to.include({ success: true, limit: 1000 });
+        });
+
+        it('should reject messages that do not fit', async () => {
+            plugin.ttlcounterAsync.resolves({ success: false, value: 500, ttl: 30 });
+            const result = await plugin.checkByteRateLimit(connection, 'rcptBytes', 'user1', 600);
+            expect(result).to.include({ success: false, retryAfter: 30 });
+            expect(connection.lognotice.calledOnce).to.be.true;
+        });
+
+        it('should reject messages larger than the limit without a lookup', async () => {
+            const result = await plugin.checkByteRateLimit(connection, 'rcptBytes', 'user1', 2000);
+            expect(result).to.include({ success: false, tooLarge: true });
+            expect(plugin.ttlcounterAsync.called).to.be.false;
+        });
+
+        it('should only check the counter if the size is not known', async () => {
+            await plugin.checkByteRateLimit(connection, 'rcptBytes', 'user1', 0);
+            expect(plugin.ttlcounterAsync.firstCall.args[2]).to.equal(1000);
+        });
+
+        it('should skip selectors without a limit', async () => {
+            const result = await plugin.checkByteRateLimit(connection, 'clientIpBytes', '192.0.2.1', 600);
+            expect(result).to.include({ success: true, limit: 0 });
+            expect(plugin.ttlcounterAsync.called).to.be.false;
+        });
+
+        it('should increment byte counters by message size', async () => {
+            await plugin.updateRateLimit(plugin, connection, 'rcptBytes', 'user1', false, 600);
+            expect(plugin.ttlcounterAsync.firstCall.args).to.deep.equal(['rl:rcptBytes:user1', 600, 1000, 60]);
+        });
+    });
+
+    describe('recordHarvestFailure', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = { harvest: { enabled: true, tarpitAfter: 1, tarpitDelay: 2, connectionLimit: 3, ipLimit: 10 } };
+            plugin.loggelf = sinon.stub();
+            plugin.ttlcounterAsync = sinon.stub().resolves({ success: true, value: 1 });
+            plugin.db = { redis: { set: sinon.stub().resolves('OK'), ttl: sinon.stub().resolves(-2) } };
+
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                notes: {},
+                lognotice: sinon.stub(),
+                transaction: { uuid: 'test-uuid', notes: { sender: 'sender@example.com' } }
+            };
+        });
+
+        it('should tarpit after the threshold', async () => {
+            expect(await plugin.recordHarvestFailure(connection)).to.include({ action: false, delay: 0 });
+            const result = await plugin.recordHarvestFailure(connection);
+            expect(result).to.include({ action: 'tarpit', delay: 2, connectionCount: 2 });
+            expect(plugin.loggelf.firstCall.args[0]._mail_action).to.equal('harvest');
+        });
+
+        it('should block the rest of the connection', async () => {
+            connection.notes.harvestCount = 2;
+            const result = await plugin.recordHarvestFailure(connection);
+            expect(result.action).to.equal('connection_blocked');
+            expect(await plugin.checkHarvestBlock(connection)).to.deep.equal({ reason: 'connection' });
+        });
+
+        it('should block the IP if the IP limit is exceeded', async () => {
+            plugin.ttlcounterAsync.resolves({ success: false, value: 10 });
+            const result = await plugin.recordHarvestFailure(connection);
+            expect(result.action).to.equal('ip_blocked');
+            expect(plugin.db.redis.set.firstCall.args[0]).to.equal('harvest:b:192.0.2.1');
+        });
+
+        it('should detect blocked IPs for new connections', async () => {
+            plugin.db.redis.ttl.resolves(100);
+            expect(await plugin.checkHarvestBlock(connection)).to.deep.equal({ reason: 'ip', ttl: 100 });
+        });
+
+        it('should skip trusted relays', async () => {
+            plugin.cfg.trustedRelays = ['192.0.2.0/24'];
+            plugin.db.redis.ttl.resolves(100);
+            connection.notes.harvestCount = 2;
+
+            expect(await plugin.recordHarvestFailure(connection)).to.be.false;
+            expect(await plugin.checkHarvestBlock(connection)).to.be.false;
+            expect(plugin.ttlcounterAsync.called).to.be.false;
+            expect(plugin.db.redis.set.called).to.be.false;
+
+            plugin.cfg.trustedRelays = [];
+            connection.transaction.notes.trustedRelay = '192.0.2.1';
+            expect(await plugin.recordHarvestFailure(connection)).to.be.false;
+        });
+
+        it('should count IPv6 clients by network', async () => {
+            connection.remote.ip = '2001:db8:1:2::25';
+            plugin.cfg.limits = { ipv6Prefix: 56 };
+            await plugin.recordHarvestFailure(connection);
+            expect(plugin.ttlcounterAsync.firstCall.args[0]).to.equal('harvest:c:2001:db8:1::/56');
+
+            plugin.cfg.harvest.ipv6Prefix = 48;
+            await plugin.checkHarvestBlock(connection);
+            expect(plugin.db.redis.ttl.firstCall.args[0]).to.equal('harvest:b:2001:db8:1::/48');
+        });
+    });
+
+    describe('getIpKey', () => {
+        beforeEach(() => {
+            plugin.cfg = { limits: {} };
+        });
+
+        it('should count IPv4 addresses separately and IPv6 addresses by /64', () => {
+            expect(plugin.getIpKey('192.0.2.1')).to.equal('192.0.2.1');
+            expect(plugin.getIpKey('2001:db8:1:2:3:4:5:6')).to.equal('2001:db8:1:2::/64');
+        });
+
+        it('should use configured prefix lengths', () => {
+            plugin.cfg.limits = { ipv4Prefix: 24, ipv6Prefix: 128 };
+            expect(plugin.getIpKey('192.0.2.1')).to.equal('192.0.2.0/24');
+            expect(plugin.getIpKey('2001:db8:1:2:3:4:5:6')).to.equal('2001:db8:1:2:3:4:5:6');
+            expect(plugin.getIpKey('192.0.2.1', { ipv4Prefix: 16 })).to.equal('192.0.0.0/16');
+        });
+
+        it('should keep invalid addresses as is', () => {
+            expect(plugin.getIpKey('unknown')).to.equal('unknown');
+        });
+    });
+
+    describe('checkGreylist', () => {
+        let connection;
+
+        beforeEach(() => {
+            plugin.cfg = { limits: { ipv4Prefix: 32, ipv6Prefix: 48 }, greylist: { enabled: true, ipv4Prefix: 24 } };
+            plugin.db = { redis: { exists: sinon.stub().resolves(0), get: sinon.stub().resolves(null), set: sinon.stub().resolves('OK') } };
+            connection = { remote: { ip: '2001:db8:1:2::25' }, transaction: { notes: { sender: 'alice@example.com' } } };
+        });
+
+        it('should use limits prefix lengths unless set for greylisting', async () => {
+            expect((await plugin.checkGreylist(connection, { _id: 'user1' })).network).to.equal('2001:db8:1::/48');
+
+            connection.remote.ip = '192.0.2.77';
+            expect((await plugin.checkGreylist(connection, { _id: 'user1' })).network).to.equal('192.0.2.0/24');
+        });
+    });
+
+    describe('DNS cache statistics', () => {
+        const { CachingResolver } = require('../lib/dns-cache');
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            plugin.cfg = { auth: { dns: { cache: { statsInterval: 60 } } } };
+            plugin.hostname = 'mx.example.com';
+            plugin.loginfo = sinon.stub();
+            plugin.loggelf = sinon.stub();
+            plugin.dnsResolver = new CachingResolver({ backend: async () => ({ answer: ['192.0.2.1'], ttl: 60 }) });
+        });
+
+        afterEach(() => {
+            clearInterval(plugin.dnsStatsTimer);
+            clock.restore();
+        });
+
+        it('should log statistics periodically', async () => {
+            await plugin.dnsResolver.resolve('example.com', 'A');
+            await plugin.dnsResolver.resolve('example.com', 'A');
+
+            plugin.schedule_dns_stats();
+            clock.tick(60 * 1000);
+
+            expect(plugin.loggelf.calledOnce).to.be.true;
+            expect(plugin.loggelf.firstCall.args[0]).to.include({
+                _mail_action: 'dns_cache',
+                _dns_cache_size: 1,
+                _dns_cache_hits: 1,
+                _dns_cache_misses: 1,
+                _dns_cache_hit_rate: 50
+            });
+        });
+
+        it('should not log if disabled', () => {
+            plugin.cfg.auth.dns.cache.statsInterval = 0;
+            plugin.schedule_dns_stats();
+            clock.tick(3600 * 1000);
+            expect(plugin.loggelf.called).to.be.false;
+        });
+    });
+
+    describe('DMARC aggregate for rejected messages', () => {
+        const dmarcReports = require('../lib/dmarc-reports');
+        let connection;
+
+        const deny = code => new Promise(resolve => plugin.hook_deny(resolve, connection, [code, 'rejected', 'wildduck', null, null, 'data_post']));
+
+        before(() => {
+            global.DENY = 902;
+            global.DENYSOFT = 903;
+            global.DENYDISCONNECT = 904;
+        });
+
+        after(() => {
+            delete global.DENY;
+            delete global.DENYSOFT;
+            delete global.DENYDISCONNECT;
+        });
+
+        beforeEach(() => {
+            sinon.stub(dmarcReports, 'recordAggregate').resolves(true);
+            plugin.loggelf = sinon.stub();
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                logerror: sinon.stub(),
+                transaction: {
+                    uuid: 'test-uuid',
+                    rcpt_to: [],
+                    header: { get_all: () => [] },
+                    notes: {
+                        sender: 'sender@example.com',
+                        dmarcResult: { status: { result: 'fail' }, domain: 'example.com' }
+                    }
+                }
+            };
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should record rejected messages once', async () => {
+            await deny(902);
+            await deny(902);
+            expect(dmarcReports.recordAggregate.calledOnce).to.be.true;
+            expect(dmarcReports.recordAggregate.firstCall.args[1]).to.include({ sourceIp: '192.0.2.1', disposition: 'none' });
+        });
+
+        it('should not record deferred messages', async () => {
+            await deny(903);
+            expect(dmarcReports.recordAggregate.called).to.be.false;
+        });
+    });
+
+    describe('hook_queue', () => {
+        const { PassThrough } = require('stream');
+        let connection, users, forwards, storeMessage, pushMail;
+
+        const rcpt = (id, extra) => ({
+            userData: { _id: id, address: id + '@example.com', storageUsed: 0, quota: 1000, ...extra },
+            recipient: id + '@example.com'
+        });
+
+        const runHook = () => new Promise(resolve => plugin.hook_queue((...args) => resolve(args), connection));
+
+        before(() => {
+            global.DENY = 902;
+            global.DENYSOFT = 903;
+            global.OK = 906;
+        });
+
+        after(() => {
+            delete global.DENY;
+            delete global.DENYSOFT;
+            delete global.OK;
+        });
+
+        beforeEach(() => {
+            sinon.stub(plugin, 'recordDmarcAggregate');
+            sinon.stub(plugin, 'sendDmarcFailureReport');
+
+            plugin.cfg = { quota: { checkSize: true }, limits: {} };
+            plugin.rspamd = {};
+            plugin.loggelf = sinon.stub();
+            storeMessage = sinon.stub().resolves({ response: { response: 'stored' }, prepared: false });
+            plugin.filterHandler = { storeMessage };
+            pushMail = sinon.stub().callsFake((mail, callback) => {
+                const message = new PassThrough();
+                message.resume();
+                message.once('end', () => callback(null, { id: 'forward-id' }));
+                return message;
+            });
+            plugin.maildrop = { push: pushMail };
+
+            users = new Map([
+                ['user1', rcpt('user1')],
+                ['user2', rcpt('user2', { storageUsed: 995 })]
+            ]);
+            forwards = new Map();
+
+            connection = {
+                remote: { ip: '192.0.2.1' },
+                hello: { host: 'mx.example.net' },
+                results: { get: () => null },
+                loginfo: sinon.stub(),
+                logdebug: sinon.stub(),
+                logerror: sinon.stub(),
+                lognotice: sinon.stub(),
+                transaction: {
+                    uuid: 'test-uuid',
+                    results: { get: () => null },
+                    header: { get: () => '', get_all: () => [], lines: () => [] },
+                    message_stream: {
+                        pipe: target => {
+                            target.end(Buffer.from('Subject: test\r\n\r\nHello world\r\n'));
+                            return target;
+                        },
+                        once: () => false
+                    },
+                    notes: {
+                        sender: 'sender@example.net',
+                        settings: {},
+                        rateKeys: [],
+                        rateReservations: [],
+                        targets: { users, forwards, autoreplies: new Map() }
+                    }
+                }
+            };
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should drop recipients over quota and store the message for others', async () => {
+            const result = await runHook();
+            expect(result).to.deep.equal([906, 'Message processed']);
+            expect(storeMessage.callCount).to.equal(1);
+            expect(storeMessage.firstCall.args[0]._id).to.equal('user1');
+            expect(plugin.loggelf.getCalls().some(call => call.args[0]._user === 'user2' && call.args[0]._dropped === 'yes')).to.be.true;
+        });
+
+        it('should reject the message if every recipient is over quota', async () => {
+            users.delete('user1');
+            const result = await runHook();
+            expect(result[0]).to.equal(902);
+            expect(connection.transaction.notes.rejectCode).to.equal('MBOX_QUOTA_SIZE');
+            expect(storeMessage.called).to.be.false;
+        });
+
+        it('should send DMARC failure reports with the final queue result', async () => {
+            await runHook();
+            expect(plugin.sendDmarcFailureReport.calledOnce).to.be.true;
+            expect(plugin.sendDmarcFailureReport.firstCall.args[2]).to.equal(906);
+        });
+
+        it('should send DMARC failure reports for messages rejected after DATA checks', async () => {
+            users.delete('user1');
+            await runHook();
+            expect(plugin.sendDmarcFailureReport.calledOnce).to.be.true;
+            expect(plugin.sendDmarcFailureReport.firstCall.args[2]).to.equal(902);
+        });
+
+        it('should not reject after the message was forwarded', async () => {
+            users.delete('user1');
+            forwards.set('target@example.org', { type: 'mail', value: 'target@example.org', recipient: 'forward@example.com' });
+            const result = await runHook();
+            expect(result[0]).to.equal(906);
+            expect(pushMail.calledOnce).to.be.true;
+            expect(storeMessage.called).to.be.false;
+        });
+
+        describe('byte volume limits', () => {
+            beforeEach(() => {
+                plugin.cfg.quota.checkSize = false;
+                plugin.cfg.limits = { rcptBytes: 1000, rcptBytesWindowSize: 60 };
+                plugin.ttlcounterAsync = sinon.stub().callsFake(async key => ({ success: key !== 'rl:rcptBytes:user2', value: 0, ttl: 30 }));
+            });
+
+            it('should drop recipients over the limit and count bytes for others', async () => {
+                forwards.set('target@example.org', { type: 'mail', value: 'target@example.org', recipient: 'forward@example.com' });
+                const result = await runHook();
+                expect(result[0]).to.equal(906);
+                expect(pushMail.calledOnce).to.be.true;
+                expect(storeMessage.callCount).to.equal(1);
+                expect(storeMessage.firstCall.args[0]._id).to.equal('user1');
+                expect(plugin.ttlcounterAsync.lastCall.args.slice(0, 2)).to.deep.equal(['rl:rcptBytes:user1', 30]);
+            });
+
+            it('should defer before forwarding if the only recipient is over the limit', async () => {
+                users.delete('user1');
+                const result = await runHook();
+                expect(result[0]).to.equal(903);
+                expect(connection.transaction.notes.rejectCode).to.equal('RATE_LIMIT');
+                expect(storeMessage.called).to.be.false;
+            });
+
+            it('should reject messages that never fit into the limit', async () => {
+                users.delete('user1');
+                plugin.ttlcounterAsync = sinon.stub().resolves({ success: true, value: 0, ttl: 30 });
+                plugin.cfg.limits = { rcptBytes: 10 };
+                const result = await runHook();
+                expect(result[0]).to.equal(902);
+                expect(result[1]).to.match(/^5\.3\.4 Message size exceeds/);
+                expect(storeMessage.called).to.be.false;
+            });
+
+            it('should defer before forwarding if the client is over the limit', async () => {
+                plugin.cfg.limits = { clientIpBytes: 1000 };
+                plugin.ttlcounterAsync = sinon.stub().resolves({ success: false, value: 990, ttl: 30 });
+                forwards.set('target@example.org', { type: 'mail', value: 'target@example.org', recipient: 'forward@example.com' });
+                const result = await runHook();
+                expect(result[0]).to.equal(903);
+                expect(pushMail.called).to.be.false;
+                expect(storeMessage.called).to.be.false;
+            });
+        });
+
+        it('should create pending subaddress mailboxes when storing', async () => {
+            plugin.cfg.quota.checkSize = false;
+            plugin.cfg.subaddress = { enabled: true, autoCreate: true };
+            const create = sinon.stub().callsFake((user, path, opts, callback) => callback(null, true, 'mailbox2'));
+            plugin.db = { database: { collection: () => ({ findOne: sinon.stub().resolves(null) }) }, mailboxHandler: { create } };
+            users.get('user1').subaddressPath = 'news';
+
+            const result = await runHook();
+            expect(result[0]).to.equal(906);
+            expect(create.calledOnce).to.be.true;
+            expect(storeMessage.firstCall.args[1].mailbox).to.equal('mailbox2');
+            expect(storeMessage.secondCall.args[1].mailbox).to.be.undefined;
+        });
+
+        it('should route DMARC quarantined messages to Junk instead of subaddress mailboxes', async () => {
+            plugin.cfg.quota.checkSize = false;
+            plugin.cfg.auth = { dmarc: { enforce: true, quarantine: 'junk' } };
+            plugin.db = { database: { collection: () => ({ findOne: sinon.stub().resolves({ _id: 'junk1', path: 'Junk' }) }) } };
+            users.delete('user2');
+            users.get('user1').mailbox = 'subaddress1';
+            Object.assign(connection.transaction, {
+                rcpt_to: [{ address: () => 'user1@example.com' }],
+                header: { get: () => '', get_all: () => ['sender@example.net'], lines: () => [] }
+            });
+            connection.transaction.notes.dmarcResult = {
+                status: { result: 'fail', header: { from: 'example.net', d: 'example.net' } },
+                domain: 'example.net',
+                policy: 'quarantine'
+            };
+
+            const result = await runHook();
+            expect(result[0]).to.equal(906);
+            expect(storeMessage.firstCall.args[1].mailbox).to.equal('junk1');
+        });
+
+        describe('bounce verification', () => {
+            beforeEach(() => {
+                plugin.cfg.quota.checkSize = false;
+                plugin.cfg.bounceVerification = { enabled: true, action: 'reject' };
+                plugin.db = { redis: { exists: sinon.stub().resolves(0) } };
+                connection.transaction.notes.sender = '';
+                forwards.set('target@example.org', { type: 'mail', value: 'target@example.org', recipient: 'forward@example.com' });
+            });
+
+            it('should reject unverified bounces before forwarding', async () => {
+                forwards.clear();
+                const result = await runHook();
+                expect(result[0]).to.equal(902);
+                expect(connection.transaction.notes.rejectCode).to.equal('BOUNCE_UNVERIFIED');
+                expect(storeMessage.called).to.be.false;
+            });
+
+            it('should drop only recipients of unverified bounces', async () => {
+                users.get('user1').batv = true;
+                const result = await runHook();
+                expect(result[0]).to.equal(906);
+                expect(pushMail.calledOnce).to.be.true;
+                expect(storeMessage.callCount).to.equal(1);
+                expect(storeMessage.firstCall.args[0]._id).to.equal('user1');
+            });
+        });
+    });
 });
@@ -0,0 +1,154 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const cli = require('../lib/limits-cli');
+
+// minimal in-memory replacement for the Redis commands used by the CLI
+const createRedis = entries => {
+    const data = new Map(Object.entries(entries));
+    const toRegExp = pattern =>
+        new RegExp(
+            '^' + pattern.replace(/\\(.)|([.+^${}()|])|(\*)/g, (m, escaped, special) => (escaped ? '\\' + escaped : special ? '\\' + special : '.*')) + '$'
+        );
+    return {
+        data,
+        exists: async key => (data.has(key) ? 1 : 0),
+        scan: async (cursor, match, pattern) => ['0', Array.from(data.keys()).filter(key => toRegExp(pattern).test(key))],
+        type: async key => (data.has(key) ? data.get(key).type : 'none'),
+        get: async key => data.get(key).value,
+        zcard: async key => data.get(key).value,
+        hget: async key => data.get(key).value,
+        ttl: async key => data.get(key).ttl,
+        del: async (...keys) => keys.filter(key => data.delete(key)).length,
+        disconnect: sinon.stub()
+    };
+};
+
+describe('Rate limit CLI', () => {
+    describe('parseArgs', () => {
+        it('should parse commands and options', () => {
+            expect(cli.parseArgs(['show', 'user', 'user@example.com', '--config', '/etc/wildduck.yaml'])).to.deep.equal({
+                help: false,
+                config: '/etc/wildduck.yaml',
+                command: 'show',
+                target: 'user',
+                value: 'user@example.com'
+            });
+            expect(cli.parseArgs(['--help']).help).to.be.true;
+        });
+    });
+
+    describe('getKeyQueries', () => {
+        it('should include recipient counters for users', () => {
+            const queries = cli.getKeyQueries({ type: 'user', id: '5f0000000000000000000001' });
+            expect(queries).to.deep.include({ key: 'rl:rcpt:5f0000000000000000000001' });
+            expect(queries).to.deep.include({ key: 'rlr:rcptBytes:5f0000000000000000000001' });
+            expect(queries).to.deep.include({ match: 'rl:rcptIp:*:5f0000000000000000000001' });
+        });
+
+        it('should use WildDuck keys for forwarding counters', () => {
+            const queries = cli.getKeyQueries({ type: 'forward', id: '5f0000000000000000000002' });
+            expect(queries[0]).to.deep.equal({ key: 'wdf:5f0000000000000000000002' });
+            expect(queries).to.not.deep.include({ key: 'rl:forwards:5f0000000000000000000002' });
+        });
+
+        it('should use configured prefix lengths for IP counters', () => {
+            const queries = cli.getKeyQueries({ type: 'ip', id: '2001:db8:1:2::25' }, { limits: { ipv6Prefix: 56 } });
+            expect(queries).to.deep.include({ key: 'rl:clientIp:2001:db8:1::/56' });
+            expect(queries).to.deep.include({ key: 'rl:clientIp:2001:db8:1:2::25' });
+            expect(queries).to.deep.include({ key: 'rl:clientIpv6Net:2001:db8:1::/56' });
+            expect(queries).to.deep.include({ match: 'rl:rcptIp:2001:db8:1::/56:*' });
+            expect(queries).to.deep.include({ key: 'harvest:b:2001:db8:1::/56' });
+        });
+    });
+
+    describe('resolveTarget', () => {
+        const userHandler = {
+            resolveAddress: sinon.stub().callsFake((address, options, callback) => {
+                if (address === 'user@example.com') {
+                    return callback(null, { _id: 'a1', user: '5f0000000000000000000001', address });
+                }
+                if (address === 'forward@example.com') {
+                    return callback(null, { _id: '5f0000000000000000000002', targets: [], address });
+                }
+                callback(null, false);
+            })
+        };
+
+        it('should resolve addresses to users and forwarding addresses', async () => {
+            expect(await cli.resolveTarget(userHandler, 'address', 'user@example.com')).to.deep.equal({
+                type: 'user',
+                id: '5f0000000000000000000001',
+                address: 'user@example.com'
+            });
+            expect((await cli.resolveTarget(userHandler, 'address', 'forward@example.com')).type).to.equal('forward');
+        });
+
+        it('should use IDs as is', async () => {
+            expect(await cli.resolveTarget(userHandler, 'user', '5F0000000000000000000001')).to.deep.equal({ type: 'user', id: '5f0000000000000000000001' });
+        });
+
+        it('should reject addresses of the wrong type', async () => {
+            let error;
+            try {
+                await cli.resolveTarget(userHandler, 'forward', 'user@example.com');
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('Unknown forwarding address user@example.com');
+        });
+
+        it('should validate IP addresses', async () => {
+            expect(await cli.resolveTarget(userHandler, 'ip', '::ffff:192.0.2.1')).to.deep.equal({ type: 'ip', id: '192.0.2.1' });
+        });
+    });
+
+    describe('run', () => {
+        let redis;
+        let output;
+        let options;
+
+        beforeEach(() => {
+            redis = createRedis({
+                'rl:rcpt:5f0000000000000000000001': { type: 'string', value: '12', ttl: 40 },
+                'rl:rcptIp:192.0.2.1:5f0000000000000000000001': { type: 'string', value: '3', ttl: 3000 },
+                'rls:rcptBytes:5f0000000000000000000001': { type: 'zset', value: 2, ttl: 100 },
+                'rl:rcpt:5f0000000000000000000009': { type: 'string', value: '1', ttl: 40 }
+            });
+            output = [];
+            options = {
+                config: {},
+                connect: (redisConfig, config, callback) => callback(null, { redis, userHandler: {} }),
+                print: line => output.push(line)
+            };
+        });
+
+        it('should show counter values and TTLs', async () => {
+            expect(await cli.run(['show', 'user', '5f0000000000000000000001'], options)).to.equal(0);
+            expect(output).to.deep.equal([
+                'Target user 5f0000000000000000000001',
+                'rl:rcpt:5f0000000000000000000001 type=string value=12 ttl=40',
+                'rl:rcptIp:192.0.2.1:5f0000000000000000000001 type=string value=3 ttl=3000',
+                'rls:rcptBytes:5f0000000000000000000001 type=zset value=2 ttl=100'
+            ]);
+            expect(redis.disconnect.calledOnce).to.be.true;
+        });
+
+        it('should reset counters of the target only', async () => {
+            expect(await cli.run(['reset', 'user', '5f0000000000000000000001'], options)).to.equal(0);
+            expect(Array.from(redis.data.keys())).to.deep.equal(['rl:rcpt:5f0000000000000000000009']);
+            expect(output[output.length - 1]).to.equal('Deleted 3 counters');
+        });
+
+        it('should list counters for client IPs', async () => {
+            expect(await cli.run(['list', 'ip', '192.0.2.1'], options)).to.equal(0);
+            expect(output).to.deep.equal(['Target ip 192.0.2.1', 'rl:rcptIp:192.0.2.1:5f0000000000000000000001']);
+        });
+
+        it('should print usage for invalid arguments', async () => {
+            expect(await cli.run(['remove', 'user'], options)).to.equal(1);
+            expect(output[0]).to.match(/^Usage: wildduck-mx-limits/);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { LruCache, mergeOptions, getHitRate } = require('../lib/lru-cache');
+
+describe('LRU cache', () => {
+    it('should evict least recently used entries', () => {
+        const cache = new LruCache(2);
+        cache.set('a', 1, 60 * 1000);
+        cache.set('b', 2, 60 * 1000);
+        expect(cache.get('a')).to.equal(1);
+        cache.set('c', 3, 60 * 1000);
+
+        expect([...cache.keys()]).to.deep.equal(['a', 'c']);
+        expect([...cache]).to.deep.equal([
+            ['a', 1],
+            ['c', 3]
+        ]);
+        expect(cache.evictions).to.equal(1);
+    });
+
+    it('should expire entries', () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        try {
+            const cache = new LruCache(10);
+            cache.set('a', 1, 10 * 1000);
+            clock.tick(11 * 1000);
+            expect(cache.get('a')).to.be.false;
+            expect(cache.size).to.equal(0);
+        } finally {
+            clock.restore();
+        }
+    });
+
+    it('should ignore unset config values', () => {
+        expect(mergeOptions({ size: 10, ttl: 60 }, { size: null, ttl: 5, extra: undefined })).to.deep.equal({ size: 10, ttl: 5 });
+    });
+
+    it('should calculate hit rates', () => {
+        expect(getHitRate(3, 1)).to.equal(75);
+        expect(getHitRate(1, 2)).to.equal(33.3);
+        expect(getHitRate(0, 0)).to.equal(0);
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { expect } = require('chai');
+const NoUserCache = require('../lib/nouser-cache');
+
+// minimal in-memory replacement for the Redis commands used by the negative cache
+const createRedis = () => {
+    const data = new Map();
+    const redis = {
+        data,
+        async hget(key, field) {
+            return data.has(key) && data.get(key).has(field) ? data.get(key).get(field) : null;
+        },
+        async del(key) {
+            return data.delete(key) ? 1 : 0;
+        },
+        multi() {
+            const queue = [];
+            const chain = {
+                hset(key, field, value) {
+                    queue.push(() => {
+                        if (!data.has(key)) {
+                            data.set(key, new Map());
+                        }
+                        data.get(key).set(field, String(value));
+                        return 1;
+                    });
+                    return chain;
+                },
+                expire() {
+                    queue.push(() => 1);
+                    return chain;
+                },
+                hlen(key) {
+                    queue.push(() => (data.get(key) || new Map()).size);
+                    return chain;
+                },
+                async exec() {
+                    return queue.map(fn => [null, fn()]);
+                }
+            };
+            return chain;
+        }
+    };
+    return redis;
+};
+
+describe('NoUserCache', () => {
+    it('should store unknown addresses in a per domain hash', async () => {
+        const redis = createRedis();
+        const cache = new NoUserCache({ enabled: true, redis });
+
+        expect(await cache.has('unknown@example.com')).to.be.false;
+        expect(await cache.add('unknown@example.com')).to.be.true;
+        expect(await cache.has('unknown@example.com')).to.be.true;
+        expect(await cache.has('other@example.com')).to.be.false;
+
+        expect(redis.data.get('mx:nouser:example.com').has('unknown@example.com')).to.be.true;
+    });
+
+    it('should ignore expired entries', async () => {
+        const redis = createRedis();
+        const cache = new NoUserCache({ enabled: true, redis });
+
+        redis.data.set('mx:nouser:example.com', new Map([['unknown@example.com', String(Date.now() - 1000)]]));
+        expect(await cache.has('unknown@example.com')).to.be.false;
+    });
+
+    it('should reset the domain when it exceeds maxEntries', async () => {
+        const redis = createRedis();
+        const cache = new NoUserCache({ enabled: true, redis, maxEntries: 2 });
+
+        await cache.add('a@example.com');
+        await cache.add('b@example.com');
+        expect(redis.data.get('mx:nouser:example.com').size).to.equal(2);
+
+        await cache.add('c@example.com');
+        expect(redis.data.has('mx:nouser:example.com')).to.be.false;
+    });
+
+    it('should resolve the Redis client lazily', async () => {
+        const redis = createRedis();
+        const cache = new NoUserCache({ enabled: true, redis: () => redis });
+
+        await cache.add('unknown@example.com');
+        expect(await cache.has('unknown@example.com')).to.be.true;
+    });
+
+    it('should do nothing when disabled', async () => {
+        const redis = createRedis();
+        const cache = new NoUserCache({ enabled: false, redis });
+
+        expect(await cache.add('unknown@example.com')).to.be.false;
+        expect(await cache.has('unknown@example.com')).to.be.false;
+        expect(redis.data.size).to.equal(0);
+    });
+
+    it('should count hits and misses', async () => {
+        const cache = new NoUserCache({ enabled: true, redis: createRedis() });
+
+        await cache.add('unknown@example.com');
+        await cache.has('unknown@example.com');
+        await cache.has('unknown@example.com');
+        await cache.has('unknown@example.com');
+        await cache.has('other@example.com');
+
+        expect(cache.stats()).to.deep.equal({ hitRate: 75, hits: 3, misses: 1, stored: 1, errors: 0 });
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { getThreshold, formatBytes, renderTemplate, sendQuotaWarning } = require('../lib/quota-warnings');
+
+describe('Quota warnings', () => {
+    describe('getThreshold', () => {
+        it('should return the highest crossed threshold', () => {
+            expect(getThreshold(790, 1000, [80, 95, 100])).to.be.false;
+            expect(getThreshold(800, 1000, [80, 95, 100])).to.equal(80);
+            expect(getThreshold(960, 1000, [80, 95, 100])).to.equal(95);
+            expect(getThreshold(1200, 1000, [80, 95, 100])).to.equal(100);
+        });
+
+        it('should ignore missing quota', () => {
+            expect(getThreshold(1000, 0, [80])).to.be.false;
+        });
+    });
+
+    describe('formatBytes', () => {
+        it('should format sizes', () => {
+            expect(formatBytes(512)).to.equal('512 B');
+            expect(formatBytes(1536)).to.equal('1.5 kB');
+            expect(formatBytes(2 * 1024 * 1024 * 1024)).to.equal('2 GB');
+        });
+    });
+
+    describe('renderTemplate', () => {
+        it('should replace placeholders', () => {
+            expect(renderTemplate('{{name}} is {{ percent }}% full{{unknown}}', { name: 'Inbox', percent: 95 })).to.equal('Inbox is 95% full');
+        });
+    });
+
+    describe('sendQuotaWarning', () => {
+        let plugin, sent;
+        const userData = { _id: 'user1', address: 'user@example.com', name: 'User' };
+
+        beforeEach(() => {
+            sent = new Set();
+            plugin = {
+                hostname: 'mx.example.com',
+                cfg: { quotaWarnings: { enabled: true } },
+                db: {
+                    redis: {
+                        set: sinon.stub().callsFake(async key => {
+                            if (sent.has(key)) {
+                                return null;
+                            }
+                            sent.add(key);
+                            return 'OK';
+                        }),
+                        del: sinon.stub().callsFake(async key => (sent.delete(key) ? 1 : 0))
+                    },
+                    messageHandler: {
+                        add: sinon.stub().callsFake((options, callback) => setTimeout(() => callback(null, true, { id: 'message1' })))
+                    }
+                }
+            };
+        });
+
+        it('should store a warning to INBOX', async () => {
+            const result = await sendQuotaWarning(plugin, userData, { storageUsed: 960, quota: 1000 });
+            expect(result).to.deep.equal({ threshold: 95, percent: 96, id: 'message1' });
+
+            const options = plugin.db.messageHandler.add.firstCall.args[0];
+            expect(options).to.include({ user: 'user1', path: 'INBOX' });
+
+            const raw = options.raw.toString();
+            expect(raw).to.include('Subject: Your mailbox is 96% full');
+            expect(raw).to.include('From: postmaster@mx.example.com');
+            expect(raw).to.include('Auto-Submitted: auto-generated');
+            expect(raw).to.include('Your mailbox user@example.com is using 960 B of 1000 B (96%)');
+        });
+
+        it('should send each threshold only once per period', async () => {
+            expect(await sendQuotaWarning(plugin, userData, { storageUsed: 960, quota: 1000 })).to.include({ threshold: 95 });
+            expect(await sendQuotaWarning(plugin, userData, { storageUsed: 970, quota: 1000 })).to.be.false;
+            expect(await sendQuotaWarning(plugin, userData, { storageUsed: 1000, quota: 1000 })).to.include({ threshold: 100 });
+            expect(plugin.db.messageHandler.add.callCount).to.equal(2);
+            expect(plugin.db.redis.set.firstCall.args).to.deep.include.members(['EX', 604800, 'NX']);
+        });
+
+        it('should skip usage below thresholds', async () => {
+            expect(await sendQuotaWarning(plugin, userData, { storageUsed: 100, quota: 1000 })).to.be.false;
+            expect(plugin.db.redis.set.called).to.be.false;
+        });
+
+        it('should release the dedupe key if storing fails', async () => {
+            plugin.db.messageHandler.add.callsFake((options, callback) => setTimeout(() => callback(new Error('store failed'))));
+
+            let error;
+            try {
+                await sendQuotaWarning(plugin, userData, { storageUsed: 960, quota: 1000 });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('store failed');
+            expect(sent.size).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getDeclaredSize, checkMessageSize } = require('../lib/quota');
+
+describe('Quota', () => {
+    describe('getDeclaredSize', () => {
+        it('should parse the SIZE parameter', () => {
+            expect(getDeclaredSize({ SIZE: '12345' })).to.equal(12345);
+            expect(getDeclaredSize({ size: '12345', body: '8BITMIME' })).to.equal(12345);
+        });
+
+        it('should ignore missing and invalid values', () => {
+            expect(getDeclaredSize()).to.equal(0);
+            expect(getDeclaredSize({})).to.equal(0);
+            expect(getDeclaredSize({ SIZE: 'abc' })).to.equal(0);
+            expect(getDeclaredSize({ SIZE: '-10' })).to.equal(0);
+            expect(getDeclaredSize({ SIZE: '1.5' })).to.equal(0);
+        });
+    });
+
+    describe('checkMessageSize', () => {
+        it('should allow messages that fit into the remaining quota', () => {
+            expect(checkMessageSize({ storageUsed: 600, quota: 1000, size: 400 })).to.deep.equal({ allowed: true, limit: 1000, remaining: 400 });
+        });
+
+        it('should reject messages larger than the remaining quota', () => {
+            expect(checkMessageSize({ storageUsed: 999, quota: 1000, size: 40 * 1024 * 1024 })).to.include({ allowed: false, remaining: 1 });
+        });
+
+        it('should apply grace percentage', () => {
+            expect(checkMessageSize({ storageUsed: 1000, quota: 1000, size: 50, grace: 5 })).to.deep.equal({ allowed: true, limit: 1050, remaining: 50 });
+            expect(checkMessageSize({ storageUsed: 1000, quota: 1000, size: 51, grace: 5 })).to.include({ allowed: false });
+        });
+
+        it('should allow everything without a quota', () => {
+            expect(checkMessageSize({ storageUsed: 1000, quota: 0, size: 1000 })).to.include({ allowed: true });
+        });
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { expect } = require('chai');
+const { check, getAuthenticatedDomains } = require('../lib/rate-exempt');
+
+// minimal in-memory replacement for the Redis set commands used by exemption lookups
+const createRedis = (sets, error) => {
+    const redis = {
+        queries: 0,
+        multi() {
+            redis.queries++;
+            const queue = [];
+            const chain = {
+                smembers(key) {
+                    queue.push(() => Array.from(sets[key] || []));
+                    return chain;
+                },
+                sismember(key, member) {
+                    queue.push(() => ((sets[key] || []).includes(member) ? 1 : 0));
+                    return chain;
+                },
+                async exec() {
+                    return queue.map(fn => (error ? [error] : [null, fn()]));
+                }
+            };
+            return chain;
+        }
+    };
+    return redis;
+};
+
+describe('Rate limit exemptions', () => {
+    describe('getAuthenticatedDomains', () => {
+        it('should return SPF and DKIM pass domains', () => {
+            const notes = {
+                spfResult: { domain: 'Example.com', status: { result: 'pass' } },
+                dkimResult: {
+                    results: [
+                        { signingDomain: 'mail.example.net', status: { result: 'pass' } },
+                        { signingDomain: 'forged.example.org', status: { result: 'fail' } }
+                    ]
+                }
+            };
+            expect(getAuthenticatedDomains(notes)).to.deep.equal(['example.com', 'mail.example.net']);
+        });
+
+        it('should ignore failed SPF results', () => {
+            expect(getAuthenticatedDomains({ spfResult: { domain: 'example.com', status: { result: 'softfail' } } })).to.deep.equal([]);
+        });
+    });
+
+    describe('check', () => {
+        const config = { ips: ['192.0.2.0/24'], domains: ['partner.example'], users: ['user1'] };
+
+        it('should match config lists without Redis lookups', async () => {
+            const redis = createRedis({});
+            expect(await check(redis, { ip: '192.0.2.10', domains: [] }, config)).to.deep.equal({ type: 'ip', value: '192.0.2.10', source: 'config' });
+            expect(await check(redis, { ip: '198.51.100.1', domains: ['mx.partner.example'] }, config)).to.deep.equal({
+                type: 'domain',
+                value: 'mx.partner.example',
+                source: 'config'
+            });
+            expect(await check(redis, { ip: '198.51.100.1', domains: [], user: 'user1' }, config)).to.deep.equal({
+                type: 'user',
+                value: 'user1',
+                source: 'config'
+            });
+            expect(redis.queries).to.equal(0);
+        });
+
+        it('should match Redis sets', async () => {
+            const redis = createRedis({ 'rl:exempt:ips': ['2001:db8::/32'], 'rl:exempt:users': ['user2'] });
+            expect(await check(redis, { ip: '2001:db8::25', domains: [] }, config)).to.deep.equal({ type: 'ip', value: '2001:db8::25', source: 'redis' });
+            expect(await check(redis, { ip: '198.51.100.1', domains: [], user: 'user2' }, config)).to.deep.equal({
+                type: 'user',
+                value: 'user2',
+                source: 'redis'
+            });
+        });
+
+        it('should return false if nothing matches', async () => {
+            const redis = createRedis({ 'rl:exempt:domains': ['partner.example'] });
+            expect(await check(redis, { ip: '198.51.100.1', domains: ['other.example'], user: 'user3' }, {})).to.be.false;
+        });
+
+        it('should throw Redis errors', async () => {
+            let error;
+            try {
+                await check(createRedis({}, new Error('connection lost')), { ip: '198.51.100.1', domains: [] }, {});
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('connection lost');
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const rateLimiter = require('../lib/rate-limiter');
+
+// ioredis-like client that records defined commands
+const createRedis = reply => {
+    const redis = {
+        defineCommand: sinon.stub().callsFake(name => {
+            redis[name] = sinon.stub().resolves(reply);
+        })
+    };
+    return redis;
+};
+
+describe('Rate limiter', () => {
+    it('should register Lua scripts once', async () => {
+        const redis = createRedis([1, 1, 60000, 0]);
+        await rateLimiter.consume(redis, 'sliding', 'rcpt:user1', { limit: 10, windowSize: 60 });
+        await rateLimiter.consume(redis, 'sliding', 'rcpt:user1', { limit: 10, windowSize: 60 });
+
+        expect(redis.defineCommand.calledOnce).to.be.true;
+        expect(redis.defineCommand.firstCall.args[1]).to.deep.equal({ numberOfKeys: 1, lua: rateLimiter.SLIDING_WINDOW });
+        expect(redis.wdRateSliding.calledTwice).to.be.true;
+    });
+
+    it('should pass window and limit arguments to the sliding window script', async () => {
+        const redis = createRedis([1, 3, 59000, 0]);
+        const result = await rateLimiter.consume(redis, 'sliding', 'rcpt:user1', { limit: 10, windowSize: 60, increment: 1, now: 1000 });
+
+        const args = redis.wdRateSliding.firstCall.args;
+        expect(args.slice(0, 5)).to.deep.equal(['rls:rcpt:user1', 1000, 60000, 10, 1]);
+        expect(args[5]).to.match(/^[0-9a-f]{16}$/);
+        expect(result).to.deep.equal({ success: true, value: 3, ttl: 59, retryAfter: 0 });
+    });
+
+    it('should return retry-after for denied token bucket requests', async () => {
+        const redis = createRedis([0, 10, 3600000, 1500]);
+        const result = await rateLimiter.consume(redis, 'bucket', 'rcptIp:192.0.2.1:user1', { limit: 10, windowSize: 3600, now: 1000 });
+
+        expect(redis.wdRateBucket.firstCall.args).to.deep.equal(['rlb:rcptIp:192.0.2.1:user1', 1000, 3600000, 10, 0]);
+        expect(result).to.deep.equal({ success: false, value: 10, ttl: 3600, retryAfter: 2 });
+    });
+
+    it('should reserve slots using counter and reservation keys', async () => {
+        const redis = createRedis([1, 5, 0]);
+        const result = await rateLimiter.reserve(redis, 'fixed', 'rl:rcpt:user1', 'rlr:rcpt:user1', { limit: 60, windowSize: 60, ttl: 600, now: 1000 });
+
+        expect(redis.defineCommand.firstCall.args[1]).to.deep.equal({ numberOfKeys: 2, lua: rateLimiter.RESERVE });
+        const args = redis.wdRateReserve.firstCall.args;
+        expect(args.slice(0, 6)).to.deep.equal(['rl:rcpt:user1', 'rlr:rcpt:user1', 'fixed', 1000, 60000, 60]);
+        expect(args[6]).to.equal(result.id);
+        expect(args[7]).to.equal(600000);
+        expect(result).to.include({ success: true, value: 5, ttl: 600, retryAfter: 0 });
+    });
+
+    it('should not return a reservation id if the limit is reached', async () => {
+        const redis = createRedis([0, 60, 4500]);
+        const result = await rateLimiter.reserve(redis, 'sliding', 'rls:rcpt:user1', 'rlr:rcpt:user1', { limit: 60, windowSize: 60, ttl: 600 });
+        expect(result).to.deep.equal({ success: false, value: 60, ttl: 5, retryAfter: 5 });
+    });
+
+    it('should release reservations', async () => {
+        const redis = { zrem: sinon.stub().resolves(1) };
+        expect(await rateLimiter.release(redis, 'rlr:rcpt:user1', 'abc')).to.be.true;
+        expect(redis.zrem.firstCall.args).to.deep.equal(['rlr:rcpt:user1', 'abc']);
+    });
+
+    it('should reject unknown algorithms', async () => {
+        let error;
+        try {
+            await rateLimiter.consume(createRedis([]), 'fixed', 'rcpt:user1', { limit: 1, windowSize: 1 });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Unknown rate limit algorithm fixed');
+        expect(rateLimiter.isSupported('bucket')).to.be.true;
+        expect(rateLimiter.isSupported('toString')).to.be.false;
+    });
+});
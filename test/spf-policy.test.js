@@ -0,0 +1,47 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getSpfAction, matchesDomain } = require('../lib/spf-policy');
+
+describe('SPF policy', () => {
+    const spfResult = result => ({ domain: 'example.com', status: { result } });
+
+    describe('matchesDomain', () => {
+        it('should match domains and subdomains', () => {
+            expect(matchesDomain('example.com', ['example.com'])).to.be.true;
+            expect(matchesDomain('mail.example.com', ['example.com'])).to.be.true;
+            expect(matchesDomain('badexample.com', ['example.com'])).to.be.false;
+        });
+    });
+
+    describe('getSpfAction', () => {
+        const config = { rejectFail: true, deferTempError: true };
+
+        it('should reject SPF failures', () => {
+            const result = getSpfAction(spfResult('fail'), { ip: '192.0.2.1', sender: 'sender@example.com', config });
+            expect(result).to.include({ action: 'reject', rejectCode: 'SPF_FAIL', domain: 'example.com' });
+            expect(result.reply).to.match(/^5\.7\.23 /);
+        });
+
+        it('should defer SPF temporary errors', () => {
+            const result = getSpfAction(spfResult('temperror'), { ip: '192.0.2.1', config });
+            expect(result).to.include({ action: 'defer', rejectCode: 'SPF_TEMPERROR' });
+            expect(result.reply).to.match(/^4\.7\.24 /);
+        });
+
+        it('should accept other results', () => {
+            expect(getSpfAction(spfResult('softfail'), { ip: '192.0.2.1', config })).to.be.false;
+            expect(getSpfAction(spfResult('pass'), { ip: '192.0.2.1', config })).to.be.false;
+        });
+
+        it('should accept if policy is not enabled', () => {
+            expect(getSpfAction(spfResult('fail'), { ip: '192.0.2.1' })).to.be.false;
+            expect(getSpfAction(spfResult('temperror'), { ip: '192.0.2.1', config: { rejectFail: true } })).to.be.false;
+        });
+
+        it('should not reject exempted clients and domains', () => {
+            expect(getSpfAction(spfResult('fail'), { ip: '192.0.2.1', config: { ...config, exemptIps: ['192.0.2.0/24'] } })).to.be.false;
+            expect(getSpfAction(spfResult('fail'), { ip: '198.51.100.1', config: { ...config, exemptDomains: ['example.com'] } })).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parse, isEnabledForUser, isValidMailboxName } = require('../lib/subaddress');
+
+describe('Subaddress', () => {
+    describe('parse', () => {
+        it('should split tagged addresses', () => {
+            expect(parse('user+folder@example.com', ['+'])).to.deep.equal({ base: 'user@example.com', tag: 'folder', separator: '+' });
+            expect(parse('user-folder@example.com', ['+', '-'])).to.deep.equal({ base: 'user@example.com', tag: 'folder', separator: '-' });
+        });
+
+        it('should use the first separator in the local part', () => {
+            expect(parse('first-last+news@example.com', ['+', '-'])).to.deep.equal({ base: 'first@example.com', tag: 'last+news', separator: '-' });
+            expect(parse('first-last+news@example.com', ['+'])).to.deep.equal({ base: 'first-last@example.com', tag: 'news', separator: '+' });
+        });
+
+        it('should ignore addresses without a tag', () => {
+            expect(parse('user@example.com', ['+'])).to.be.false;
+            expect(parse('user-folder@example.com', ['+'])).to.be.false;
+            expect(parse('+folder@example.com', ['+'])).to.be.false;
+            expect(parse('user+@example.com', ['+'])).to.be.false;
+            expect(parse('invalid', ['+'])).to.be.false;
+        });
+    });
+
+    describe('isEnabledForUser', () => {
+        it('should require opt-in by default', () => {
+            expect(isEnabledForUser({}, {})).to.be.false;
+            expect(isEnabledForUser({ metaData: { subaddressMailboxes: true } }, {})).to.be.true;
+            expect(isEnabledForUser({ metaData: '{"subaddressMailboxes":true}' }, {})).to.be.true;
+        });
+
+        it('should allow opting out if opt-in is not required', () => {
+            expect(isEnabledForUser({}, { optIn: false })).to.be.true;
+            expect(isEnabledForUser({ metaData: { subaddressMailboxes: false } }, { optIn: false })).to.be.false;
+        });
+    });
+
+    describe('isValidMailboxName', () => {
+        it('should accept simple names', () => {
+            expect(isValidMailboxName('news')).to.be.true;
+            expect(isValidMailboxName('Pood-2024')).to.be.true;
+            expect(isValidMailboxName('Üritused')).to.be.true;
+        });
+
+        it('should reject hierarchy, INBOX and odd names', () => {
+            expect(isValidMailboxName('a/b')).to.be.false;
+            expect(isValidMailboxName('inbox')).to.be.false;
+            expect(isValidMailboxName('.hidden')).to.be.false;
+            expect(isValidMailboxName('x'.repeat(65))).to.be.false;
+            expect(isValidMailboxName('')).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseReceived } = require('mailauth/lib/parse-received');
+const { getReceivedClient, getOriginalClient } = require('../lib/trusted-relay');
+
+describe('Trusted relays', () => {
+    describe('getReceivedClient', () => {
+        it('should extract client from a Postfix style header', () => {
+            const received = parseReceived('Received: from mail.example.com (mail.example.com [192.0.2.1]) by mx.example.net with ESMTP id ABC');
+            expect(getReceivedClient(received)).to.deep.equal({ ip: '192.0.2.1', helo: 'mail.example.com' });
+        });
+
+        it('should extract client from an Exim style header', () => {
+            const received = parseReceived('Received: from [IPv6:2001:db8::1] (helo=mail.example.com) by mx.example.net with esmtp');
+            expect(getReceivedClient(received)).to.deep.equal({ ip: '2001:db8::1', helo: 'mail.example.com' });
+        });
+
+        it('should return false if there is no client IP', () => {
+            expect(getReceivedClient(parseReceived('Received: by mx.example.net with local'))).to.be.false;
+        });
+    });
+
+    describe('getOriginalClient', () => {
+        const headers = [
+            'from relay.example.net (relay.example.net [10.0.0.5]) by mx.example.net (Haraka) with ESMTP',
+            'from mail.example.com (mail.example.com [192.0.2.1]) by relay.example.net with ESMTPS id ABC',
+            'from forged.example.org ([198.51.100.1]) by mail.example.com'
+        ];
+
+        it('should skip hops from trusted relays', () => {
+            expect(getOriginalClient(headers, ['10.0.0.0/8'])).to.deep.equal({ ip: '192.0.2.1', helo: 'mail.example.com', hops: 2 });
+        });
+
+        it('should stop at an unparseable header', () => {
+            expect(getOriginalClient(['by mx.example.net with local', headers[1]], ['10.0.0.0/8'])).to.be.false;
+        });
+
+        it('should return false if all hops are trusted', () => {
+            expect(getOriginalClient(headers.slice(0, 1), ['10.0.0.0/8'])).to.be.false;
+        });
+    });
+});
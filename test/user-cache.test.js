@@ -0,0 +1,174 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { promisify } = require('util');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const UserCache = require('../lib/user-cache');
+
+// fake userHandler with a single user and address
+const createUserHandler = () => {
+    const userData = { _id: 'user1', address: 'user@example.com', disabled: false, storageUsed: 100, quota: 1000 };
+    return {
+        userData,
+        resolveAddress: sinon
+            .stub()
+            .callsFake((address, options, callback) => setTimeout(() => callback(null, address === 'user@example.com' ? { user: 'user1', address } : null))),
+        get: sinon.stub().callsFake((user, projection, callback) => {
+            if (user !== 'user1') {
+                return setTimeout(() => callback(null, false));
+            }
+            const result = {};
+            for (const key of Object.keys(userData)) {
+                if (key === '_id' || projection[key]) {
+                    result[key] = userData[key];
+                }
+            }
+            setTimeout(() => callback(null, result));
+        })
+    };
+};
+
+describe('UserCache', () => {
+    const projection = { address: true, disabled: true, storageUsed: true, quota: true };
+
+    it('should cache resolved addresses', async () => {
+        const userHandler = createUserHandler();
+        const cache = new UserCache({ enabled: true, userHandler });
+        const resolveAddress = promisify(cache.resolveAddress.bind(cache));
+
+        expect(await resolveAddress('user@example.com', {})).to.deep.equal({ user: 'user1', address: 'user@example.com' });
+        expect(await resolveAddress('user@example.com', {})).to.deep.equal({ user: 'user1', address: 'user@example.com' });
+        expect(userHandler.resolveAddress.callCount).to.equal(1);
+
+        // unknown addresses are not cached
+        expect(await resolveAddress('unknown@example.com', {})).to.be.null;
+        expect(await resolveAddress('unknown@example.com', {})).to.be.null;
+        expect(userHandler.resolveAddress.callCount).to.equal(3);
+    });
+
+    it('should always fetch quota fields from the database', async () => {
+        const userHandler = createUserHandler();
+        const cache = new UserCache({ enabled: true, userHandler });
+        const get = promisify(cache.get.bind(cache));
+
+        expect(await get('user1', projection)).to.include({ storageUsed: 100, disabled: false });
+        expect(cache.users.get('user1')).to.not.have.any.keys('storageUsed', 'quota');
+
+        userHandler.userData.storageUsed = 1000;
+        userHandler.userData.disabled = true;
+
+        const userData = await get('user1', projection);
+        expect(userData).to.include({ storageUsed: 1000, quota: 1000, disabled: false });
+        expect(userHandler.get.secondCall.args[1]).to.deep.equal({ storageUsed: true, quota: true });
+        expect(cache.stats()).to.include({ hits: 1, misses: 1, users: 1 });
+    });
+
+    it('should drop users that no longer exist', async () => {
+        const userHandler = createUserHandler();
+        const cache = new UserCache({ enabled: true, userHandler });
+        const get = promisify(cache.get.bind(cache));
+
+        await get('user1', projection);
+        userHandler.get.callsFake((user, fields, callback) => setTimeout(() => callback(null, false)));
+
+        expect(await get('user1', projection)).to.be.false;
+        expect(cache.users.size).to.equal(0);
+    });
+
+    it('should evict least recently used entries', async () => {
+        const userHandler = createUserHandler();
+        const cache = new UserCache({ enabled: true, userHandler, size: 2 });
+
+        cache.addresses.set('a@example.com', { user: 'a' }, 60 * 1000);
+        cache.addresses.set('b@example.com', { user: 'b' }, 60 * 1000);
+        cache.addresses.get('a@example.com');
+        cache.addresses.set('c@example.com', { user: 'c' }, 60 * 1000);
+
+        expect([...cache.addresses.keys()]).to.deep.equal(['a@example.com', 'c@example.com']);
+        expect(cache.stats().evictions).to.equal(1);
+    });
+
+    it('should expire entries', async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        try {
+            const cache = new UserCache({ enabled: true, userHandler: createUserHandler(), ttl: 10 });
+            await promisify(cache.get.bind(cache))('user1', projection);
+            expect(cache.users.get('user1')).to.not.be.false;
+            clock.tick(11 * 1000);
+            expect(cache.users.get('user1')).to.be.false;
+        } finally {
+            clock.restore();
+        }
+    });
+
+    it('should pass calls through when disabled', async () => {
+        const userHandler = createUserHandler();
+        const cache = new UserCache({ enabled: false, userHandler });
+        const get = promisify(cache.get.bind(cache));
+
+        await get('user1', projection);
+        await get('user1', projection);
+        expect(userHandler.get.callCount).to.equal(2);
+        expect(cache.users.size).to.equal(0);
+    });
+
+    describe('invalidate', () => {
+        const createCache = () => {
+            const cache = new UserCache({ enabled: true, userHandler: createUserHandler() });
+            cache.addresses.set('user@example.com', { user: 'user1' }, 60 * 1000);
+            cache.addresses.set('alias@example.com', { user: 'user1' }, 60 * 1000);
+            cache.addresses.set('other@example.org', { user: 'user2' }, 60 * 1000);
+            cache.users.set('user1', { _id: 'user1' }, 60 * 1000);
+            cache.users.set('user2', { _id: 'user2' }, 60 * 1000);
+            return cache;
+        };
+
+        it('should remove a user with its addresses', () => {
+            const cache = createCache();
+            cache.invalidate({ user: 'user1' });
+            expect([...cache.addresses.keys()]).to.deep.equal(['other@example.org']);
+            expect([...cache.users.keys()]).to.deep.equal(['user2']);
+        });
+
+        it('should remove addresses and domains', () => {
+            const cache = createCache();
+            cache.invalidate({ address: 'alias@example.com' });
+            expect([...cache.addresses.keys()]).to.deep.equal(['user@example.com', 'other@example.org']);
+
+            cache.invalidate({ domain: 'example.org' });
+            expect([...cache.addresses.keys()]).to.deep.equal(['user@example.com']);
+        });
+
+        it('should handle pub/sub messages', async () => {
+            const cache = createCache();
+            const subscriber = new EventEmitter();
+            subscriber.subscribe = sinon.stub().resolves(1);
+            cache.options.redis = { duplicate: () => subscriber };
+
+            await cache.subscribe();
+            expect(subscriber.subscribe.calledWith('wildduck:mx:invalidate')).to.be.true;
+
+            subscriber.emit('message', 'wildduck:mx:invalidate', '{"address":"user@example.com"}');
+            expect(cache.addresses.get('user@example.com')).to.be.false;
+            expect(cache.addresses.size).to.equal(2);
+
+            subscriber.emit('message', 'wildduck:mx:invalidate', 'garbage');
+            expect(cache.stats()).to.include({ addresses: 0, users: 0 });
+        });
+
+        it('should clear the cache after reconnecting', async () => {
+            const cache = createCache();
+            const subscriber = new EventEmitter();
+            subscriber.subscribe = sinon.stub().resolves(1);
+            cache.options.redis = { duplicate: () => subscriber };
+
+            await cache.subscribe();
+            subscriber.emit('ready');
+            expect(cache.users.size).to.equal(2);
+
+            subscriber.emit('ready');
+            expect(cache.users.size).to.equal(0);
+        });
+    });
+});